@@ -0,0 +1,201 @@
+// Radix-2 fast Fourier transforms (1D and 2D, in place)
+// -----------------------------------------------------------------------------
+// Data are split into real and imaginary Float64Arrays whose length is a power
+// of two. The forward transform is unnormalized; the inverse divides by N (or
+// nx·ny in 2D), so inverse(forward(x)) = x.
+//
+// 2D arrays are row-major: index = y*nx + x.
+//
+// crossCorrelate / crossCorrelate2D compute full linear (not circular)
+// correlations of real arrays of any length by zero-padding, matching the
+// direct sums up to rounding.
+// -----------------------------------------------------------------------------
+
+class FFT {
+    static isPowerOfTwo(n) {
+        return n > 0 && (n & (n - 1)) === 0;
+    }
+
+    static nextPowerOfTwo(n) {
+        let p = 1;
+        while (p < n) p <<= 1;
+        return p;
+    }
+
+    /**
+     * In-place 1D FFT.
+     * @param {Float64Array} re
+     * @param {Float64Array} im
+     * @param {boolean} inverse
+     */
+    static transform(re, im, inverse = false) {
+        const n = re.length;
+        if (!FFT.isPowerOfTwo(n)) {
+            throw new Error(`FFT length must be a power of two (got ${n})`);
+        }
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                let t = re[i];
+                re[i] = re[j];
+                re[j] = t;
+                t = im[i];
+                im[i] = im[j];
+                im[j] = t;
+            }
+        }
+
+        // Butterflies
+        const sign = inverse ? 1 : -1;
+        for (let len = 2; len <= n; len <<= 1) {
+            const ang = (sign * 2 * Math.PI) / len;
+            const wRe = Math.cos(ang),
+                wIm = Math.sin(ang);
+            for (let i = 0; i < n; i += len) {
+                let cRe = 1,
+                    cIm = 0;
+                for (let k = 0; k < len / 2; k++) {
+                    const a = i + k,
+                        b = a + len / 2;
+                    const tRe = re[b] * cRe - im[b] * cIm;
+                    const tIm = re[b] * cIm + im[b] * cRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    const nRe = cRe * wRe - cIm * wIm;
+                    cIm = cRe * wIm + cIm * wRe;
+                    cRe = nRe;
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+
+    /**
+     * In-place 2D FFT of an nx×ny row-major array (rows, then columns).
+     */
+    static transform2D(re, im, nx, ny, inverse = false) {
+        const rowRe = new Float64Array(nx),
+            rowIm = new Float64Array(nx);
+        for (let y = 0; y < ny; y++) {
+            const o = y * nx;
+            for (let x = 0; x < nx; x++) {
+                rowRe[x] = re[o + x];
+                rowIm[x] = im[o + x];
+            }
+            FFT.transform(rowRe, rowIm, inverse);
+            for (let x = 0; x < nx; x++) {
+                re[o + x] = rowRe[x];
+                im[o + x] = rowIm[x];
+            }
+        }
+
+        const colRe = new Float64Array(ny),
+            colIm = new Float64Array(ny);
+        for (let x = 0; x < nx; x++) {
+            for (let y = 0; y < ny; y++) {
+                colRe[y] = re[y * nx + x];
+                colIm[y] = im[y * nx + x];
+            }
+            FFT.transform(colRe, colIm, inverse);
+            for (let y = 0; y < ny; y++) {
+                re[y * nx + x] = colRe[y];
+                im[y * nx + x] = colIm[y];
+            }
+        }
+    }
+
+    /**
+     * Full linear cross-correlation c[k] = Σ_i a[i] b[i - s], s = k - (nb-1),
+     * of real arrays a (length na) and b (length nb).
+     * @returns {Float64Array} length na + nb - 1, zero shift at index nb - 1
+     */
+    static crossCorrelate(a, b) {
+        const na = a.length,
+            nb = b.length;
+        const n = FFT.nextPowerOfTwo(na + nb - 1);
+        const aRe = new Float64Array(n),
+            aIm = new Float64Array(n);
+        const bRe = new Float64Array(n),
+            bIm = new Float64Array(n);
+        for (let i = 0; i < na; i++) aRe[i] = a[i];
+        for (let i = 0; i < nb; i++) bRe[i] = b[i];
+        FFT.transform(aRe, aIm);
+        FFT.transform(bRe, bIm);
+        FFT._multiplyConjugate(aRe, aIm, bRe, bIm);
+        FFT.transform(aRe, aIm, true);
+
+        const out = new Float64Array(na + nb - 1);
+        for (let k = 0; k < out.length; k++) {
+            out[k] = aRe[(k - (nb - 1) + n) % n];
+        }
+        return out;
+    }
+
+    /**
+     * 2D version of crossCorrelate for two nx×ny row-major arrays:
+     * c(sx, sy) = Σ_p a(p) b(p - s).
+     * @returns {Float64Array} (2nx-1)×(2ny-1) row-major, zero shift at
+     *          (nx-1, ny-1)
+     */
+    static crossCorrelate2D(a, b, nx, ny) {
+        const px = FFT.nextPowerOfTwo(2 * nx - 1),
+            py = FFT.nextPowerOfTwo(2 * ny - 1);
+        const aRe = new Float64Array(px * py),
+            aIm = new Float64Array(px * py);
+        const bRe = new Float64Array(px * py),
+            bIm = new Float64Array(px * py);
+        for (let y = 0; y < ny; y++) {
+            for (let x = 0; x < nx; x++) {
+                aRe[y * px + x] = a[y * nx + x];
+                bRe[y * px + x] = b[y * nx + x];
+            }
+        }
+        FFT.transform2D(aRe, aIm, px, py);
+        FFT.transform2D(bRe, bIm, px, py);
+        FFT._multiplyConjugate(aRe, aIm, bRe, bIm);
+        FFT.transform2D(aRe, aIm, px, py, true);
+
+        const ox = 2 * nx - 1,
+            oy = 2 * ny - 1;
+        const out = new Float64Array(ox * oy);
+        for (let y = 0; y < oy; y++) {
+            const sy = (y - (ny - 1) + py) % py;
+            for (let x = 0; x < ox; x++) {
+                out[y * ox + x] = aRe[sy * px + ((x - (nx - 1) + px) % px)];
+            }
+        }
+        return out;
+    }
+
+    // a ← a · conj(b), element-wise
+    static _multiplyConjugate(aRe, aIm, bRe, bIm) {
+        for (let i = 0; i < aRe.length; i++) {
+            const re = aRe[i] * bRe[i] + aIm[i] * bIm[i];
+            aIm[i] = aIm[i] * bRe[i] - aRe[i] * bIm[i];
+            aRe[i] = re;
+        }
+    }
+
+    /**
+     * Signed frequency index of FFT bin k (0..n-1): 0, 1, …, n/2-1, -n/2, …, -1.
+     */
+    static frequencyIndex(k, n) {
+        return k < n / 2 ? k : k - n;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FFT;
+}
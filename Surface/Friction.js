@@ -16,7 +16,16 @@
 //
 // Public API summary:
 //   - constructor(..., options)
+//   - Friction.fromSurfaces(surface1, surface2, options)
+//   - Friction.fromNDFModels(model1, model2, options)
 //   - directionalProfile(numDirs)
+//   - getMuAtAngle(angle)
+//   - getStaticMuAtAngle(angle), getKineticMuAtAngle(angle)
+//   - kineticProfile()
+//   - rotationMap(numDirs, numRotations, maxRotation)
+//   - bestOrientation({ goal, angle, map })
+//   - fitEllipse(profile)
+//   - getParameters()
 //   - rebuild(ndfSamples1, areaWeights1, ndfSamples2, areaWeights2)
 //
 // Options:
@@ -28,12 +37,67 @@
 //   - M           (default 1.0)
 //   - dTheta      (default 0)
 //   - taps        (default 256)
+//   - kineticShift (default 0.25) half-width, in disk units, of the window of
+//                 steady-state shifts averaged for the kinetic μ (see below)
+//   - projection  NDF disk projection of the samples (NDFProjection.js);
+//                 default: surface 1's, else 'orthographic'. Must match the
+//                 surfaces' own projection when they have one
+//   - perSteradian (default false) divide bins by their solid angle before
+//                 the peak normalization (per-steradian NDF); default: raw
+//                 sums
+//   - estimator   'chord' (default) | 'overlap2d' | 'projection', see below
+//   - useFFT      (default true) compute the 'overlap2d' 2D correlation
+//                 with FFT.js instead of a direct sum (about 10× faster at
+//                 256 bins, `npm run bench`); results match to rounding.
+//                 'projection' takes it too, but its 1D correlation is short
+//                 next to the projection sampling, so there is no measurable
+//                 gain. 'chord' and the kinetic ratio do not use FFT: the
+//                 chord is one dot product of `taps` samples per direction,
+//                 and the ratio's 9 shifts of it are fewer than a
+//                 correlation of all 2·taps - 1 shifts (an FFT version ran
+//                 about 1.5× slower at 256 taps and only matched to
+//                 interpolation error). Both are direct loops taking a few
+//                 ms per 72-direction profile at any `bins`
+//   - ndfModel1, ndfModel2  analytic NDFs (NDFModel) used instead of the
+//                 samples of surface 1 / 2; the grid is then evaluated from the
+//                 model at any `bins` (cheap, resolution-independent). The
+//                 directional shape matches the sample grid; absolute μ is
+//                 usually higher, since a noisy histogram's peak bin lowers
+//                 the rest of its peak-normalized grid
+//   - ndfGrid1, ndfGrid2, profile  precomputed grids / directional profile
+//                 ({angles, mus}) from an identical model, e.g. computed in a
+//                 Web Worker (SurfaceWorker.js); they are used as-is
 
 // Implementation details:
 //   - The grid is a bins×bins Float32Array over [-1,1]^2 but we only accumulate
 //     and sample inside the unit disk. Sampling uses bilinear filtering.
 //   - The 1D overlap integral evaluates ∫ f1(t·u) f2(-t·R(dθ)u) dt for t∈[-1,1],
 //     approximated by a uniform Riemann sum over `taps` samples.
+//
+// Estimators (same grids in, same μ(u) out; f2' denotes the mirrored, rotated
+// grid 2, f2'(p) = f2(-R(dθ)p)):
+//   - 'chord'      the 1D overlap integral above: ∫ f1(t·u) f2'(t·u) dt
+//   - 'overlap2d'  full 2D cross-correlation C(s) = ∫∫ f1(p) f2'(p - s) dp,
+//                  peak-normalized and integrated along the shift line s = τ·u,
+//                  τ∈[-2,2]. Accounts for off-chord facets (cached per dθ)
+//   - 'projection' the ndftest velocity method: project f1 and f2' onto u
+//                  (integrating along u⊥), cross-correlate the two 1D profiles
+//                  and return the equivalent width ∫g / g(τ*) of the
+//                  correlation g, with τ* refined by a quadratic peak fit
+//   Absolute scales differ between estimators (k absorbs them); compare the
+//   directional shapes.
+//
+// Static vs kinetic:
+//   The profile above is the breakaway (static) μs(u): at rest the surfaces
+//   settle where their NDFs interlock best. Once sliding, surface 2's NDF is
+//   shifted along u relative to surface 1's, so the kinetic μk(u) scales μs(u)
+//   by the chord overlap averaged over shifts δ∈[-kineticShift, kineticShift]
+//   relative to the best-interlocking shift in that window:
+//     O(δ) = ∫ f1(t·u) f2'((t-δ)·u) dt,   μk(u) = μs(u) · mean O(δ) / max O(δ)
+//   (f2' is mirrored, so O peaks away from δ = 0 when the NDFs are not
+//   centred). Narrow (smooth) NDFs lose most of their overlap when shifted,
+//   so they get a large static/kinetic gap; broad (rough) ones keep μk close
+//   to μs. The ratio is the same for every estimator.
 // -----------------------------------------------------------------------------
 
 class Friction {
@@ -77,23 +141,100 @@ class Friction {
         this.M = options.M ?? 1.0;
         this.dTheta = options.dTheta ?? 0.0;
         this.taps = options.taps ?? 256;
+        this.kineticShift = options.kineticShift ?? 0.25;
+        this.projection =
+            options.projection ??
+            (surface1 && surface1.projection) ??
+            'orthographic';
+        this.perSteradian = options.perSteradian ?? false;
+        if (
+            surface1 &&
+            surface2 &&
+            surface1.projection &&
+            surface1.projection !== (surface2.projection ?? 'orthographic')
+        ) {
+            throw new Error('Both surfaces must use the same NDF projection');
+        }
+        for (const surface of [surface1, surface2]) {
+            if (
+                options.projection &&
+                surface &&
+                surface.projection &&
+                surface.projection !== options.projection
+            ) {
+                throw new Error(
+                    `NDF projection '${options.projection}' does not match ` +
+                        `the samples' projection '${surface.projection}'`
+                );
+            }
+        }
+        this.estimator = options.estimator ?? 'chord';
+        if (!Friction.ESTIMATORS.includes(this.estimator)) {
+            throw new Error(`Unknown friction estimator: ${this.estimator}`);
+        }
+        this.useFFT = options.useFFT ?? true;
+        this._correlationCache = new Map();
 
-        // Build NDF grids (PEAK-normalized)
-        this.ndfGrid1 = this._buildGrid(
-            this.ndfSamples1,
-            this.areaWeights1,
-            this.bins
-        );
-        this.ndfGrid2 = this._buildGrid(
-            this.ndfSamples2,
-            this.areaWeights2,
-            this.bins
-        );
+        // Optional analytic NDFs (replace the samples)
+        this.ndfModel1 = options.ndfModel1 ?? null;
+        this.ndfModel2 = options.ndfModel2 ?? null;
+
+        // Build NDF grids (PEAK-normalized), unless precomputed ones are given
+        this.ndfGrid1 =
+            options.ndfGrid1 ??
+            (this.ndfModel1
+                ? this.ndfModel1.toGrid(this.bins, this._gridOptions())
+                : this._buildGrid(
+                      this.ndfSamples1,
+                      this.areaWeights1,
+                      this.bins
+                  ));
+        this.ndfGrid2 =
+            options.ndfGrid2 ??
+            (this.ndfModel2
+                ? this.ndfModel2.toGrid(this.bins, this._gridOptions())
+                : this._buildGrid(
+                      this.ndfSamples2,
+                      this.areaWeights2,
+                      this.bins
+                  ));
 
         this.loadscaling =
             this.Fref > 0 ? Math.pow(this.FN / this.Fref, this.alpha) : 1.0;
         this.numDirs = 72;
-        this.directionalProfileCache = this.directionalProfile();
+        this.directionalProfileCache =
+            options.profile ?? this.directionalProfile();
+        this.kineticProfileCache = null; // computed on first use
+        this.rotationMapCache = null; // computed on first use
+    }
+
+    /**
+     * Convenience factory: build a Friction model straight from two Surface
+     * instances, using their area-weighted NDF samples.
+     */
+    static fromSurfaces(surface1, surface2, options = {}) {
+        return new Friction(
+            surface1,
+            surface2,
+            surface1.areaWeights,
+            surface2.areaWeights,
+            surface1.ndfSamples,
+            surface2.ndfSamples,
+            surface1.normals,
+            surface2.normals,
+            options
+        );
+    }
+
+    /**
+     * Build a Friction model from two analytic NDFs (NDFModel), no samples.
+     */
+    static fromNDFModels(model1, model2, options = {}) {
+        return new Friction(null, null, [], [], [], [], [], [], {
+            ...options,
+            ndfModel1: model1,
+            ndfModel2: model2,
+        });
     }
 
     // ---------------------------------------------------------------------
@@ -107,29 +248,208 @@ class Friction {
         for (let i = 0; i < this.numDirs; i++) {
             const a = (i / this.numDirs) * Math.PI * 2.0;
             angles[i] = a;
-            mus[i] =
-                this.k *
-                this._overlap1D(a, this.dTheta, this.taps) *
-                this.loadscaling;
+            mus[i] = this.k * this._estimate(a, this.dTheta) * this.loadscaling;
         }
         this.directionalProfileCache = { angles: angles, mus: mus };
         return this.directionalProfileCache;
     }
 
+    /**
+     * μ for a sliding direction `angle` (radians, in surface 1's tangent frame).
+     * Any angle is accepted; it is wrapped into [0, 2π) before the lookup.
+     * This is the static (breakaway) coefficient, see getStaticMuAtAngle().
+     */
     getMuAtAngle(angle) {
         if (!this.directionalProfileCache) {
             this.directionalProfile();
         }
-        const index = Math.floor(
-            ((angle % (2 * Math.PI)) / (2 * Math.PI)) * this.numDirs
+        return this._profileLookup(this.directionalProfileCache, angle);
+    }
+
+    /**
+     * Static (breakaway) μs for a sliding direction, the directional profile.
+     */
+    getStaticMuAtAngle(angle) {
+        return this.getMuAtAngle(angle);
+    }
+
+    /**
+     * Kinetic (sliding) μk for a sliding direction, see "Static vs kinetic"
+     * in the header. Never exceeds getStaticMuAtAngle(angle).
+     */
+    getKineticMuAtAngle(angle) {
+        return this._profileLookup(
+            this.kineticProfileCache || this.kineticProfile(),
+            angle
+        );
+    }
+
+    /**
+     * Kinetic counterpart of directionalProfile(), on the same directions.
+     * @returns {{angles:number[], mus:number[]}}
+     */
+    kineticProfile() {
+        const staticProfile =
+            this.directionalProfileCache || this.directionalProfile();
+        const angles = staticProfile.angles.slice();
+        const mus = angles.map(
+            (a, i) => staticProfile.mus[i] * this._kineticRatio(a, this.dTheta)
         );
-        return this.directionalProfileCache.mus[index];
+        this.kineticProfileCache = { angles, mus };
+        return this.kineticProfileCache;
+    }
+
+    /**
+     * μ over sliding direction × relative rotation of surface 2 (same
+     * convention as the `dTheta` option). Rows are rotations, columns are
+     * directions, so `mus` plots directly as a heatmap. For every rotation the
+     * ridges record the direction of lowest / highest μ.
+     * @returns {{angles:number[], rotations:number[], mus:number[][],
+     *            minRidge:{rotation:number, angle:number, mu:number}[],
+     *            maxRidge:{rotation:number, angle:number, mu:number}[]}}
+     */
+    rotationMap(
+        numDirs = this.numDirs,
+        numRotations = 72,
+        maxRotation = 2 * Math.PI
+    ) {
+        const angles = Array.from(
+            { length: numDirs },
+            (_, i) => (i / numDirs) * Math.PI * 2.0
+        );
+        const rotations = Array.from(
+            { length: numRotations },
+            (_, j) => (j / numRotations) * maxRotation
+        );
+        const mus = [];
+        const minRidge = [];
+        const maxRidge = [];
+
+        for (const rotation of rotations) {
+            const row = angles.map(
+                a => this.k * this._estimate(a, rotation) * this.loadscaling
+            );
+            let iMin = 0,
+                iMax = 0;
+            for (let i = 1; i < numDirs; i++) {
+                if (row[i] < row[iMin]) iMin = i;
+                if (row[i] > row[iMax]) iMax = i;
+            }
+            minRidge.push({ rotation, angle: angles[iMin], mu: row[iMin] });
+            maxRidge.push({ rotation, angle: angles[iMax], mu: row[iMax] });
+            mus.push(row);
+        }
+        this.rotationMapCache = { angles, rotations, mus, minRidge, maxRidge };
+        return this.rotationMapCache;
+    }
+
+    /**
+     * Relative rotation of surface 2 that minimises (`goal: 'min'`) or
+     * maximises (`goal: 'max'`) μ. With `angle` (radians) the sliding
+     * direction is fixed and only the rotation is chosen; without it the
+     * extremum is taken over the whole map. Uses the cached rotation map
+     * unless `map` is given (computing the default one if needed).
+     * @returns {{rotation:number, angle:number, mu:number}}
+     */
+    bestOrientation({ goal = 'min', angle = null, map = null } = {}) {
+        if (goal !== 'min' && goal !== 'max') {
+            throw new Error(`Unknown orientation goal: ${goal}`);
+        }
+        map = map || this.rotationMapCache || this.rotationMap();
+        const better = goal === 'min' ? (a, b) => a < b : (a, b) => a > b;
+
+        if (angle === null || angle === undefined) {
+            const ridge = goal === 'min' ? map.minRidge : map.maxRidge;
+            return ridge.reduce((best, r) =>
+                better(r.mu, best.mu) ? r : best
+            );
+        }
+
+        // Nearest sampled direction
+        const twoPi = 2 * Math.PI;
+        const a = ((angle % twoPi) + twoPi) % twoPi;
+        const n = map.angles.length;
+        const col = Math.round((a / twoPi) * n) % n;
+        let best = 0;
+        for (let j = 1; j < map.rotations.length; j++) {
+            if (better(map.mus[j][col], map.mus[best][col])) best = j;
+        }
+        return {
+            rotation: map.rotations[best],
+            angle: map.angles[col],
+            mu: map.mus[best][col],
+        };
+    }
+
+    /**
+     * Least-squares fit of a friction ellipse to a directional profile
+     * (defaults to the cached one), in the form the solver applies: with
+     * principal coefficients (muX, muY) along axes rotated by `angle`, its
+     * maximum-dissipation cone resists sliding along φ with
+     *   μ(φ)² = muX²·cos²(φ-angle) + muY²·sin²(φ-angle)
+     * (RigidBodySimScene._projectFrictionEllipse), which is linear in
+     * (1, cos2φ, sin2φ), so the fit is a 3×3 solve on μ².
+     * @returns {{muX:number, muY:number, angle:number, rmsError:number}}
+     *          angle in radians (surface 1 frame), muX ≤ muY
+     */
+    fitEllipse(profile = this.directionalProfileCache) {
+        const { angles, mus } = profile;
+
+        // Normal equations for y = p0 + p1 cos2φ + p2 sin2φ, y = μ²
+        const A = [
+            [0, 0, 0],
+            [0, 0, 0],
+            [0, 0, 0],
+        ];
+        const b = [0, 0, 0];
+        for (let i = 0; i < angles.length; i++) {
+            const row = [1, Math.cos(2 * angles[i]), Math.sin(2 * angles[i])];
+            const y = mus[i] * mus[i];
+            for (let r = 0; r < 3; r++) {
+                b[r] += row[r] * y;
+                for (let c = 0; c < 3; c++) A[r][c] += row[r] * row[c];
+            }
+        }
+        if (angles.length < 3) {
+            const mean = angles.length
+                ? mus.reduce((sum, mu) => sum + mu, 0) / mus.length
+                : 0;
+            return { muX: mean, muY: mean, angle: 0, rmsError: 0 };
+        }
+
+        // y = p0 - m·cos2(φ-angle): smallest along `angle` (muX)
+        const [p0, p1, p2] = this._solve3x3(A, b);
+        const m = Math.hypot(p1, p2);
+        const angle = 0.5 * Math.atan2(-p2, -p1);
+        const muX = Math.sqrt(Math.max(p0 - m, 0));
+        const muY = Math.sqrt(Math.max(p0 + m, 0));
+
+        // Residual in μ units
+        let err2 = 0;
+        for (let i = 0; i < angles.length; i++) {
+            const c = Math.cos(angles[i] - angle),
+                s = Math.sin(angles[i] - angle);
+            const fit = Math.sqrt(muX * muX * c * c + muY * muY * s * s);
+            err2 += (fit - mus[i]) * (fit - mus[i]);
+        }
+        return {
+            muX,
+            muY,
+            angle,
+            rmsError: Math.sqrt(err2 / angles.length),
+        };
     }
 
     /**
      * Rebuild NDFs (e.g., if samples or weights changed). Uses PEAK normalization.
+     * The directional profile is recomputed; the kinetic profile and rotation
+     * map are dropped and recomputed on next use.
      */
     rebuild(ndfSamples1, areaWeights1, ndfSamples2, areaWeights2) {
+        this.ndfModel1 = this.ndfModel2 = null;
+        this._correlationCache.clear();
+        this.kineticProfileCache = null;
+        this.rotationMapCache = null;
         if (ndfSamples1) this.ndfSamples1 = ndfSamples1;
         if (areaWeights1) this.areaWeights1 = areaWeights1;
         if (ndfSamples2) this.ndfSamples2 = ndfSamples2;
@@ -144,6 +464,7 @@ class Friction {
             this.areaWeights2,
             this.bins
         );
+        this.directionalProfile();
     }
 
     // ---------------------------------------------------------------------
@@ -171,21 +492,11 @@ class Friction {
      */
 
     _buildGrid(samples, weights, bins) {
-        const grid = new Float32Array(bins * bins);
-        const binSize = 2.0 / bins;
-
-        // Accumulate sample weights into bins (ignore samples outside unit disk)
-        for (let i = 0; i < samples.length; i++) {
-            const s = samples[i];
-            const w = weights && weights[i] != null ? weights[i] : 1.0;
-            const x = s.x,
-                y = s.y;
-            if (x * x + y * y > 1.0) continue;
-            const bx = Math.floor((x + 1.0) / binSize);
-            const by = Math.floor((y + 1.0) / binSize);
-            if (bx < 0 || bx >= bins || by < 0 || by >= bins) continue;
-            grid[by * bins + bx] += w;
-        }
+        // Accumulate sample weights into bins (ignore samples outside unit
+        // disk), divided by the bins' solid angle with perSteradian
+        const grid = Float32Array.from(
+            NDFProjection.histogram(samples, weights, bins, this._gridOptions())
+        );
 
         // PEAK (L∞) normalization: max value becomes 1 (if nonzero)
         let maxV = 0.0;
@@ -196,6 +507,72 @@ class Friction {
         return grid;
     }
 
+    // Projection settings shared by sample and model grids
+    _gridOptions() {
+        return {
+            projection: this.projection,
+            perSteradian: this.perSteradian,
+        };
+    }
+
+    /**
+     * Model options plus the parameters of both surfaces (when they are
+     * Surface instances), for exported files.
+     */
+    getParameters() {
+        const surfaceParams = s =>
+            s && typeof s.getParameters === 'function'
+                ? s.getParameters()
+                : undefined;
+        return {
+            bins: this.bins,
+            k: this.k,
+            FN: this.FN,
+            Fref: this.Fref,
+            alpha: this.alpha,
+            M: this.M,
+            dTheta: this.dTheta,
+            taps: this.taps,
+            kineticShift: this.kineticShift,
+            estimator: this.estimator,
+            projection: this.projection,
+            perSteradian: this.perSteradian,
+            useFFT: this.useFFT,
+            numDirs: this.numDirs,
+            surface1: surfaceParams(this.surface1),
+            surface2: surfaceParams(this.surface2),
+            ndfModel1: this.ndfModel1 ? this.ndfModel1.toJSON() : undefined,
+            ndfModel2: this.ndfModel2 ? this.ndfModel2.toJSON() : undefined,
+        };
+    }
+
+    /**
+     * Solve a 3×3 linear system by Cramer's rule (returns zeros if singular).
+     */
+    _solve3x3(A, b) {
+        const det = M =>
+            M[0][0] * (M[1][1] * M[2][2] - M[1][2] * M[2][1]) -
+            M[0][1] * (M[1][0] * M[2][2] - M[1][2] * M[2][0]) +
+            M[0][2] * (M[1][0] * M[2][1] - M[1][1] * M[2][0]);
+        const D = det(A);
+        if (Math.abs(D) < 1e-18) return [0, 0, 0];
+        return [0, 1, 2].map(
+            col =>
+                det(
+                    A.map((row, r) => row.map((v, c) => (c === col ? b[r] : v)))
+                ) / D
+        );
+    }
+
+    // Profile value for the sampled direction nearest `angle` (wrapped), as
+    // in bestOrientation()
+    _profileLookup(profile, angle) {
+        const twoPi = 2 * Math.PI;
+        const n = profile.mus.length;
+        const a = ((angle % twoPi) + twoPi) % twoPi;
+        return profile.mus[Math.round((a / twoPi) * n) % n];
+    }
+
     /**
      * Bilinear fetch from a grid at (x,y) ∈ [-1,1]^2. Returns 0 outside unit disk.
      */
@@ -235,12 +612,13 @@ class Friction {
      * @param {number} uAngle - The angle (in radians) defining the integration direction
      * @param {number} dTheta - The angular offset (in radians) between the two surfaces
      * @param {number} taps - The number of sample points for numerical integration
+     * @param {number} shift - Offset δ of surface 2 along the direction (default 0)
      * @returns {number} The computed overlap integral value, scaled by the integration step size
      *
      * @private
      *
      */
-    _overlap1D(uAngle, dTheta, taps) {
+    _overlap1D(uAngle, dTheta, taps, shift = 0) {
         const g1 = this.ndfGrid1,
             g2 = this.ndfGrid2;
         const bins1 = this.bins,
@@ -258,12 +636,277 @@ class Friction {
             const t = -tMax + i * dt;
             const x1 = t * ux,
                 y1 = t * uy; // surface 1
-            const x2 = -t * u2x,
-                y2 = -t * u2y; // surface 2 (mirrored & rotated)
+            const x2 = -(t - shift) * u2x,
+                y2 = -(t - shift) * u2y; // surface 2 (mirrored, rotated, shifted)
             const f1 = this._sampleGrid(g1, bins1, x1, y1);
             const f2 = this._sampleGrid(g2, bins2, x2, y2);
             sum += f1 * f2;
         }
         return sum * dt;
     }
+
+    /**
+     * μk/μs for sliding direction uAngle: mean chord overlap over the shift
+     * window [-kineticShift, kineticShift] relative to the largest overlap in
+     * it (header, "Static vs kinetic"), in [0, 1].
+     * @private
+     */
+    _kineticRatio(uAngle, dTheta, shifts = 9) {
+        let sum = 0.0,
+            peak = 0.0;
+        for (let j = 0; j < shifts; j++) {
+            const shift = this.kineticShift * ((2 * j) / (shifts - 1) - 1);
+            const o = this._overlap1D(uAngle, dTheta, this.taps, shift);
+            sum += o;
+            peak = Math.max(peak, o);
+        }
+        return peak > 0 ? sum / shifts / peak : 1.0;
+    }
+
+    /**
+     * Estimator dispatch (see header): overlap measure for sliding direction
+     * uAngle with surface 2 rotated by dTheta.
+     * @private
+     */
+    _estimate(uAngle, dTheta) {
+        switch (this.estimator) {
+            case 'overlap2d':
+                return this._overlap2D(uAngle, dTheta, this.taps);
+            case 'projection':
+                return this._projectionWidth(uAngle, dTheta, this.taps);
+            default:
+                return this._overlap1D(uAngle, dTheta, this.taps);
+        }
+    }
+
+    /**
+     * Mirrored, rotated grid 2 resampled on the grid nodes: f2'(p) = f2(-R(dθ)p).
+     * @private
+     */
+    _mirroredGrid2(dTheta) {
+        const bins = this.bins;
+        const h = 2.0 / (bins - 1);
+        const c = Math.cos(dTheta),
+            s = Math.sin(dTheta);
+        const out = new Float32Array(bins * bins);
+        for (let j = 0; j < bins; j++) {
+            const y = -1.0 + j * h;
+            for (let i = 0; i < bins; i++) {
+                const x = -1.0 + i * h;
+                out[j * bins + i] = this._sampleGrid(
+                    this.ndfGrid2,
+                    bins,
+                    -(c * x - s * y),
+                    -(s * x + c * y)
+                );
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Peak-normalized 2D cross-correlation C(s) = Σ_p f1(p) f2'(p - s) over
+     * integer node shifts, a (2·bins-1)² row-major grid with zero shift at
+     * index (bins-1, bins-1). Cached per dTheta. Uses FFT.crossCorrelate2D
+     * when `useFFT` is set, a direct sum over the non-zero nodes otherwise.
+     * @private
+     */
+    _correlation2D(dTheta) {
+        const cached = this._correlationCache.get(dTheta);
+        if (cached) return cached;
+
+        const bins = this.bins;
+        const n = 2 * bins - 1;
+        const g1 = this.ndfGrid1;
+        const g2 = this._mirroredGrid2(dTheta);
+        const corr = this.useFFT
+            ? Float32Array.from(FFT.crossCorrelate2D(g1, g2, bins, bins))
+            : this._directCorrelation2D(g1, g2, bins);
+
+        let maxV = 0.0;
+        for (let i = 0; i < corr.length; i++) maxV = Math.max(maxV, corr[i]);
+        const scale = maxV > 0 ? 1.0 / maxV : 1.0;
+        for (let i = 0; i < corr.length; i++) corr[i] *= scale;
+
+        this._correlationCache.set(dTheta, corr);
+        return corr;
+    }
+
+    // Σ_p g1(p) g2(p - s) over the non-zero nodes of both grids (the disk)
+    _directCorrelation2D(g1, g2, bins) {
+        const n = 2 * bins - 1;
+        const corr = new Float32Array(n * n);
+        const nonZero = g => {
+            const idx = [];
+            for (let i = 0; i < g.length; i++) if (g[i] > 0) idx.push(i);
+            return idx;
+        };
+        const nz1 = nonZero(g1),
+            nz2 = nonZero(g2);
+        for (const p of nz1) {
+            const px = p % bins,
+                py = (p - px) / bins;
+            const v1 = g1[p];
+            for (const q of nz2) {
+                const qx = q % bins,
+                    qy = (q - qx) / bins;
+                corr[(py - qy + bins - 1) * n + (px - qx + bins - 1)] +=
+                    v1 * g2[q];
+            }
+        }
+        return corr;
+    }
+
+    /**
+     * 'overlap2d' estimator: ∫ C(τ·u) dτ for τ∈[-2,2] (bilinear in C).
+     * @private
+     */
+    _overlap2D(uAngle, dTheta, taps) {
+        const corr = this._correlation2D(dTheta);
+        const bins = this.bins;
+        const n = 2 * bins - 1;
+        const h = 2.0 / (bins - 1);
+        const ux = Math.cos(uAngle),
+            uy = Math.sin(uAngle);
+        const tMax = 2.0;
+        const dt = (2 * tMax) / Math.max(1, taps - 1);
+        let sum = 0.0;
+        for (let i = 0; i < taps; i++) {
+            const t = -tMax + i * dt;
+            const u = (t * ux) / h + bins - 1;
+            const v = (t * uy) / h + bins - 1;
+            const x0 = Math.floor(u),
+                y0 = Math.floor(v);
+            if (x0 < 0 || y0 < 0 || x0 >= n - 1 || y0 >= n - 1) continue;
+            const tx = u - x0,
+                ty = v - y0;
+            const o = y0 * n + x0;
+            const c0 = corr[o] * (1 - tx) + corr[o + 1] * tx;
+            const c1 = corr[o + n] * (1 - tx) + corr[o + n + 1] * tx;
+            sum += c0 * (1 - ty) + c1 * ty;
+        }
+        return sum * dt;
+    }
+
+    /**
+     * Project a grid sampler onto direction u by integrating along u⊥
+     * (ndftest projectHistogram1D). Returns the profile over α∈[-√2, √2],
+     * normalized to unit area (all zeros for an empty grid).
+     * @private
+     */
+    _projectHistogram1D(sampler, uAngle, samples) {
+        const ux = Math.cos(uAngle),
+            uy = Math.sin(uAngle);
+        const extent = Math.SQRT2; // covers [-1,1]^2 in any direction
+        const d = (2 * extent) / (samples - 1);
+        const xs = new Float64Array(samples);
+        const ys = new Float64Array(samples);
+        let area = 0.0;
+        for (let ia = 0; ia < samples; ia++) {
+            const a = -extent + ia * d;
+            let acc = 0.0;
+            // Grids vanish outside the unit disk: only visit the chord |b| ≤ h
+            const h = Math.sqrt(Math.max(0, 1 - a * a));
+            const ib0 = Math.max(0, Math.ceil((extent - h) / d));
+            const ib1 = Math.min(samples - 1, Math.floor((extent + h) / d));
+            for (let ib = ib0; ib <= ib1; ib++) {
+                const b = -extent + ib * d;
+                acc += sampler(a * ux - b * uy, a * uy + b * ux);
+            }
+            xs[ia] = a;
+            ys[ia] = acc * d;
+            area += ys[ia] * d;
+        }
+        if (area > 0) for (let i = 0; i < samples; i++) ys[i] /= area;
+        return { xs, ys };
+    }
+
+    /**
+     * g(τ) = ∫ p1(α) p2(α - τ) dα on the α lattice (ndftest crossCorrelate1D),
+     * for every whole-sample shift τ = (k - (n-1))·Δα, normalized to unit
+     * area. FFT.crossCorrelate when `useFFT` is set, a direct sum otherwise.
+     * @private
+     */
+    _crossCorrelate1D(alpha, p1, p2) {
+        const n = alpha.length;
+        const dA = alpha[1] - alpha[0];
+        let g;
+        if (this.useFFT) {
+            g = FFT.crossCorrelate(p1, p2);
+        } else {
+            g = new Float64Array(2 * n - 1);
+            for (let i = 0; i < n; i++) {
+                if (p1[i] === 0) continue;
+                for (let j = 0; j < n; j++) g[i - j + n - 1] += p1[i] * p2[j];
+            }
+        }
+        const tau = new Float64Array(2 * n - 1);
+        let area = 0.0;
+        for (let k = 0; k < g.length; k++) {
+            tau[k] = (k - (n - 1)) * dA;
+            g[k] *= dA;
+            area += g[k] * dA;
+        }
+        if (area > 0) for (let k = 0; k < g.length; k++) g[k] /= area;
+        return { tau, g };
+    }
+
+    /**
+     * Parabola through samples k-1, k, k+1: refined peak {x, y}
+     * (ndftest quadraticPeak, also returning the interpolated height).
+     * @private
+     */
+    _quadraticPeak(xs, ys, k) {
+        if (k <= 0 || k >= ys.length - 1) return { x: xs[k], y: ys[k] };
+        const y1 = ys[k - 1],
+            y2 = ys[k],
+            y3 = ys[k + 1];
+        const denom = y1 - 2 * y2 + y3;
+        if (!isFinite(denom) || Math.abs(denom) < 1e-12) {
+            return { x: xs[k], y: y2 };
+        }
+        const offset = (0.5 * (y1 - y3)) / denom; // index units
+        return {
+            x: xs[k] + offset * (xs[k] - xs[k - 1]),
+            y: y2 - 0.25 * (y1 - y3) * offset,
+        };
+    }
+
+    /**
+     * 'projection' estimator: equivalent width 1 / g(τ*) of the unit-area
+     * cross-correlation of the projected NDFs.
+     * @private
+     */
+    _projectionWidth(uAngle, dTheta, taps) {
+        const bins = this.bins;
+        const c = Math.cos(dTheta),
+            s = Math.sin(dTheta);
+        const p1 = this._projectHistogram1D(
+            (x, y) => this._sampleGrid(this.ndfGrid1, bins, x, y),
+            uAngle,
+            taps
+        );
+        const p2 = this._projectHistogram1D(
+            (x, y) =>
+                this._sampleGrid(
+                    this.ndfGrid2,
+                    bins,
+                    -(c * x - s * y),
+                    -(s * x + c * y)
+                ),
+            uAngle,
+            taps
+        );
+        const { tau, g } = this._crossCorrelate1D(p1.xs, p1.ys, p2.ys);
+        let k = 0;
+        for (let i = 1; i < g.length; i++) if (g[i] > g[k]) k = i;
+        const peak = this._quadraticPeak(tau, g, k).y;
+        return peak > 0 ? 1.0 / peak : 0.0;
+    }
+}
+
+Friction.ESTIMATORS = ['chord', 'overlap2d', 'projection'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Friction;
 }
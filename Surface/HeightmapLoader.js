@@ -0,0 +1,399 @@
+// Measured topography import (profilometer / AFM data) for Surface
+// -----------------------------------------------------------------------------
+// Every loader returns the same plain heightmap object, which Surface accepts
+// through options.heightmap (or Surface.fromHeightmap):
+//
+//   { cols, rows, dx, dy, heights: Float32Array(cols*rows) }
+//
+//   - heights are row-major; row 0 is the +y edge and column 0 the -x edge,
+//     i.e. the vertex order of THREE.PlaneGeometry (and of image files)
+//   - dx, dy are the sample spacings; heights use the same length unit
+//
+// Supported sources:
+//   - CSV / ASCII grid   one row of heights per line, separated by commas,
+//                        semicolons, tabs or spaces. Lines starting with '#'
+//                        are comments; '# dx=…', '# dy=…', '# zScale=…' set the
+//                        spacing/scale (this is also what SurfaceExporter writes)
+//   - XYZ triples        'x y z' per line on a regular grid (any order);
+//                        missing grid points are filled with the mean height
+//   - PNG heightmap      8- or 16-bit grayscale (alpha ignored); height =
+//                        raw value * zScale (+ zOffset). tEXt chunks named
+//                        dx, dy, zScale, zOffset are read as header values
+//   - Float32 binary     little-endian, 24-byte header:
+//                          char[4] magic 'HMF1'
+//                          uint32  cols, uint32 rows
+//                          float32 dx, float32 dy, float32 zScale
+//                        followed by cols*rows float32 heights (scaled by zScale)
+//
+// Options (all loaders): dx, dy, zScale (default 1), zOffset (default 0).
+// Values found in a file header win over dx/dy defaults, not over explicit ones.
+// -----------------------------------------------------------------------------
+
+class HeightmapLoader {
+    /**
+     * Load a File/Blob (browser) or { name, data: ArrayBuffer|Buffer } (Node),
+     * choosing the parser from the file extension.
+     * @returns {Promise<{cols:number, rows:number, dx:number, dy:number, heights:Float32Array}>}
+     */
+    static async load(file, options = {}) {
+        const name = (file.name || '').toLowerCase();
+        const ext = name.slice(name.lastIndexOf('.') + 1);
+        const buffer =
+            file.data !== undefined
+                ? HeightmapLoader._toArrayBuffer(file.data)
+                : await file.arrayBuffer();
+
+        switch (ext) {
+            case 'png':
+                return HeightmapLoader.parsePNG(buffer, options);
+            case 'hmf':
+            case 'bin':
+            case 'f32':
+                return HeightmapLoader.parseFloat32(buffer, options);
+            case 'xyz':
+                return HeightmapLoader.parseXYZ(
+                    HeightmapLoader._decodeText(buffer),
+                    options
+                );
+            case 'csv':
+            case 'txt':
+            case 'asc':
+                return HeightmapLoader.parseGrid(
+                    HeightmapLoader._decodeText(buffer),
+                    options
+                );
+            default:
+                throw new Error(`Unsupported heightmap format: .${ext}`);
+        }
+    }
+
+    /**
+     * Parse a CSV/ASCII height grid (one row per line).
+     */
+    static parseGrid(text, options = {}) {
+        const header = {};
+        const rowsData = [];
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
+            if (line.startsWith('#')) {
+                const m = line.match(/^#\s*(\w+)\s*[=:]\s*([-+0-9.eE]+)/);
+                if (m) header[m[1]] = parseFloat(m[2]);
+                continue;
+            }
+            const values = line
+                .split(/[,;\s]+/)
+                .filter(Boolean)
+                .map(Number);
+            if (values.some(v => isNaN(v))) continue; // e.g. a column header
+            rowsData.push(values);
+        }
+        if (!rowsData.length) throw new Error('Heightmap grid is empty');
+
+        const cols = rowsData[0].length;
+        if (rowsData.some(r => r.length !== cols)) {
+            throw new Error('Heightmap grid rows have different lengths');
+        }
+        const rows = rowsData.length;
+        const heights = new Float32Array(cols * rows);
+        rowsData.forEach((r, j) => heights.set(r, j * cols));
+
+        return HeightmapLoader._finish(cols, rows, heights, header, options);
+    }
+
+    /**
+     * Parse 'x y z' triples sampled on a regular grid.
+     */
+    static parseXYZ(text, options = {}) {
+        const points = [];
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) continue;
+            const v = line
+                .split(/[,;\s]+/)
+                .filter(Boolean)
+                .map(Number);
+            if (v.length < 3 || v.some(n => isNaN(n))) continue;
+            points.push(v);
+        }
+        if (!points.length) throw new Error('XYZ file has no points');
+
+        // Distinct coordinates, rounded to absorb printing noise
+        const key = x => +x.toPrecision(9);
+        const xs = [...new Set(points.map(p => key(p[0])))].sort(
+            (a, b) => a - b
+        );
+        const ys = [...new Set(points.map(p => key(p[1])))].sort(
+            (a, b) => b - a // row 0 = +y
+        );
+        const cols = xs.length,
+            rows = ys.length;
+        const xi = new Map(xs.map((x, i) => [x, i]));
+        const yi = new Map(ys.map((y, j) => [y, j]));
+
+        const heights = new Float32Array(cols * rows).fill(NaN);
+        let sum = 0;
+        for (const [x, y, z] of points) {
+            heights[yi.get(key(y)) * cols + xi.get(key(x))] = z;
+            sum += z;
+        }
+        const mean = sum / points.length;
+        for (let i = 0; i < heights.length; i++) {
+            if (isNaN(heights[i])) heights[i] = mean;
+        }
+
+        const header = {
+            dx: cols > 1 ? (xs[cols - 1] - xs[0]) / (cols - 1) : 1,
+            dy: rows > 1 ? (ys[0] - ys[rows - 1]) / (rows - 1) : 1,
+        };
+        return HeightmapLoader._finish(cols, rows, heights, header, options);
+    }
+
+    /**
+     * Parse the 'HMF1' float32 binary format (see header).
+     */
+    static parseFloat32(buffer, options = {}) {
+        const view = new DataView(buffer);
+        const magic = String.fromCharCode(
+            view.getUint8(0),
+            view.getUint8(1),
+            view.getUint8(2),
+            view.getUint8(3)
+        );
+        if (magic !== 'HMF1') throw new Error('Not an HMF1 heightmap file');
+        const cols = view.getUint32(4, true);
+        const rows = view.getUint32(8, true);
+        const header = {
+            dx: view.getFloat32(12, true),
+            dy: view.getFloat32(16, true),
+            zScale: view.getFloat32(20, true),
+        };
+        if (buffer.byteLength < 24 + cols * rows * 4) {
+            throw new Error('HMF1 file is truncated');
+        }
+        const heights = new Float32Array(cols * rows);
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] = view.getFloat32(24 + 4 * i, true);
+        }
+        return HeightmapLoader._finish(cols, rows, heights, header, options);
+    }
+
+    /**
+     * Decode an 8/16-bit grayscale PNG (non-interlaced) into heights.
+     */
+    static async parsePNG(buffer, options = {}) {
+        const bytes = new Uint8Array(buffer);
+        const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+        if (signature.some((b, i) => bytes[i] !== b)) {
+            throw new Error('Not a PNG file');
+        }
+
+        const view = new DataView(buffer);
+        let ihdr = null;
+        const idat = [];
+        const header = {};
+        for (let pos = 8; pos < bytes.length;) {
+            const length = view.getUint32(pos);
+            const type = String.fromCharCode(
+                ...bytes.subarray(pos + 4, pos + 8)
+            );
+            const data = bytes.subarray(pos + 8, pos + 8 + length);
+            if (type === 'IHDR') {
+                ihdr = {
+                    width: view.getUint32(pos + 8),
+                    height: view.getUint32(pos + 12),
+                    bitDepth: data[8],
+                    colorType: data[9],
+                    interlace: data[12],
+                };
+            } else if (type === 'tEXt') {
+                const sep = data.indexOf(0);
+                const key = String.fromCharCode(...data.subarray(0, sep));
+                const value = parseFloat(
+                    String.fromCharCode(...data.subarray(sep + 1))
+                );
+                if (
+                    ['dx', 'dy', 'zScale', 'zOffset'].includes(key) &&
+                    !isNaN(value)
+                ) {
+                    header[key] = value;
+                }
+            } else if (type === 'IDAT') {
+                idat.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+            pos += 12 + length;
+        }
+        if (!ihdr) throw new Error('PNG has no IHDR chunk');
+
+        const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[ihdr.colorType];
+        if (!channels || ihdr.bitDepth < 8 || ihdr.interlace !== 0) {
+            throw new Error(
+                'Only non-interlaced 8/16-bit grayscale or RGB(A) PNGs are supported'
+            );
+        }
+
+        const compressed = new Uint8Array(
+            idat.reduce((n, c) => n + c.length, 0)
+        );
+        let offset = 0;
+        for (const c of idat) {
+            compressed.set(c, offset);
+            offset += c.length;
+        }
+        const raw = await HeightmapLoader._inflate(compressed);
+
+        const { width, height, bitDepth } = ihdr;
+        const bpp = (channels * bitDepth) / 8;
+        const pixels = HeightmapLoader._unfilterPNG(raw, width, height, bpp);
+
+        // First channel of each pixel (gray, or red for RGB)
+        const heights = new Float32Array(width * height);
+        const stride = width * bpp;
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const p = j * stride + i * bpp;
+                heights[j * width + i] =
+                    bitDepth === 16
+                        ? (pixels[p] << 8) | pixels[p + 1]
+                        : pixels[p];
+            }
+        }
+        return HeightmapLoader._finish(width, height, heights, header, options);
+    }
+
+    /**
+     * Bilinear resample to cols×rows (keeps the physical extent). Handy for
+     * large AFM scans before building a Surface mesh.
+     */
+    static resample(heightmap, cols, rows) {
+        const width = (heightmap.cols - 1) * heightmap.dx;
+        const height = (heightmap.rows - 1) * heightmap.dy;
+        const dx = cols > 1 ? width / (cols - 1) : heightmap.dx;
+        const dy = rows > 1 ? height / (rows - 1) : heightmap.dy;
+        const heights = new Float32Array(cols * rows);
+        for (let j = 0; j < rows; j++) {
+            const y = height / 2 - j * dy;
+            for (let i = 0; i < cols; i++) {
+                const x = i * dx - width / 2;
+                heights[j * cols + i] = HeightmapLoader.sample(heightmap, x, y);
+            }
+        }
+        return { cols, rows, dx, dy, heights };
+    }
+
+    /**
+     * Bilinear height at (x, y), with the map centred on the origin like the
+     * Surface mesh (+y is row 0). Coordinates outside the map clamp to the edge.
+     */
+    static sample(heightmap, x, y) {
+        const { cols, rows, dx, dy, heights } = heightmap;
+        const gx = Math.min(Math.max(x / dx + (cols - 1) / 2, 0), cols - 1);
+        const gy = Math.min(Math.max((rows - 1) / 2 - y / dy, 0), rows - 1);
+        const x0 = Math.min(Math.floor(gx), Math.max(cols - 2, 0));
+        const y0 = Math.min(Math.floor(gy), Math.max(rows - 2, 0));
+        const x1 = Math.min(x0 + 1, cols - 1),
+            y1 = Math.min(y0 + 1, rows - 1);
+        const tx = gx - x0,
+            ty = gy - y0;
+        const c0 =
+            heights[y0 * cols + x0] * (1 - tx) + heights[y0 * cols + x1] * tx;
+        const c1 =
+            heights[y1 * cols + x0] * (1 - tx) + heights[y1 * cols + x1] * tx;
+        return c0 * (1 - ty) + c1 * ty;
+    }
+
+    // ---------------------------------------------------------------------
+    // Helpers (private)
+    // ---------------------------------------------------------------------
+
+    // Apply spacing/scale (explicit options > file header > defaults)
+    static _finish(cols, rows, heights, header, options) {
+        const zScale = options.zScale ?? header.zScale ?? 1;
+        const zOffset = options.zOffset ?? header.zOffset ?? 0;
+        if (zScale !== 1 || zOffset !== 0) {
+            for (let i = 0; i < heights.length; i++) {
+                heights[i] = heights[i] * zScale + zOffset;
+            }
+        }
+        return {
+            cols,
+            rows,
+            dx: options.dx ?? header.dx ?? 1,
+            dy: options.dy ?? header.dy ?? options.dx ?? header.dx ?? 1,
+            heights,
+        };
+    }
+
+    // Undo PNG scanline filters (None, Sub, Up, Average, Paeth)
+    static _unfilterPNG(raw, width, height, bpp) {
+        const stride = width * bpp;
+        const out = new Uint8Array(stride * height);
+        for (let j = 0; j < height; j++) {
+            const filter = raw[j * (stride + 1)];
+            const src = j * (stride + 1) + 1;
+            const dst = j * stride;
+            for (let i = 0; i < stride; i++) {
+                const x = raw[src + i];
+                const a = i >= bpp ? out[dst + i - bpp] : 0;
+                const b = j > 0 ? out[dst - stride + i] : 0;
+                const c = i >= bpp && j > 0 ? out[dst - stride + i - bpp] : 0;
+                let v;
+                switch (filter) {
+                    case 0:
+                        v = x;
+                        break;
+                    case 1:
+                        v = x + a;
+                        break;
+                    case 2:
+                        v = x + b;
+                        break;
+                    case 3:
+                        v = x + ((a + b) >> 1);
+                        break;
+                    case 4: {
+                        const p = a + b - c;
+                        const pa = Math.abs(p - a),
+                            pb = Math.abs(p - b),
+                            pc = Math.abs(p - c);
+                        v = x + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+                        break;
+                    }
+                    default:
+                        throw new Error(`Bad PNG filter type ${filter}`);
+                }
+                out[dst + i] = v & 0xff;
+            }
+        }
+        return out;
+    }
+
+    // zlib inflate: DecompressionStream in browsers, zlib under Node
+    static async _inflate(bytes) {
+        if (typeof DecompressionStream !== 'undefined') {
+            const stream = new Blob([bytes])
+                .stream()
+                .pipeThrough(new DecompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        return new Uint8Array(require('zlib').inflateSync(bytes));
+    }
+
+    static _decodeText(buffer) {
+        return new TextDecoder().decode(new Uint8Array(buffer));
+    }
+
+    static _toArrayBuffer(data) {
+        if (data instanceof ArrayBuffer) return data;
+        return data.buffer.slice(
+            data.byteOffset,
+            data.byteOffset + data.byteLength
+        );
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeightmapLoader;
+}
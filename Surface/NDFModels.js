@@ -0,0 +1,377 @@
+// Analytic microfacet NDFs (Beckmann, GGX / Trowbridge-Reitz) and their fits
+// -----------------------------------------------------------------------------
+// A compact description of a surface's normal distribution: a type plus three
+// numbers (αx, αy, rotation). Models can be fitted to the area-weighted NDF
+// samples of a Surface and handed to Friction instead of samples
+// (Friction.fromNDFModels / options.ndfModel1, options.ndfModel2), which makes
+// friction evaluation cheap and independent of the mesh resolution.
+//
+// Conventions (same as Surface/Friction):
+//   - micro-normal m = (mx, my, mz), Z-up; NDF disk coordinates (x, y) = (mx, my)
+//   - slopes in the model frame: (tx, ty) = R(-rotation)·(mx, my) / mz
+//   - D(m) is normalized so that ∫ D(m) cosθ dω = 1 over the hemisphere
+//       Beckmann: D = exp(-(tx²/αx² + ty²/αy²)) / (π αx αy cos⁴θ)
+//       GGX:      D = 1 / (π αx αy cos⁴θ (1 + tx²/αx² + ty²/αy²)²)
+//   - area-weighted samples have density D(m) per solid angle, which is
+//     D(m) / cosθ per unit disk area (dω = dx dy / cosθ); densityDisk() returns
+//     that, and toGrid() bins it like Friction._buildGrid (peak-normalized):
+//     D(m) itself when per steradian, else D(m)·dΩ/dA in the chosen
+//     NDFProjection (= densityDisk for the orthographic projection)
+//
+// Fitting (NDFModel.fit): slope covariance moments give a start (α = √2·σ for
+// Beckmann; also used for GGX), then Nelder–Mead on (log αx, log αy, rotation)
+// minimizes the squared error between the normalized sample histogram and the
+// model histogram over the unit disk. Goodness of fit: RMSE (per bin,
+// histogram normalized to sum 1) and R².
+// -----------------------------------------------------------------------------
+
+class NDFModel {
+    /**
+     * @param {'beckmann'|'ggx'} type
+     * @param {number} alphaX   - roughness along the model's x axis
+     * @param {number} alphaY   - roughness along y (defaults to alphaX: isotropic)
+     * @param {number} rotation - model x axis angle from surface +x (radians)
+     */
+    constructor(type, alphaX, alphaY = alphaX, rotation = 0) {
+        if (type !== 'beckmann' && type !== 'ggx') {
+            throw new Error(`Unknown NDF model type: ${type}`);
+        }
+        this.type = type;
+        this.alphaX = alphaX;
+        this.alphaY = alphaY;
+        this.rotation = rotation;
+    }
+
+    /**
+     * D(m) per solid angle for a unit normal (mx, my, mz).
+     */
+    D(mx, my, mz) {
+        if (mz <= 0) return 0;
+        const c = Math.cos(this.rotation),
+            s = Math.sin(this.rotation);
+        const tx = (mx * c + my * s) / mz;
+        const ty = (-mx * s + my * c) / mz;
+        const e =
+            (tx * tx) / (this.alphaX * this.alphaX) +
+            (ty * ty) / (this.alphaY * this.alphaY);
+        const cos4 = mz * mz * mz * mz;
+        const norm = Math.PI * this.alphaX * this.alphaY * cos4;
+        return this.type === 'beckmann'
+            ? Math.exp(-e) / norm
+            : 1 / (norm * (1 + e) * (1 + e));
+    }
+
+    /**
+     * Density of area-weighted micro-normals per unit area of the NDF disk.
+     */
+    densityDisk(x, y) {
+        const r2 = x * x + y * y;
+        if (r2 >= 1) return 0;
+        const mz = Math.sqrt(1 - r2);
+        return this.D(x, y, mz) / mz;
+    }
+
+    /**
+     * bins×bins grid over [-1,1]^2 (row-major, row = y), evaluated at bin
+     * centres inside the unit disk and PEAK-normalized like
+     * Friction._buildGrid.
+     * @param {object} options - projection (default 'orthographic'),
+     *                           perSteradian (default false)
+     */
+    toGrid(bins, { projection = 'orthographic', perSteradian = false } = {}) {
+        const grid = new Float32Array(bins * bins);
+        const binSize = 2.0 / bins;
+        let maxV = 0;
+        for (let by = 0; by < bins; by++) {
+            const y = -1 + (by + 0.5) * binSize;
+            for (let bx = 0; bx < bins; bx++) {
+                const x = -1 + (bx + 0.5) * binSize;
+                const r = Math.hypot(x, y);
+                let v = 0;
+                if (r < 1) {
+                    const m = NDFProjection.toNormal(x, y, projection);
+                    v = this.D(m.x, m.y, m.z);
+                    if (!perSteradian) {
+                        v *= NDFProjection.solidAnglePerArea(r, projection);
+                    }
+                }
+                grid[by * bins + bx] = v;
+                if (v > maxV) maxV = v;
+            }
+        }
+        const s = maxV > 0 ? 1.0 / maxV : 1.0;
+        for (let i = 0; i < grid.length; i++) grid[i] *= s;
+        return grid;
+    }
+
+    toJSON() {
+        return {
+            type: this.type,
+            alphaX: this.alphaX,
+            alphaY: this.alphaY,
+            rotation: this.rotation,
+        };
+    }
+
+    static fromJSON(json) {
+        return new NDFModel(json.type, json.alphaX, json.alphaY, json.rotation);
+    }
+
+    // ---------------------------------------------------------------------
+    // Fitting
+    // ---------------------------------------------------------------------
+
+    /**
+     * Fit a model to NDF samples ({x, y} disk coordinates) and area weights.
+     * @param {object} options - type ('beckmann' | 'ggx', default 'ggx'),
+     *                           anisotropic (default true), bins (default 48),
+     *                           maxIterations (default 400)
+     * @returns {{model: NDFModel, rmse: number, r2: number, iterations: number}}
+     */
+    static fit(samples, weights, options = {}) {
+        const type = options.type ?? 'ggx';
+        const anisotropic = options.anisotropic ?? true;
+        const bins = options.bins ?? 48;
+        const target = NDFModel._histogram(samples, weights, bins);
+        const start = NDFModel.momentEstimate(samples, weights);
+
+        const make = p =>
+            anisotropic
+                ? new NDFModel(type, Math.exp(p[0]), Math.exp(p[1]), p[2])
+                : new NDFModel(type, Math.exp(p[0]));
+        const cost = p =>
+            NDFModel._sse(NDFModel._modelHistogram(make(p), bins), target);
+
+        const x0 = anisotropic
+            ? [Math.log(start.alphaX), Math.log(start.alphaY), start.rotation]
+            : [Math.log(Math.sqrt(start.alphaX * start.alphaY))];
+        const step = anisotropic ? [0.3, 0.3, 0.3] : [0.3];
+        const { x, iterations } = NDFModel._nelderMead(cost, x0, step, {
+            maxIterations: options.maxIterations ?? 400,
+        });
+
+        const model = NDFModel._canonical(make(x));
+        return {
+            model,
+            ...NDFModel.goodnessOfFit(model, target, bins),
+            iterations,
+        };
+    }
+
+    /**
+     * Fit all four variants (isotropic/anisotropic Beckmann/GGX) and sort them
+     * by RMSE (best first).
+     */
+    static fitAll(samples, weights, options = {}) {
+        const fits = [];
+        for (const type of ['beckmann', 'ggx']) {
+            for (const anisotropic of [false, true]) {
+                fits.push({
+                    type,
+                    anisotropic,
+                    ...NDFModel.fit(samples, weights, {
+                        ...options,
+                        type,
+                        anisotropic,
+                    }),
+                });
+            }
+        }
+        return fits.sort((a, b) => a.rmse - b.rmse);
+    }
+
+    /**
+     * Beckmann parameters from the weighted slope covariance (α = √2·σ along
+     * its principal axes). Samples are weighted by projected area (w·mz).
+     */
+    static momentEstimate(samples, weights) {
+        let sw = 0,
+            sxx = 0,
+            syy = 0,
+            sxy = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const { x, y } = samples[i];
+            const r2 = x * x + y * y;
+            if (r2 >= 1) continue;
+            const mz = Math.sqrt(1 - r2);
+            const w = (weights ? weights[i] : 1) * mz;
+            const tx = x / mz,
+                ty = y / mz;
+            sw += w;
+            sxx += w * tx * tx;
+            syy += w * ty * ty;
+            sxy += w * tx * ty;
+        }
+        if (sw === 0) return { alphaX: 0.1, alphaY: 0.1, rotation: 0 };
+        sxx /= sw;
+        syy /= sw;
+        sxy /= sw;
+
+        // Eigen-decomposition of the 2×2 covariance
+        const rotation = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+        const mean = (sxx + syy) / 2;
+        const diff = Math.hypot((sxx - syy) / 2, sxy);
+        const floor = 1e-6;
+        return {
+            alphaX: Math.sqrt(2 * Math.max(mean + diff, floor)),
+            alphaY: Math.sqrt(2 * Math.max(mean - diff, floor)),
+            rotation,
+        };
+    }
+
+    /**
+     * RMSE and R² of a model against a normalized histogram (sum 1).
+     */
+    static goodnessOfFit(model, target, bins) {
+        const fitted = NDFModel._modelHistogram(model, bins);
+        let mean = 0;
+        for (const v of target) mean += v;
+        mean /= target.length;
+        let ssRes = 0,
+            ssTot = 0;
+        for (let i = 0; i < target.length; i++) {
+            ssRes += (target[i] - fitted[i]) ** 2;
+            ssTot += (target[i] - mean) ** 2;
+        }
+        return {
+            rmse: Math.sqrt(ssRes / target.length),
+            r2: ssTot > 0 ? 1 - ssRes / ssTot : 0,
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Helpers (private)
+    // ---------------------------------------------------------------------
+
+    // Sample histogram over the unit disk, normalized to sum 1
+    static _histogram(samples, weights, bins) {
+        const h = new Float64Array(bins * bins);
+        const binSize = 2.0 / bins;
+        let total = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const { x, y } = samples[i];
+            if (x * x + y * y > 1) continue;
+            const bx = Math.floor((x + 1) / binSize);
+            const by = Math.floor((y + 1) / binSize);
+            if (bx < 0 || bx >= bins || by < 0 || by >= bins) continue;
+            const w = weights ? weights[i] : 1;
+            h[by * bins + bx] += w;
+            total += w;
+        }
+        if (total > 0) for (let i = 0; i < h.length; i++) h[i] /= total;
+        return h;
+    }
+
+    // Model mass per bin (centre rule with 2×2 sub-samples), normalized to sum 1
+    static _modelHistogram(model, bins) {
+        const h = new Float64Array(bins * bins);
+        const binSize = 2.0 / bins;
+        let total = 0;
+        for (let by = 0; by < bins; by++) {
+            for (let bx = 0; bx < bins; bx++) {
+                let v = 0;
+                for (let sy = 0.25; sy < 1; sy += 0.5) {
+                    for (let sx = 0.25; sx < 1; sx += 0.5) {
+                        v += model.densityDisk(
+                            -1 + (bx + sx) * binSize,
+                            -1 + (by + sy) * binSize
+                        );
+                    }
+                }
+                h[by * bins + bx] = v;
+                total += v;
+            }
+        }
+        if (total > 0) for (let i = 0; i < h.length; i++) h[i] /= total;
+        return h;
+    }
+
+    static _sse(a, b) {
+        let s = 0;
+        for (let i = 0; i < a.length; i++) s += (a[i] - b[i]) ** 2;
+        return s;
+    }
+
+    // αx ≥ αy and rotation in [0, π)
+    static _canonical(model) {
+        let { alphaX, alphaY, rotation } = model;
+        if (alphaY > alphaX) {
+            [alphaX, alphaY] = [alphaY, alphaX];
+            rotation += Math.PI / 2;
+        }
+        rotation = ((rotation % Math.PI) + Math.PI) % Math.PI;
+        return new NDFModel(model.type, alphaX, alphaY, rotation);
+    }
+
+    // Minimal Nelder–Mead simplex minimizer
+    static _nelderMead(
+        f,
+        x0,
+        step,
+        { maxIterations = 400, tolerance = 1e-12 }
+    ) {
+        const n = x0.length;
+        let simplex = [x0.slice()];
+        for (let i = 0; i < n; i++) {
+            const p = x0.slice();
+            p[i] += step[i];
+            simplex.push(p);
+        }
+        let values = simplex.map(f);
+
+        let iterations = 0;
+        for (; iterations < maxIterations; iterations++) {
+            const order = values
+                .map((v, i) => i)
+                .sort((a, b) => values[a] - values[b]);
+            simplex = order.map(i => simplex[i]);
+            values = order.map(i => values[i]);
+            if (Math.abs(values[n] - values[0]) < tolerance) break;
+
+            const centroid = new Array(n).fill(0);
+            for (let i = 0; i < n; i++) {
+                for (let d = 0; d < n; d++) centroid[d] += simplex[i][d] / n;
+            }
+            const along = t =>
+                centroid.map((c, d) => c + t * (simplex[n][d] - c));
+
+            const reflected = along(-1);
+            const fr = f(reflected);
+            if (fr < values[0]) {
+                const expanded = along(-2);
+                const fe = f(expanded);
+                if (fe < fr) {
+                    simplex[n] = expanded;
+                    values[n] = fe;
+                } else {
+                    simplex[n] = reflected;
+                    values[n] = fr;
+                }
+            } else if (fr < values[n - 1]) {
+                simplex[n] = reflected;
+                values[n] = fr;
+            } else {
+                const contracted = along(fr < values[n] ? -0.5 : 0.5);
+                const fc = f(contracted);
+                if (fc < Math.min(fr, values[n])) {
+                    simplex[n] = contracted;
+                    values[n] = fc;
+                } else {
+                    // Shrink towards the best vertex
+                    for (let i = 1; i <= n; i++) {
+                        simplex[i] = simplex[i].map(
+                            (v, d) => simplex[0][d] + 0.5 * (v - simplex[0][d])
+                        );
+                        values[i] = f(simplex[i]);
+                    }
+                }
+            }
+        }
+        const best = values.indexOf(Math.min(...values));
+        return { x: simplex[best], value: values[best], iterations };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NDFModel;
+}
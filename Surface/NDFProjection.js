@@ -0,0 +1,188 @@
+// Hemisphere-to-disk projections for NDF histograms
+// -----------------------------------------------------------------------------
+// A micro-normal m with polar angle θ (from the macroscopic normal) and azimuth
+// φ maps to the unit disk at (r cosφ, r sinφ), where r(θ) depends on the
+// projection; every projection sends θ = 90° to r = 1:
+//   'orthographic'   r = sin θ             (the original mapping, = (mx, my))
+//   'lambert'        r = √2 sin(θ/2)       equal-area
+//   'stereographic'  r = tan(θ/2)          conformal
+//   'equidistant'    r = θ / (π/2)         θ-linear
+//
+// Bin-area (Jacobian) correction: a disk element dA covers the solid angle
+//   dΩ = (dΩ/dA) dA,   dΩ/dA = sin θ / (r · dr/dθ)
+//   orthographic 1/cos θ · lambert 2 · stereographic 4 cos⁴(θ/2) ·
+//   equidistant π² sin θ / (4θ)
+// so dividing a bin's summed area weights by the bin's solid angle gives a
+// per-steradian density (histogram() with perSteradian). For 'lambert' this
+// is a constant factor: equal-area bins are already solid-angle uniform.
+//
+// Grids are bins×bins over [-1,1]^2, row-major with row = disk y, like
+// Surface.computeNDFHistogram and Friction._buildGrid.
+// -----------------------------------------------------------------------------
+
+class NDFProjection {
+    static isProjection(type) {
+        return NDFProjection.TYPES.includes(type);
+    }
+
+    /**
+     * Disk radius r(θ) for polar angle θ in [0, π/2].
+     */
+    static radius(theta, type = 'orthographic') {
+        switch (type) {
+            case 'orthographic':
+                return Math.sin(theta);
+            case 'lambert':
+                return Math.SQRT2 * Math.sin(theta / 2);
+            case 'stereographic':
+                return Math.tan(theta / 2);
+            case 'equidistant':
+                return theta / (Math.PI / 2);
+            default:
+                throw new Error(`Unknown NDF projection: ${type}`);
+        }
+    }
+
+    /**
+     * Polar angle θ(r), the inverse of radius(), for r in [0, 1].
+     */
+    static polarAngle(r, type = 'orthographic') {
+        r = Math.min(Math.max(r, 0), 1);
+        switch (type) {
+            case 'orthographic':
+                return Math.asin(r);
+            case 'lambert':
+                return 2 * Math.asin(r / Math.SQRT2);
+            case 'stereographic':
+                return 2 * Math.atan(r);
+            case 'equidistant':
+                return (r * Math.PI) / 2;
+            default:
+                throw new Error(`Unknown NDF projection: ${type}`);
+        }
+    }
+
+    /**
+     * Disk coordinates of a normal; (mx, my) are tangential, mz is along the
+     * macroscopic normal (its sign is ignored: upper hemisphere).
+     * @returns {{x:number, y:number}}
+     */
+    static fromNormal(mx, my, mz, type = 'orthographic') {
+        const t = Math.hypot(mx, my);
+        if (t === 0) return { x: 0, y: 0 };
+        const theta = Math.atan2(t, Math.abs(mz));
+        const s = NDFProjection.radius(theta, type) / t;
+        return { x: mx * s, y: my * s };
+    }
+
+    /**
+     * Unit normal for disk coordinates (x, y) inside the unit disk.
+     * @returns {{x:number, y:number, z:number}}
+     */
+    static toNormal(x, y, type = 'orthographic') {
+        const r = Math.hypot(x, y);
+        if (r === 0) return { x: 0, y: 0, z: 1 };
+        const theta = NDFProjection.polarAngle(r, type);
+        const s = Math.sin(theta) / r;
+        return { x: x * s, y: y * s, z: Math.cos(theta) };
+    }
+
+    /**
+     * Solid angle per unit disk area, dΩ/dA, at radius r (see header).
+     */
+    static solidAnglePerArea(r, type = 'orthographic') {
+        const theta = NDFProjection.polarAngle(r, type);
+        switch (type) {
+            case 'orthographic':
+                return 1 / Math.max(Math.cos(theta), 1e-6);
+            case 'lambert':
+                return 2;
+            case 'stereographic':
+                return 4 * Math.pow(Math.cos(theta / 2), 4);
+            case 'equidistant':
+                return theta > 0
+                    ? (Math.PI * Math.PI * Math.sin(theta)) / (4 * theta)
+                    : (Math.PI * Math.PI) / 4;
+            default:
+                throw new Error(`Unknown NDF projection: ${type}`);
+        }
+    }
+
+    /**
+     * Solid angle covered by each grid bin (0 outside the unit disk), from
+     * 4×4 sub-samples per bin. Cached per (bins, type); do not modify.
+     * @returns {Float64Array} bins×bins
+     */
+    static binSolidAngles(bins, type = 'orthographic') {
+        const key = `${bins}|${type}`;
+        const cached = NDFProjection._solidAngleCache.get(key);
+        if (cached) return cached;
+
+        const sub = 4;
+        const binSize = 2.0 / bins;
+        const subArea = (binSize / sub) * (binSize / sub);
+        const out = new Float64Array(bins * bins);
+        for (let by = 0; by < bins; by++) {
+            for (let bx = 0; bx < bins; bx++) {
+                let omega = 0;
+                for (let j = 0; j < sub; j++) {
+                    const y = -1 + (by + (j + 0.5) / sub) * binSize;
+                    for (let i = 0; i < sub; i++) {
+                        const x = -1 + (bx + (i + 0.5) / sub) * binSize;
+                        const r = Math.hypot(x, y);
+                        if (r >= 1) continue;
+                        omega += NDFProjection.solidAnglePerArea(r, type);
+                    }
+                }
+                out[by * bins + bx] = omega * subArea;
+            }
+        }
+        NDFProjection._solidAngleCache.set(key, out);
+        return out;
+    }
+
+    /**
+     * Bin disk samples ({x, y}, already projected) into a bins×bins grid.
+     * @param {object} options - projection (of the samples, default
+     *   'orthographic'), perSteradian (divide by bin solid angle, default
+     *   false), maxRadius (skip samples beyond this disk radius, default 1)
+     * @returns {Float64Array}
+     */
+    static histogram(samples, weights, bins, options = {}) {
+        const projection = options.projection ?? 'orthographic';
+        const perSteradian = options.perSteradian ?? false;
+        const maxRadius = options.maxRadius ?? 1.0;
+        const grid = new Float64Array(bins * bins);
+        const binSize = 2.0 / bins;
+
+        for (let i = 0; i < samples.length; i++) {
+            const { x, y } = samples[i];
+            if (x * x + y * y > maxRadius * maxRadius) continue;
+            const bx = Math.floor((x + 1.0) / binSize);
+            const by = Math.floor((y + 1.0) / binSize);
+            if (bx < 0 || bx >= bins || by < 0 || by >= bins) continue;
+            grid[by * bins + bx] +=
+                weights && weights[i] != null ? weights[i] : 1.0;
+        }
+
+        if (perSteradian) {
+            const omega = NDFProjection.binSolidAngles(bins, projection);
+            for (let i = 0; i < grid.length; i++) {
+                grid[i] = omega[i] > 0 ? grid[i] / omega[i] : 0;
+            }
+        }
+        return grid;
+    }
+}
+
+NDFProjection.TYPES = [
+    'orthographic',
+    'lambert',
+    'stereographic',
+    'equidistant',
+];
+NDFProjection._solidAngleCache = new Map();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NDFProjection;
+}
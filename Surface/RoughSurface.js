@@ -0,0 +1,129 @@
+// Statistically defined random rough surfaces (spectral synthesis)
+// -----------------------------------------------------------------------------
+// The standard tribology surface models, generated by filtering seeded white
+// noise with the square root of a power spectral density C(q) in Fourier space
+// and transforming back. The result is rescaled to the requested RMS height and
+// returned as a heightmap object (HeightmapLoader format), so it feeds Surface,
+// the NDF pipeline and Friction like measured data. Surfaces are periodic.
+//
+// Types and their PSD (q = |q|, wavevectors in rad per length unit):
+//   - 'Gaussian'    Gaussian random field with correlation function
+//                   exp(-(u/lx)^2 - (v/ly)^2):
+//                     C ∝ exp(-(qu² lx² + qv² ly²) / 4)
+//                   (u, v) are the axes rotated by `angle`; lx = ly is isotropic
+//   - 'SelfAffine'  self-affine fractal with Hurst exponent H, roll-off q0 and
+//                   optional short-wavelength cut-off q1:
+//                     C ∝ 1 for q < q0,  (q/q0)^(-2(1+H)) for q0 ≤ q ≤ q1,  0 above
+//   - 'fBm'         fractional Brownian motion: pure power law
+//                     C ∝ q^(-2(1+H)) for all q > 0
+//
+// Parameters (generate):
+//   size               samples per side, power of two     (default 128)
+//   length             extent of the sampled grid          (default 500)
+//   rms                RMS height                          (default 1)
+//   seed               SeededRandom seed                   (default 1)
+//   correlationLength  lx                                  (default 20)
+//   correlationLengthY ly                                  (default lx)
+//   angle              anisotropy direction (radians)      (default 0)
+//   hurst              H in (0, 1)                         (default 0.8)
+//   rollOff            q0                                  (default 2π/50)
+//   cutoff             q1                                  (default ∞)
+// -----------------------------------------------------------------------------
+
+class RoughSurface {
+    static isRoughType(type) {
+        return ['Gaussian', 'SelfAffine', 'fBm'].includes(type);
+    }
+
+    /**
+     * Generate a rough surface heightmap.
+     * @returns {{cols:number, rows:number, dx:number, dy:number, heights:Float32Array}}
+     */
+    static generate(type, params = {}) {
+        const size = params.size ?? 128;
+        const length = params.length ?? 500;
+        const rms = params.rms ?? 1;
+        if (!FFT.isPowerOfTwo(size)) {
+            throw new Error(`Rough surface size must be a power of two`);
+        }
+        const psd = RoughSurface.spectrum(type, params);
+        const dx = length / (size - 1);
+        const dq = (2 * Math.PI) / (size * dx);
+
+        // Seeded white noise → spectrum
+        const rng = new SeededRandom(params.seed ?? 1);
+        const n = size * size;
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+        for (let i = 0; i < n; i++) re[i] = rng.normal();
+        FFT.transform2D(re, im, size, size);
+
+        // Shape by sqrt(C(q)); rows run from +y to -y, hence the sign on qy
+        for (let ky = 0; ky < size; ky++) {
+            const qy = -FFT.frequencyIndex(ky, size) * dq;
+            for (let kx = 0; kx < size; kx++) {
+                const qx = FFT.frequencyIndex(kx, size) * dq;
+                const a = kx === 0 && ky === 0 ? 0 : Math.sqrt(psd(qx, qy));
+                re[ky * size + kx] *= a;
+                im[ky * size + kx] *= a;
+            }
+        }
+        FFT.transform2D(re, im, size, size, true);
+
+        // Zero mean, requested RMS
+        let mean = 0;
+        for (let i = 0; i < n; i++) mean += re[i];
+        mean /= n;
+        let sumSq = 0;
+        for (let i = 0; i < n; i++) sumSq += (re[i] - mean) ** 2;
+        const scale = sumSq > 0 ? rms / Math.sqrt(sumSq / n) : 0;
+
+        const heights = new Float32Array(n);
+        for (let i = 0; i < n; i++) heights[i] = (re[i] - mean) * scale;
+        return { cols: size, rows: size, dx, dy: dx, heights };
+    }
+
+    /**
+     * PSD C(qx, qy) (up to a constant) for a surface type; see header.
+     */
+    static spectrum(type, params = {}) {
+        const hurst = params.hurst ?? 0.8;
+        const exponent = -2 * (1 + hurst);
+
+        switch (type) {
+            case 'Gaussian': {
+                const lx = params.correlationLength ?? 20;
+                const ly = params.correlationLengthY ?? lx;
+                const c = Math.cos(params.angle ?? 0),
+                    s = Math.sin(params.angle ?? 0);
+                return (qx, qy) => {
+                    const qu = qx * c + qy * s;
+                    const qv = -qx * s + qy * c;
+                    return Math.exp(
+                        -(qu * qu * lx * lx + qv * qv * ly * ly) / 4
+                    );
+                };
+            }
+            case 'SelfAffine': {
+                const q0 = params.rollOff ?? (2 * Math.PI) / 50;
+                const q1 = params.cutoff ?? Infinity;
+                return (qx, qy) => {
+                    const q = Math.hypot(qx, qy);
+                    if (q > q1) return 0;
+                    return q < q0 ? 1 : Math.pow(q / q0, exponent);
+                };
+            }
+            case 'fBm':
+                return (qx, qy) => {
+                    const q = Math.hypot(qx, qy);
+                    return q > 0 ? Math.pow(q, exponent) : 0;
+                };
+            default:
+                throw new Error(`Unknown rough surface type: ${type}`);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoughSurface;
+}
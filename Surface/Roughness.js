@@ -0,0 +1,445 @@
+// Surface roughness parameters (ISO 25178 areal, ISO 4287 profile) and PSDs
+// -----------------------------------------------------------------------------
+// Works on a heightmap object (HeightmapLoader format), so it applies to every
+// surface source: Surface.getHeightfield(), SurfaceVisualizer.getHeightfield(),
+// imported measurements and RoughSurface output. The least-squares mean plane
+// (mean line for profiles) is removed first, as the metrology lab does.
+//
+// Roughness.compute(heightmap) returns:
+//   Sa, Sq, Ssk, Sku    arithmetic mean / RMS height, skewness, kurtosis
+//   Sp, Sv, Sz          max peak height, max pit depth, Sp + Sv
+//   Sdq                 RMS gradient (central differences)
+//   Sdr                 developed interfacial area ratio, in %
+//   Sal                 fastest-decay autocorrelation length (ACF → s = 0.2)
+//   Str                 texture aspect ratio = Sal / slowest-decay length
+//                       (0 strongly directional … 1 isotropic). Directions in
+//                       which the ACF never decays within half the map count
+//                       as that search limit.
+//   Std                 texture (lay) direction in degrees [0, 180) from +x,
+//                       perpendicular to the peak of the angular power spectrum
+//                       (mean PSD along each 1° ray within the Nyquist disk)
+//   Ra, Rq, Rsk, Rku    profile parameters averaged over all rows (profiles
+//                       along x); profile(heightmap, 'y') gives the columns
+//
+// PSD convention (two-sided, mean plane removed, Hann window unless
+// options.window = 'none'; maps are zero-padded to powers of two):
+//   psd1D → { q, psd }           C1(q) averaged over profiles, q ≥ 0;
+//                                Σ C1 dq over all q (±) = Rq²
+//   psd2D → { nx, ny, dqx, dqy, psd }   C2 centred (DC at nx/2, ny/2), rows
+//                                run from +qy to -qy like the heightmap;
+//                                Σ C2 dqx dqy = Sq²
+// -----------------------------------------------------------------------------
+
+class Roughness {
+    /**
+     * All areal and profile parameters; see header.
+     */
+    static compute(heightmap, options = {}) {
+        const z = Roughness.levelled(heightmap);
+        return {
+            ...Roughness._amplitude(z),
+            ...Roughness._hybrid(heightmap, z),
+            ...Roughness._spatial(heightmap, z, options.threshold ?? 0.2),
+            ...Roughness.profile(heightmap, 'x'),
+        };
+    }
+
+    /**
+     * Heights with the least-squares mean plane removed (Float64Array).
+     */
+    static levelled(heightmap) {
+        const { cols, rows, heights } = heightmap;
+        const n = cols * rows;
+
+        // Plane z = a + b·u + c·v on centred grid indices (u, v are orthogonal)
+        const u0 = (cols - 1) / 2,
+            v0 = (rows - 1) / 2;
+        let sz = 0,
+            suz = 0,
+            svz = 0,
+            suu = 0,
+            svv = 0;
+        for (let j = 0; j < rows; j++) {
+            const v = j - v0;
+            for (let i = 0; i < cols; i++) {
+                const u = i - u0;
+                const h = heights[j * cols + i];
+                sz += h;
+                suz += u * h;
+                svz += v * h;
+                suu += u * u;
+                svv += v * v;
+            }
+        }
+        const a = sz / n,
+            b = suu > 0 ? suz / suu : 0,
+            c = svv > 0 ? svz / svv : 0;
+
+        const z = new Float64Array(n);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const k = j * cols + i;
+                z[k] = heights[k] - a - b * (i - u0) - c * (j - v0);
+            }
+        }
+        return z;
+    }
+
+    /**
+     * ISO 4287 Ra/Rq/Rsk/Rku averaged over the profiles along 'x' (rows) or
+     * 'y' (columns); each profile has its mean line removed.
+     */
+    static profile(heightmap, direction = 'x') {
+        const { cols, rows, heights } = heightmap;
+        const along = direction === 'x';
+        const count = along ? rows : cols;
+        const length = along ? cols : rows;
+
+        const sums = { Ra: 0, Rq: 0, Rsk: 0, Rku: 0 };
+        const p = new Float64Array(length);
+        for (let k = 0; k < count; k++) {
+            for (let t = 0; t < length; t++) {
+                p[t] = along ? heights[k * cols + t] : heights[t * cols + k];
+            }
+            Roughness._removeLine(p);
+            const m = Roughness._moments(p);
+            sums.Ra += m.mean;
+            sums.Rq += m.rms;
+            sums.Rsk += m.skew;
+            sums.Rku += m.kurt;
+        }
+        return {
+            Ra: sums.Ra / count,
+            Rq: sums.Rq / count,
+            Rsk: sums.Rsk / count,
+            Rku: sums.Rku / count,
+        };
+    }
+
+    /**
+     * 1D PSD of the profiles along 'x' or 'y', averaged (see header).
+     */
+    static psd1D(heightmap, direction = 'x', options = {}) {
+        const { cols, rows, heights } = heightmap;
+        const along = direction === 'x';
+        const count = along ? rows : cols;
+        const length = along ? cols : rows;
+        const d = along ? heightmap.dx : heightmap.dy;
+        const m = FFT.nextPowerOfTwo(length);
+        const w = Roughness._window(length, options.window);
+        const wPower = w.reduce((s, x) => s + x * x, 0) / length;
+
+        const psd = new Float64Array(m);
+        const re = new Float64Array(m),
+            im = new Float64Array(m);
+        const p = new Float64Array(length);
+        for (let k = 0; k < count; k++) {
+            for (let t = 0; t < length; t++) {
+                p[t] = along ? heights[k * cols + t] : heights[t * cols + k];
+            }
+            Roughness._removeLine(p);
+            re.fill(0);
+            im.fill(0);
+            for (let t = 0; t < length; t++) re[t] = p[t] * w[t];
+            FFT.transform(re, im);
+            for (let f = 0; f < m; f++) psd[f] += re[f] * re[f] + im[f] * im[f];
+        }
+
+        const norm = d / (2 * Math.PI * length * wPower * count);
+        const dq = (2 * Math.PI) / (m * d);
+        const half = m / 2 + 1;
+        const q = new Float64Array(half);
+        const out = new Float64Array(half);
+        for (let f = 0; f < half; f++) {
+            q[f] = f * dq;
+            out[f] = psd[f] * norm;
+        }
+        return { q, psd: out, dq };
+    }
+
+    /**
+     * 2D PSD (centred; see header).
+     */
+    static psd2D(heightmap, options = {}) {
+        const { cols, rows, dx, dy } = heightmap;
+        const z = Roughness.levelled(heightmap);
+        const nx = FFT.nextPowerOfTwo(cols),
+            ny = FFT.nextPowerOfTwo(rows);
+        const wx = Roughness._window(cols, options.window);
+        const wy = Roughness._window(rows, options.window);
+        let wPower = 0;
+
+        const re = new Float64Array(nx * ny),
+            im = new Float64Array(nx * ny);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const w = wx[i] * wy[j];
+                re[j * nx + i] = z[j * cols + i] * w;
+                wPower += w * w;
+            }
+        }
+        wPower /= cols * rows;
+        FFT.transform2D(re, im, nx, ny);
+
+        const norm = (dx * dy) / (4 * Math.PI * Math.PI * cols * rows * wPower);
+        const psd = new Float64Array(nx * ny);
+        for (let ky = 0; ky < ny; ky++) {
+            // FFT row ky has qy = -f·dqy (heightmap rows run from +y to -y);
+            // output row r holds qy = (ny/2 - r)·dqy
+            const r = ny / 2 + FFT.frequencyIndex(ky, ny);
+            for (let kx = 0; kx < nx; kx++) {
+                const c = nx / 2 + FFT.frequencyIndex(kx, nx);
+                const k = ky * nx + kx;
+                psd[(r % ny) * nx + (c % nx)] =
+                    (re[k] * re[k] + im[k] * im[k]) * norm;
+            }
+        }
+        return {
+            nx,
+            ny,
+            dqx: (2 * Math.PI) / (nx * dx),
+            dqy: (2 * Math.PI) / (ny * dy),
+            psd,
+        };
+    }
+
+    /**
+     * Normalized areal autocorrelation R(τ)/R(0) (biased estimator, no wrap).
+     * Returns { mx, my, acf } where acf[ky*mx + kx] is the lag
+     * (τx, τy) = (kx·dx, -ky·dy), indices wrapping for negative lags.
+     */
+    static autocorrelation(heightmap, z = Roughness.levelled(heightmap)) {
+        const { cols, rows } = heightmap;
+        const mx = FFT.nextPowerOfTwo(2 * cols),
+            my = FFT.nextPowerOfTwo(2 * rows);
+        const re = new Float64Array(mx * my),
+            im = new Float64Array(mx * my);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) re[j * mx + i] = z[j * cols + i];
+        }
+        FFT.transform2D(re, im, mx, my);
+        for (let k = 0; k < re.length; k++) {
+            re[k] = re[k] * re[k] + im[k] * im[k];
+            im[k] = 0;
+        }
+        FFT.transform2D(re, im, mx, my, true);
+        const r0 = re[0] || 1;
+        for (let k = 0; k < re.length; k++) re[k] /= r0;
+        return { mx, my, acf: re };
+    }
+
+    /**
+     * Display lines ('Sq = 1.234') for a metrics object, in header order.
+     */
+    static format(metrics, keys = Roughness.SUMMARY_KEYS) {
+        return keys.map(k => {
+            const v = metrics[k];
+            const text = Number.isFinite(v) ? v.toPrecision(4) : '–';
+            const unit = k === 'Sdr' ? ' %' : k === 'Std' ? '°' : '';
+            return `${k} = ${text}${unit}`;
+        });
+    }
+
+    // ---------------------------------------------------------------------
+    // Helpers (private)
+    // ---------------------------------------------------------------------
+
+    // Sa, Sq, Ssk, Sku, Sp, Sv, Sz
+    static _amplitude(z) {
+        const m = Roughness._moments(z);
+        let sp = -Infinity,
+            sv = Infinity;
+        for (const v of z) {
+            if (v > sp) sp = v;
+            if (v < sv) sv = v;
+        }
+        return {
+            Sa: m.mean,
+            Sq: m.rms,
+            Ssk: m.skew,
+            Sku: m.kurt,
+            Sp: sp,
+            Sv: -sv,
+            Sz: sp - sv,
+        };
+    }
+
+    // Sdq (central differences) and Sdr (per-cell bilinear area)
+    static _hybrid(heightmap, z) {
+        const { cols, rows, dx, dy } = heightmap;
+        let gradSq = 0,
+            gradCount = 0;
+        for (let j = 1; j < rows - 1; j++) {
+            for (let i = 1; i < cols - 1; i++) {
+                const k = j * cols + i;
+                const zx = (z[k + 1] - z[k - 1]) / (2 * dx);
+                const zy = (z[k - cols] - z[k + cols]) / (2 * dy); // +y is up
+                gradSq += zx * zx + zy * zy;
+                gradCount++;
+            }
+        }
+
+        let area = 0;
+        for (let j = 0; j < rows - 1; j++) {
+            for (let i = 0; i < cols - 1; i++) {
+                const k = j * cols + i;
+                const zx =
+                    (z[k + 1] - z[k] + z[k + cols + 1] - z[k + cols]) /
+                    (2 * dx);
+                const zy =
+                    (z[k] - z[k + cols] + z[k + 1] - z[k + cols + 1]) /
+                    (2 * dy);
+                area += Math.sqrt(1 + zx * zx + zy * zy);
+            }
+        }
+        const cells = (cols - 1) * (rows - 1);
+        return {
+            Sdq: gradCount ? Math.sqrt(gradSq / gradCount) : 0,
+            Sdr: cells ? (area / cells - 1) * 100 : 0,
+        };
+    }
+
+    // Sal, Str (ACF decay to s) and Std (angular power spectrum)
+    static _spatial(heightmap, z, s) {
+        const { cols, rows, dx, dy } = heightmap;
+        const { mx, my, acf } = Roughness.autocorrelation(heightmap, z);
+
+        // ACF at lag (τx, τy), bilinear, lag indices wrap for negative values
+        const at = (tx, ty) => {
+            const gx = tx / dx,
+                gy = -ty / dy;
+            const x0 = Math.floor(gx),
+                y0 = Math.floor(gy);
+            const fx = gx - x0,
+                fy = gy - y0;
+            const v = (x, y) => acf[((y + my) % my) * mx + ((x + mx) % mx)];
+            return (
+                (v(x0, y0) * (1 - fx) + v(x0 + 1, y0) * fx) * (1 - fy) +
+                (v(x0, y0 + 1) * (1 - fx) + v(x0 + 1, y0 + 1) * fx) * fy
+            );
+        };
+
+        const limit = Math.min((cols - 1) * dx, (rows - 1) * dy) / 2;
+        const step = Math.min(dx, dy) / 2;
+        let rMin = Infinity,
+            rMax = 0;
+        for (let deg = 0; deg < 180; deg++) {
+            const th = (deg * Math.PI) / 180;
+            const c = Math.cos(th),
+                sn = Math.sin(th);
+            let r = limit,
+                prev = 1;
+            for (let t = step; t <= limit; t += step) {
+                const value = at(t * c, t * sn);
+                if (value < s) {
+                    r = t - (step * (s - value)) / (prev - value); // interpolate
+                    break;
+                }
+                prev = value;
+            }
+            rMin = Math.min(rMin, r);
+            rMax = Math.max(rMax, r);
+        }
+        const decayed = rMin < limit;
+
+        // Angular power spectrum → dominant wavevector direction. Each whole
+        // degree gets the mean PSD along its ray out to the lower Nyquist
+        // frequency (a disk: the corners of the square spectrum would favour
+        // the diagonals), sampled bilinearly so that the few cells near DC
+        // do not pin the peak to the lattice directions (0°, 45°, 90°...).
+        const { nx, ny, dqx, dqy, psd } = Roughness.psd2D(heightmap);
+        const qMax = Math.min((nx / 2) * dqx, (ny / 2) * dqy);
+        const dq = Math.min(dqx, dqy) / 2;
+        const cell = (c, r) =>
+            psd[Math.min(r, ny - 1) * nx + Math.min(c, nx - 1)];
+        const angular = new Float64Array(180);
+        for (let deg = 0; deg < 180; deg++) {
+            const th = (deg * Math.PI) / 180;
+            const cos = Math.cos(th),
+                sin = Math.sin(th);
+            let sum = 0,
+                count = 0;
+            for (let q = dq; q <= qMax; q += dq) {
+                const gx = (q * cos) / dqx + nx / 2,
+                    gy = ny / 2 - (q * sin) / dqy;
+                const c0 = Math.floor(gx),
+                    r0 = Math.floor(gy);
+                const fx = gx - c0,
+                    fy = gy - r0;
+                sum +=
+                    (cell(c0, r0) * (1 - fx) + cell(c0 + 1, r0) * fx) *
+                        (1 - fy) +
+                    (cell(c0, r0 + 1) * (1 - fx) + cell(c0 + 1, r0 + 1) * fx) *
+                        fy;
+                count++;
+            }
+            angular[deg] = count ? sum / count : 0;
+        }
+        let peak = 0;
+        for (let d = 1; d < 180; d++) if (angular[d] > angular[peak]) peak = d;
+
+        return {
+            Sal: decayed ? rMin : NaN,
+            Str: decayed ? rMin / rMax : NaN,
+            Std: (peak + 90) % 180,
+        };
+    }
+
+    // Mean |z|, RMS, skewness and kurtosis of zero-mean data
+    static _moments(z) {
+        const n = z.length;
+        let a = 0,
+            m2 = 0,
+            m3 = 0,
+            m4 = 0;
+        for (const v of z) {
+            const v2 = v * v;
+            a += Math.abs(v);
+            m2 += v2;
+            m3 += v2 * v;
+            m4 += v2 * v2;
+        }
+        const rms = Math.sqrt(m2 / n);
+        return {
+            mean: a / n,
+            rms,
+            skew: rms > 0 ? m3 / n / rms ** 3 : 0,
+            kurt: rms > 0 ? m4 / n / rms ** 4 : 0,
+        };
+    }
+
+    // Remove the least-squares line from a profile (in place)
+    static _removeLine(p) {
+        const n = p.length;
+        const t0 = (n - 1) / 2;
+        let sz = 0,
+            stz = 0,
+            stt = 0;
+        for (let t = 0; t < n; t++) {
+            sz += p[t];
+            stz += (t - t0) * p[t];
+            stt += (t - t0) * (t - t0);
+        }
+        const a = sz / n,
+            b = stt > 0 ? stz / stt : 0;
+        for (let t = 0; t < n; t++) p[t] -= a + b * (t - t0);
+    }
+
+    static _window(n, type = 'hann') {
+        const w = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            w[i] =
+                type === 'none' || n < 2
+                    ? 1
+                    : 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1));
+        }
+        return w;
+    }
+}
+
+// Parameters shown in the UI panels
+Roughness.SUMMARY_KEYS = ['Sa', 'Sq', 'Ssk', 'Sku', 'Sdq', 'Sdr', 'Str', 'Std'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Roughness;
+}
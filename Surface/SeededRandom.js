@@ -0,0 +1,69 @@
+// Seeded pseudo-random number generator for reproducible surfaces
+// -----------------------------------------------------------------------------
+// Mulberry32: 32-bit state, fast, and good enough for surface noise. The same
+// seed always produces the same sequence, so surfaces (heights, NDF histograms
+// and the Friction results built from them) can be regenerated bit-for-bit.
+//
+// Usage:
+//   const rng = new SeededRandom(42);
+//   rng.next();          // uniform in [0, 1)
+//   rng.uniform(-1, 1);  // uniform in [a, b)
+//   rng.normal();        // standard normal (Box–Muller)
+// -----------------------------------------------------------------------------
+
+class SeededRandom {
+    /**
+     * @param {number} seed - any number; it is folded to an unsigned 32-bit int
+     */
+    constructor(seed = 1) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        this._spareNormal = null;
+    }
+
+    /**
+     * Uniform float in [0, 1).
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Uniform float in [a, b).
+     */
+    uniform(a = 0, b = 1) {
+        return a + (b - a) * this.next();
+    }
+
+    /**
+     * Standard normal sample (Box–Muller, second value cached).
+     */
+    normal() {
+        if (this._spareNormal !== null) {
+            const z = this._spareNormal;
+            this._spareNormal = null;
+            return z;
+        }
+        const u1 = Math.max(this.next(), 1e-300);
+        const u2 = this.next();
+        const r = Math.sqrt(-2 * Math.log(u1));
+        this._spareNormal = r * Math.sin(2 * Math.PI * u2);
+        return r * Math.cos(2 * Math.PI * u2);
+    }
+
+    /**
+     * Restart the sequence from the original seed.
+     */
+    reset() {
+        this.state = this.seed;
+        this._spareNormal = null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -8,6 +8,41 @@
 // - The intensity represents the fraction of micro-normals pointing in direction (θ,φ)
 //
 // Coordinate System: Z-up (Z is the surface normal direction)
+//
+// Projection: options.projection picks the hemisphere-to-disk mapping of the
+// NDF samples ('orthographic' (default, the mapping above), 'lambert',
+// 'stereographic', 'equidistant' - see NDFProjection.js). With
+// options.perSteradian (default false) computeNDFHistogram divides each bin by
+// its solid angle, so the histogram is a per-steradian density whatever the
+// projection; by default it holds the raw area-weighted sums per bin, as it
+// always has.
+//
+// Headless use: mesh generation and the NDF need only THREE (no DOM). The colour
+// texture and the histogram canvas are rendering add-ons; they are skipped when
+// there is no `document` (or when options.texture is false).
+//
+// Reproducibility: the height noise comes from a SeededRandom (options.seed,
+// default 1) and is stored once per mesh vertex in `noiseField`; the texture
+// samples the same field, so the same seed gives identical heights, NDF
+// histograms and Friction results.
+//
+// Measured topography: options.heightmap (see HeightmapLoader) replaces the
+// synthetic sine-plus-noise heights. The mesh then has one vertex per sample
+// and its width/height come from the sample spacing; everything downstream
+// (NDF, histogram, Friction) is unchanged. Surface.fromHeightmap() is the
+// shorthand constructor.
+//
+// Random rough surfaces: options.surfaceType 'Gaussian' | 'SelfAffine' | 'fBm'
+// (default 'Sine') generates the heights spectrally with RoughSurface. The
+// amplitude argument is the RMS height, rotation the anisotropy angle, the
+// width the extent and options.seed the noise seed; options.rough holds the
+// model parameters (correlationLength, correlationLengthY, hurst, rollOff,
+// cutoff, size - see RoughSurface.js).
+//
+// Worker hand-off: toTransferable() flattens a built surface (mesh positions,
+// NDF samples, weights, normals, heightmap) into typed arrays that postMessage
+// can transfer; Surface.fromTransferable() rebuilds it on the other side
+// without recomputing heights or the NDF (see SurfaceWorker.js).
 
 // Top-down view:
 
@@ -29,7 +64,8 @@ class Surface {
         rotation,
         height = 500,
         width = 500,
-        bins = 100
+        bins = 100,
+        options = {}
     ) {
         //surface variables
         this.amplitude = amplitude;
@@ -42,9 +78,52 @@ class Surface {
         this.height = height;
         this.bins = bins;
 
+        //options
+        this.options = options;
+        this.seed = options.seed ?? 1;
+        this.projection = options.projection ?? 'orthographic';
+        this.perSteradian = options.perSteradian ?? false;
+        if (!NDFProjection.isProjection(this.projection)) {
+            throw new Error(`Unknown NDF projection: ${this.projection}`);
+        }
+        this.heightmap = options.heightmap ?? null;
+        this.surfaceType =
+            options.surfaceType ?? (this.heightmap ? 'Heightmap' : 'Sine');
+        const withTexture =
+            (options.texture ?? true) && typeof document !== 'undefined';
+
+        //statistically defined rough surfaces are generated as a heightmap
+        if (RoughSurface.isRoughType(this.surfaceType)) {
+            this.roughParams = {
+                rms: amplitude,
+                angle: rotation,
+                length: width,
+                seed: this.seed,
+                ...options.rough,
+            };
+            this.heightmap = RoughSurface.generate(
+                this.surfaceType,
+                this.roughParams
+            );
+        }
+
+        //measured topography defines its own extent
+        if (this.heightmap) {
+            this.width = (this.heightmap.cols - 1) * this.heightmap.dx;
+            this.height = (this.heightmap.rows - 1) * this.heightmap.dy;
+        }
+
+        //reproducible noise, one value per mesh vertex (shared with the texture)
+        this.segments = 100;
+        this.noiseField = this.heightmap ? null : this.generateNoiseField();
+
         //Three.js objects
         this.mesh = this.generateSurface();
-        this.texture = this.generateTexture(this.width, this.height);
+        this.texture = !withTexture
+            ? null
+            : this.heightmap
+              ? this.generateTexture(this.heightmap.cols, this.heightmap.rows)
+              : this.generateTexture(this.width, this.height);
 
         //NDF data
         this.NDF = this.areaWeightedNDF();
@@ -53,12 +132,263 @@ class Surface {
         this.normals = this.NDF.normals;
     }
 
+    /**
+     * Surface built from a measured heightmap (HeightmapLoader format).
+     */
+    static fromHeightmap(heightmap, bins = 100, options = {}) {
+        return new Surface(0, 1, 0, 0, 0, 0, bins, { ...options, heightmap });
+    }
+
+    /**
+     * Typed-array snapshot for postMessage; `transfer` lists its buffers.
+     * @returns {{data:object, transfer:ArrayBuffer[]}}
+     */
+    toTransferable() {
+        const { widthSegments, heightSegments } = this.mesh.geometry.parameters;
+        const normals = new Float32Array(this.normals.length * 3);
+        this.normals.forEach((n, i) => {
+            normals[3 * i] = n.x;
+            normals[3 * i + 1] = n.y;
+            normals[3 * i + 2] = n.z;
+        });
+        const data = {
+            args: [
+                this.amplitude,
+                this.wavelengthX,
+                this.noise,
+                this.rotation,
+                this.height,
+                this.width,
+                this.bins,
+            ],
+            options: { ...this.options, heightmap: undefined },
+            surfaceType: this.surfaceType,
+            roughParams: this.roughParams,
+            heightmap: this.heightmap
+                ? { ...this.heightmap, heights: this.heightmap.heights.slice() }
+                : null,
+            noiseField: this.noiseField ? this.noiseField.slice() : null,
+            widthSegments,
+            heightSegments,
+            positions: this.mesh.geometry.attributes.position.array.slice(),
+            ndfSamples: Surface.packSamples(this.ndfSamples),
+            areaWeights: Float32Array.from(this.areaWeights),
+            normals,
+        };
+        const transfer = [
+            data.positions.buffer,
+            data.ndfSamples.buffer,
+            data.areaWeights.buffer,
+            data.normals.buffer,
+        ];
+        if (data.heightmap) transfer.push(data.heightmap.heights.buffer);
+        if (data.noiseField) transfer.push(data.noiseField.buffer);
+        return { data, transfer };
+    }
+
+    /**
+     * Rebuild a surface from toTransferable() data (no texture).
+     */
+    static fromTransferable(data) {
+        const surface = Object.create(Surface.prototype);
+        const [amplitude, wavelengthX, noise, rotation, height, width, bins] =
+            data.args;
+        Object.assign(surface, {
+            amplitude,
+            wavelengthX,
+            noise,
+            rotation,
+            height,
+            width,
+            bins,
+            options: data.options,
+            seed: data.options.seed ?? 1,
+            projection: data.options.projection ?? 'orthographic',
+            perSteradian: data.options.perSteradian ?? false,
+            heightmap: data.heightmap,
+            surfaceType: data.surfaceType,
+            segments: 100,
+            noiseField: data.noiseField,
+            texture: null,
+        });
+        if (data.roughParams) surface.roughParams = data.roughParams;
+
+        const geometry = new THREE.PlaneGeometry(
+            surface.width,
+            surface.height,
+            data.widthSegments,
+            data.heightSegments
+        );
+        geometry.attributes.position.array.set(data.positions);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.computeVertexNormals();
+        surface.mesh = new THREE.Mesh(
+            geometry,
+            new THREE.MeshLambertMaterial({ color: 0xffffff })
+        );
+
+        const normals = [];
+        for (let i = 0; i < data.normals.length; i += 3) {
+            normals.push(
+                new THREE.Vector3(
+                    data.normals[i],
+                    data.normals[i + 1],
+                    data.normals[i + 2]
+                )
+            );
+        }
+        surface.ndfSamples = Surface.unpackSamples(data.ndfSamples);
+        surface.areaWeights = Array.from(data.areaWeights);
+        surface.normals = normals;
+        surface.NDF = {
+            ndfSamples: surface.ndfSamples,
+            areaWeights: surface.areaWeights,
+            normals,
+        };
+        return surface;
+    }
+
+    // NDF samples {x, y}[] ↔ interleaved Float32Array [x0, y0, x1, y1, ...]
+    static packSamples(samples) {
+        const packed = new Float32Array(samples.length * 2);
+        samples.forEach((s, i) => {
+            packed[2 * i] = s.x;
+            packed[2 * i + 1] = s.y;
+        });
+        return packed;
+    }
+
+    static unpackSamples(packed) {
+        const samples = new Array(packed.length / 2);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = { x: packed[2 * i], y: packed[2 * i + 1] };
+        }
+        return samples;
+    }
+
+    // Uniform noise in [-0.5, 0.5) per vertex, in PlaneGeometry vertex order
+    // (rows from +y to -y, columns from -x to +x).
+    generateNoiseField() {
+        const rng = new SeededRandom(this.seed);
+        const n = this.segments + 1;
+        const field = new Float32Array(n * n);
+        for (let i = 0; i < field.length; i++) field[i] = rng.next() - 0.5;
+        return field;
+    }
+
+    // Bilinear lookup of the noise field at surface coordinates (x, y)
+    noiseAt(x, y) {
+        const seg = this.segments;
+        const n = seg + 1;
+        const gx = Math.min(
+            Math.max(((x + this.width / 2) / this.width) * seg, 0),
+            seg
+        );
+        const gy = Math.min(
+            Math.max(((this.height / 2 - y) / this.height) * seg, 0),
+            seg
+        );
+        const x0 = Math.min(Math.floor(gx), seg - 1),
+            y0 = Math.min(Math.floor(gy), seg - 1);
+        const tx = gx - x0,
+            ty = gy - y0;
+        const f = this.noiseField;
+        const c0 = f[y0 * n + x0] * (1 - tx) + f[y0 * n + x0 + 1] * tx;
+        const c1 =
+            f[(y0 + 1) * n + x0] * (1 - tx) + f[(y0 + 1) * n + x0 + 1] * tx;
+        return c0 * (1 - ty) + c1 * ty;
+    }
+
+    // Height at surface coordinates (x, y): the synthetic wave plus noise, or
+    // the bilinearly sampled heightmap
+    heightAt(x, y) {
+        if (this.heightmap) return HeightmapLoader.sample(this.heightmap, x, y);
+
+        const cosR = Math.cos(this.rotation);
+        const sinR = Math.sin(this.rotation);
+        const rotatedX = x * cosR - y * sinR;
+        const wave =
+            this.amplitude *
+            Math.sin(((2 * Math.PI) / this.wavelengthX) * rotatedX);
+        return wave + this.noiseAt(x, y) * this.noise;
+    }
+
+    /**
+     * Fit an analytic NDF to this surface's area-weighted NDF samples: the
+     * given options.type/anisotropic variant, or else the best (lowest RMSE)
+     * of the four Beckmann/GGX variants. See NDFModel.fit.
+     */
+    fitNDF(options = {}) {
+        const fitOptions = { bins: this.bins, ...options };
+        // NDFModel works in orthographic disk coordinates
+        const samples =
+            this.projection === 'orthographic'
+                ? this.ndfSamples
+                : this.normalsToNdfXY(this.normals, 'orthographic');
+        return options.type
+            ? NDFModel.fit(samples, this.areaWeights, fitOptions)
+            : NDFModel.fitAll(samples, this.areaWeights, fitOptions)[0];
+    }
+
+    // Parameters that reproduce this surface (attached to exported files)
+    getParameters() {
+        const common = {
+            width: this.width,
+            height: this.height,
+            bins: this.bins,
+            projection: this.projection,
+            perSteradian: this.perSteradian,
+        };
+        if (this.roughParams) {
+            return {
+                source: 'generated',
+                surfaceType: this.surfaceType,
+                ...this.roughParams,
+                ...common,
+            };
+        }
+        if (this.heightmap) {
+            const { cols, rows, dx, dy } = this.heightmap;
+            return { source: 'heightmap', ...common, cols, rows, dx, dy };
+        }
+        return {
+            source: 'synthetic',
+            amplitude: this.amplitude,
+            wavelengthX: this.wavelengthX,
+            noise: this.noise,
+            rotation: this.rotation,
+            seed: this.seed,
+            segments: this.segments,
+            ...common,
+        };
+    }
+
+    // Mesh heights as a heightmap object (HeightmapLoader format), for any
+    // surface source
+    getHeightfield() {
+        const { widthSegments, heightSegments } = this.mesh.geometry.parameters;
+        const cols = widthSegments + 1,
+            rows = heightSegments + 1;
+        const position = this.mesh.geometry.attributes.position;
+        const heights = new Float32Array(cols * rows);
+        for (let i = 0; i < heights.length; i++) heights[i] = position.getZ(i);
+        return {
+            cols,
+            rows,
+            dx: this.width / widthSegments,
+            dy: this.height / heightSegments,
+            heights,
+        };
+    }
+
     generateSurface() {
+        if (this.heightmap) return this.generateHeightmapSurface();
+
         const geometry = new THREE.PlaneGeometry(
             this.width,
             this.height,
-            100,
-            100
+            this.segments,
+            this.segments
         );
         const vertices = geometry.attributes.position.array;
         for (let i = 0; i < vertices.length; i += 3) {
@@ -74,7 +404,7 @@ class Surface {
                 this.amplitude *
                 Math.sin(((2 * Math.PI) / this.wavelengthX) * rotatedX);
             vertices[i + 2] = wave;
-            vertices[i + 2] += (Math.random() - 0.5) * this.noise;
+            vertices[i + 2] += this.noiseField[i / 3] * this.noise;
         }
 
         geometry.attributes.position.needsUpdate = true;
@@ -82,7 +412,7 @@ class Surface {
         geometry.computeVertexNormals();
 
         const material = new THREE.MeshLambertMaterial({
-            map: this.texture,
+            ...(this.texture ? { map: this.texture } : {}),
             color: 0xffffff, // White to let texture show through
         });
 
@@ -94,6 +424,27 @@ class Surface {
         return mesh;
     }
 
+    // One vertex per heightmap sample (same vertex order as the heightmap)
+    generateHeightmapSurface() {
+        const { cols, rows, heights } = this.heightmap;
+        const geometry = new THREE.PlaneGeometry(
+            this.width,
+            this.height,
+            cols - 1,
+            rows - 1
+        );
+        const vertices = geometry.attributes.position.array;
+        for (let i = 0; i < heights.length; i++) {
+            vertices[3 * i + 2] = heights[i];
+        }
+
+        geometry.attributes.position.needsUpdate = true;
+        geometry.computeVertexNormals();
+
+        const material = new THREE.MeshLambertMaterial({ color: 0xffffff });
+        return new THREE.Mesh(geometry, material);
+    }
+
     generateTexture(width, height) {
         const canvas = document.createElement('canvas');
         canvas.width = width;
@@ -103,24 +454,28 @@ class Surface {
         const imageData = context.createImageData(width, height);
         const data = imageData.data;
 
+        // Measured maps have no amplitude; colour over their own height range
+        let minH = -this.amplitude,
+            maxH = this.amplitude;
+        if (this.heightmap) {
+            minH = Infinity;
+            maxH = -Infinity;
+            for (const h of this.heightmap.heights) {
+                if (h < minH) minH = h;
+                if (h > maxH) maxH = h;
+            }
+        }
+
         for (let x = 0; x < width; x++) {
             for (let y = 0; y < height; y++) {
+                // Pixel → surface coordinates (row 0 is the +y edge, as in the mesh)
                 const normalizedX = (x / width) * this.width - this.width / 2;
                 const normalizedY =
-                    (y / this.height) * this.height - this.height / 2;
-
-                // Apply rotation to texture coordinates too
-                const cosR = Math.cos(this.rotation);
-                const sinR = Math.sin(this.rotation);
-                const rotatedNormX = normalizedX * cosR - normalizedY * sinR;
-
-                const wave =
-                    this.amplitude *
-                    Math.sin(((2 * Math.PI) / this.wavelengthX) * rotatedNormX);
+                    this.height / 2 - (y / height) * this.height;
 
                 // Create more interesting texture with height-based coloring
-                const height = wave + (Math.random() - 0.5) * this.noise;
-                const normalizedHeight = (height / this.amplitude + 1) * 0.5;
+                const height = this.heightAt(normalizedX, normalizedY);
+                const normalizedHeight = (height - minH) / (maxH - minH || 1);
 
                 // Color based on height: darker in valleys, lighter on peaks
                 const baseIntensity = Math.floor(normalizedHeight * 180 + 50);
@@ -141,28 +496,13 @@ class Surface {
     }
 
     // ——— NDF implementation (Z-up coordinate system)
-    normalsToNdfXY(normals) {
+    normalsToNdfXY(normals, projection = this.projection) {
         const ndfSamples = [];
         for (const n of normals) {
-            const normal = n.clone().normalize();
-
-            const nz = Math.abs(normal.z); // Ensure positive for upper hemisphere
-            const nx = normal.x;
-            const ny = normal.y;
-
-            // Convert to spherical coordinates
-            // θ (theta) = angle from Z-axis (surface normal direction)
-            // φ (phi) = azimuthal angle in XY plane
-            const theta = Math.acos(Math.min(nz, 1.0)); // Clamp to avoid numerical errors
-            const phi = Math.atan2(ny, nx);
-
-            // Map to NDF coordinates: (cos(φ)sin(θ), sin(φ)sin(θ))
-            // This creates the circular projection where z-coordinate is removed
-
-            const x = Math.cos(phi) * Math.sin(theta);
-            const y = Math.sin(phi) * Math.sin(theta);
-
-            ndfSamples.push({ x: x, y: y });
+            // θ from the Z-axis, φ in the XY plane; r(θ) set by the projection
+            ndfSamples.push(
+                NDFProjection.fromNormal(n.x, n.y, n.z, projection)
+            );
         }
         return ndfSamples;
     }
@@ -216,24 +556,11 @@ class Surface {
 
         for (let i = 0; i < normals.length; i++) {
             const n = normals[i];
-            // Convert normal to proper NDF coordinates using spherical mapping
-            // Ensure normal is normalized
-            const normal = n.clone().normalize();
-
-            // Assuming Z-up coordinate system (nz should be positive for hemisphere)
-            const nz = Math.abs(normal.z); // Ensure positive for upper hemisphere
-            const nx = normal.x;
-            const ny = normal.y;
-
-            // Convert to spherical coordinates
-            const theta = Math.acos(Math.min(nz, 1.0)); // Angle from Z-axis
-            const phi = Math.atan2(ny, nx); // Azimuthal angle
-
-            // Map to NDF coordinates: (cos(φ)sin(θ), sin(φ)sin(θ))
-            const x = Math.cos(phi) * Math.sin(theta);
-            const y = Math.sin(phi) * Math.sin(theta);
-
-            ndfSamples.push({ x: x, y: y });
+            // Map to NDF disk coordinates (Z-up, upper hemisphere); for the
+            // orthographic projection this is (cos(φ)sin(θ), sin(φ)sin(θ))
+            ndfSamples.push(
+                NDFProjection.fromNormal(n.x, n.y, n.z, this.projection)
+            );
             filteredWeights.push(areaWeights[i]);
             filteredNormals.push(n);
         }
@@ -245,32 +572,35 @@ class Surface {
         };
     }
 
-    createNDFHistogram(plot_id) {
-        const ndfSamples = this.ndfSamples;
-        const areaWeights = this.areaWeights;
-
+    // Bin the NDF samples into a bins×bins grid over [-1,1]^2 (row-major, row = y).
+    // DOM-free; createNDFHistogram() renders the result.
+    computeNDFHistogram() {
         const bins = this.bins;
-        const histogram = new Array(bins * bins).fill(0);
         const binSize = 2.0 / bins;
 
-        for (let i = 0; i < ndfSamples.length; i++) {
-            const sample = ndfSamples[i];
-            const weight = areaWeights[i];
-            const nx = sample.x; // cos(φ)sin(θ) - NDF coordinate
-            const ny = sample.y; // sin(φ)sin(θ) - NDF coordinate
-
-            // Check if sample is within friction cone (smaller radius than unit circle)
-            const frictionConeRadius = 0.6; // Adjust this value to change cone size (0.6 = ~37° half-angle)
-            const radius = Math.sqrt(nx * nx + ny * ny);
-            if (radius > frictionConeRadius) continue; // Skip samples outside friction cone
-
-            // Map to histogram bins - centered at origin with radius constraint
-            const binX = Math.floor((nx + 1.0) / binSize);
-            const binY = Math.floor((ny + 1.0) / binSize);
-            if (binX >= 0 && binX < bins && binY >= 0 && binY < bins) {
-                histogram[binY * bins + binX] += weight;
+        // Only samples within the friction cone (θ ≤ asin 0.6 ≈ 37°; the disk
+        // radius of that cone depends on the projection)
+        const frictionConeRadius = NDFProjection.radius(
+            Surface.FRICTION_CONE_ANGLE,
+            this.projection
+        );
+        const histogram = NDFProjection.histogram(
+            this.ndfSamples,
+            this.areaWeights,
+            bins,
+            {
+                projection: this.projection,
+                perSteradian: this.perSteradian,
+                maxRadius: frictionConeRadius,
             }
-        }
+        );
+        return { histogram, bins, binSize };
+    }
+
+    createNDFHistogram(plot_id) {
+        const { histogram, bins, binSize } = this.computeNDFHistogram();
+        if (typeof document === 'undefined') return histogram;
+
         // render histogram into a canvas, produce a CanvasTexture and (if a DOM target exists) display it
 
         // create a small offscreen canvas where each bin is one pixel
@@ -292,14 +622,6 @@ class Surface {
                 const idx = by * bins + bx;
                 const v = histogram[idx];
 
-                // Check if this bin is within the friction cone for NDF visualization
-                const frictionConeRadius = 0.6; // Match the radius used in histogram creation
-                const binCenterX = (bx + 0.5) * binSize - 1.0;
-                const binCenterY = (by + 0.5) * binSize - 1.0;
-                const binRadius = Math.sqrt(
-                    binCenterX * binCenterX + binCenterY * binCenterY
-                );
-
                 // Inside unit circle - render NDF data
                 let t = v / maxVal; // linear [0,1]
                 // apply mild log-like compression for better visual contrast
@@ -339,3 +661,10 @@ class Surface {
         }
     }
 }
+
+// Half-angle of the friction cone used by computeNDFHistogram (asin 0.6)
+Surface.FRICTION_CONE_ANGLE = Math.asin(0.6);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Surface;
+}
@@ -0,0 +1,428 @@
+// Export surfaces, NDF grids and friction profiles for offline analysis
+// -----------------------------------------------------------------------------
+// Every file carries the parameters that produced it (Surface.getParameters /
+// Friction.getParameters), so results can be reproduced and analysed in Python
+// notebooks (see oldcode/ndf.ipynb). Functions return a string (text formats)
+// or an ArrayBuffer (binary formats); download() saves either from a browser.
+//
+// Heightfield (rows run from +y to -y, columns from -x to +x, as in the mesh):
+//   - CSV    '# key=value' parameter lines, then one row of heights per line.
+//            Re-imports with HeightmapLoader; numpy: np.loadtxt(f, delimiter=',')
+//   - PNG16  16-bit grayscale, height = value * zScale + zOffset; dx, dy,
+//            zScale, zOffset and the JSON parameters are stored in tEXt chunks
+//   - OBJ    vertices + triangles, parameters as '#' comments
+//   - STL    binary; the 80-byte header holds a short parameter summary
+//
+// NDF grid (bins×bins over [-1,1]^2 in NDF disk coordinates
+// (cos φ sin θ, sin φ sin θ); row-major, index = by*bins + bx, bin centre
+// (-1 + (bx+0.5)*binSize, -1 + (by+0.5)*binSize)):
+//   - surfaceNDF(surface)          area-weighted histogram (raw sums, per
+//                                  steradian with surface.perSteradian)
+//                                  (Surface.computeNDFHistogram)
+//   - frictionNDF(friction, 1|2)   peak-normalized grid (Friction._buildGrid)
+//   - ndfJSON(ndf)                 metadata + data in one JSON file
+//   - ndfNPY(ndf)                  { npy, metadata }: float32 (bins, bins)
+//                                  array, np.load-able; metadata is a JSON
+//                                  sidecar (NPY headers cannot hold it)
+//
+// Friction profile:
+//   - profileCSV(friction)   '# key=value' parameter lines, then
+//                            'angle_rad,angle_deg,mu' rows;
+//                            pandas: pd.read_csv(f, comment='#')
+//
+// Roughness (Roughness.js):
+//   - roughnessJSON(surface)       { parameters, metrics } (Sa, Sq, …, Rku)
+//   - psdCSV(surface, 'x'|'y')     '# key=value' lines, then 'q,psd' rows
+// -----------------------------------------------------------------------------
+
+class SurfaceExporter {
+    // ---------------------------------------------------------------------
+    // Heightfield
+    // ---------------------------------------------------------------------
+
+    static heightfieldCSV(surface) {
+        const { cols, rows, heights } = surface.getHeightfield();
+        const lines = SurfaceExporter._commentLines(
+            SurfaceExporter._heightfieldParameters(surface)
+        );
+        for (let j = 0; j < rows; j++) {
+            const row = [];
+            for (let i = 0; i < cols; i++) row.push(heights[j * cols + i]);
+            lines.push(row.join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static heightfieldPNG16(surface) {
+        const { cols, rows, heights } = surface.getHeightfield();
+        let min = Infinity,
+            max = -Infinity;
+        for (const h of heights) {
+            if (h < min) min = h;
+            if (h > max) max = h;
+        }
+        const zScale = max > min ? (max - min) / 65535 : 1;
+
+        // Scanlines: filter byte 0 (None), then big-endian uint16 samples
+        const stride = 1 + cols * 2;
+        const raw = new Uint8Array(rows * stride);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const v = Math.round((heights[j * cols + i] - min) / zScale);
+                const p = j * stride + 1 + 2 * i;
+                raw[p] = v >> 8;
+                raw[p + 1] = v & 0xff;
+            }
+        }
+
+        const ihdr = new Uint8Array(13);
+        const view = new DataView(ihdr.buffer);
+        view.setUint32(0, cols);
+        view.setUint32(4, rows);
+        ihdr[8] = 16; // bit depth
+        ihdr[9] = 0; // grayscale
+
+        const params = SurfaceExporter._heightfieldParameters(surface);
+        const text = { ...params, zScale, zOffset: min };
+        const chunks = [SurfaceExporter._pngChunk('IHDR', ihdr)];
+        for (const key of ['dx', 'dy', 'zScale', 'zOffset']) {
+            chunks.push(SurfaceExporter._pngText(key, String(text[key])));
+        }
+        chunks.push(
+            SurfaceExporter._pngText('parameters', JSON.stringify(params))
+        );
+        chunks.push(
+            SurfaceExporter._pngChunk('IDAT', SurfaceExporter._zlibStore(raw))
+        );
+        chunks.push(SurfaceExporter._pngChunk('IEND', new Uint8Array(0)));
+
+        const signature = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+        return SurfaceExporter._concat([signature, ...chunks]).buffer;
+    }
+
+    static heightfieldOBJ(surface) {
+        const geometry = surface.mesh.geometry;
+        const position = geometry.attributes.position;
+        const index = geometry.index.array;
+        const lines = SurfaceExporter._commentLines(
+            SurfaceExporter._heightfieldParameters(surface)
+        );
+        for (let i = 0; i < position.count; i++) {
+            lines.push(
+                `v ${position.getX(i)} ${position.getY(i)} ${position.getZ(i)}`
+            );
+        }
+        for (let i = 0; i < index.length; i += 3) {
+            lines.push(
+                `f ${index[i] + 1} ${index[i + 1] + 1} ${index[i + 2] + 1}`
+            );
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static heightfieldSTL(surface) {
+        const geometry = surface.mesh.geometry;
+        const position = geometry.attributes.position;
+        const index = geometry.index.array;
+        const triangles = index.length / 3;
+
+        const buffer = new ArrayBuffer(84 + triangles * 50);
+        const view = new DataView(buffer);
+        const header = Object.entries(
+            SurfaceExporter._heightfieldParameters(surface)
+        )
+            .map(([k, v]) => `${k}=${v}`)
+            .join(' ')
+            .slice(0, 80);
+        for (let i = 0; i < header.length; i++) {
+            view.setUint8(i, header.charCodeAt(i) & 0x7f);
+        }
+        view.setUint32(80, triangles, true);
+
+        const a = new THREE.Vector3(),
+            b = new THREE.Vector3(),
+            c = new THREE.Vector3(),
+            n = new THREE.Vector3(),
+            e = new THREE.Vector3();
+        let offset = 84;
+        for (let t = 0; t < triangles; t++) {
+            a.fromBufferAttribute(position, index[3 * t]);
+            b.fromBufferAttribute(position, index[3 * t + 1]);
+            c.fromBufferAttribute(position, index[3 * t + 2]);
+            n.subVectors(b, a).cross(e.subVectors(c, a)).normalize();
+            for (const v of [n, a, b, c]) {
+                view.setFloat32(offset, v.x, true);
+                view.setFloat32(offset + 4, v.y, true);
+                view.setFloat32(offset + 8, v.z, true);
+                offset += 12;
+            }
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        }
+        return buffer;
+    }
+
+    // ---------------------------------------------------------------------
+    // NDF grids
+    // ---------------------------------------------------------------------
+
+    static surfaceNDF(surface) {
+        const { histogram, bins, binSize } = surface.computeNDFHistogram();
+        return {
+            kind: 'surface-ndf',
+            bins,
+            binSize,
+            normalization: surface.perSteradian
+                ? 'area-weighted density per steradian'
+                : 'area-weighted sums (raw)',
+            projection: surface.projection,
+            // filter used by computeNDFHistogram (disk radius depends on the
+            // projection)
+            frictionConeAngle: Surface.FRICTION_CONE_ANGLE,
+            parameters: surface.getParameters(),
+            data: Float32Array.from(histogram),
+        };
+    }
+
+    static frictionNDF(friction, which = 1) {
+        return {
+            kind: 'friction-ndf',
+            bins: friction.bins,
+            binSize: 2.0 / friction.bins,
+            normalization: friction.perSteradian
+                ? 'peak (max = 1) of the per-steradian density'
+                : 'peak (max = 1)',
+            projection: friction.projection,
+            surface: which,
+            parameters: friction.getParameters(),
+            data: which === 2 ? friction.ndfGrid2 : friction.ndfGrid1,
+        };
+    }
+
+    static ndfJSON(ndf) {
+        return JSON.stringify(
+            {
+                ...SurfaceExporter._ndfMetadata(ndf),
+                data: Array.from(ndf.data),
+            },
+            null,
+            2
+        );
+    }
+
+    static ndfNPY(ndf) {
+        return {
+            npy: SurfaceExporter._npy(ndf.data, [ndf.bins, ndf.bins]),
+            metadata: JSON.stringify(
+                SurfaceExporter._ndfMetadata(ndf),
+                null,
+                2
+            ),
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Friction profile
+    // ---------------------------------------------------------------------
+
+    static profileCSV(friction) {
+        const { angles, mus } = friction.directionalProfileCache;
+        const lines = SurfaceExporter._commentLines(
+            SurfaceExporter._flatten(friction.getParameters())
+        );
+        lines.push('angle_rad,angle_deg,mu');
+        for (let i = 0; i < angles.length; i++) {
+            lines.push(`${angles[i]},${(angles[i] * 180) / Math.PI},${mus[i]}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // ---------------------------------------------------------------------
+    // Roughness
+    // ---------------------------------------------------------------------
+
+    static roughnessJSON(surface) {
+        const metrics = Roughness.compute(surface.getHeightfield());
+        return JSON.stringify(
+            { parameters: surface.getParameters(), metrics },
+            (key, value) => (Number.isNaN(value) ? null : value),
+            2
+        );
+    }
+
+    static psdCSV(surface, direction = 'x') {
+        const { q, psd } = Roughness.psd1D(surface.getHeightfield(), direction);
+        const lines = SurfaceExporter._commentLines({
+            ...SurfaceExporter._heightfieldParameters(surface),
+            direction,
+            convention: 'two-sided C1(q), q >= 0, Hann window',
+        });
+        lines.push('q,psd');
+        for (let i = 0; i < q.length; i++) lines.push(`${q[i]},${psd[i]}`);
+        return lines.join('\n') + '\n';
+    }
+
+    // ---------------------------------------------------------------------
+    // Browser download
+    // ---------------------------------------------------------------------
+
+    static download(data, filename, mimeType = 'application/octet-stream') {
+        const blob = new Blob([data], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // ---------------------------------------------------------------------
+    // Helpers (private)
+    // ---------------------------------------------------------------------
+
+    static _heightfieldParameters(surface) {
+        const { dx, dy } = surface.getHeightfield();
+        return { ...surface.getParameters(), dx, dy };
+    }
+
+    static _ndfMetadata(ndf) {
+        const { data, ...metadata } = ndf;
+        return {
+            ...metadata,
+            shape: [ndf.bins, ndf.bins],
+            extent: [-1, 1],
+            layout: 'row-major, index = by*bins + bx, row by = NDF y',
+        };
+    }
+
+    // { a: { b: 1 } } → { 'a.b': 1 }
+    static _flatten(obj, prefix = '') {
+        const out = {};
+        for (const [key, value] of Object.entries(obj)) {
+            if (value && typeof value === 'object') {
+                Object.assign(
+                    out,
+                    SurfaceExporter._flatten(value, `${prefix}${key}.`)
+                );
+            } else if (value !== undefined) {
+                out[prefix + key] = value;
+            }
+        }
+        return out;
+    }
+
+    static _commentLines(params) {
+        return Object.entries(params).map(([k, v]) => `# ${k}=${v}`);
+    }
+
+    // NPY v1.0, little-endian float32, C order
+    static _npy(data, shape) {
+        let header = `{'descr': '<f4', 'fortran_order': False, 'shape': (${shape.join(', ')}), }`;
+        const unpadded = 10 + header.length + 1;
+        header += ' '.repeat((64 - (unpadded % 64)) % 64) + '\n';
+
+        const buffer = new ArrayBuffer(10 + header.length + data.length * 4);
+        const view = new DataView(buffer);
+        const magic = [0x93, 78, 85, 77, 80, 89, 1, 0]; // \x93NUMPY v1.0
+        magic.forEach((b, i) => view.setUint8(i, b));
+        view.setUint16(8, header.length, true);
+        for (let i = 0; i < header.length; i++) {
+            view.setUint8(10 + i, header.charCodeAt(i));
+        }
+        const offset = 10 + header.length;
+        for (let i = 0; i < data.length; i++) {
+            view.setFloat32(offset + 4 * i, data[i], true);
+        }
+        return buffer;
+    }
+
+    static _pngChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(
+            8 + data.length,
+            SurfaceExporter._crc32(chunk.subarray(4, 8 + data.length))
+        );
+        return chunk;
+    }
+
+    static _pngText(keyword, text) {
+        const bytes = new Uint8Array(keyword.length + 1 + text.length);
+        for (let i = 0; i < keyword.length; i++) {
+            bytes[i] = keyword.charCodeAt(i);
+        }
+        for (let i = 0; i < text.length; i++) {
+            bytes[keyword.length + 1 + i] = text.charCodeAt(i) & 0xff;
+        }
+        return SurfaceExporter._pngChunk('tEXt', bytes);
+    }
+
+    // zlib stream made of uncompressed ("stored") deflate blocks
+    static _zlibStore(data) {
+        const blocks = [new Uint8Array([0x78, 0x01])];
+        for (let pos = 0; pos < data.length || pos === 0; pos += 65535) {
+            const len = Math.min(65535, data.length - pos);
+            const final = pos + len >= data.length ? 1 : 0;
+            blocks.push(
+                new Uint8Array([
+                    final,
+                    len & 0xff,
+                    len >> 8,
+                    ~len & 0xff,
+                    (~len >> 8) & 0xff,
+                ]),
+                data.subarray(pos, pos + len)
+            );
+            if (final) break;
+        }
+        let a = 1,
+            b = 0;
+        for (let i = 0; i < data.length; i++) {
+            a = (a + data[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        const adler = new Uint8Array(4);
+        new DataView(adler.buffer).setUint32(0, ((b << 16) | a) >>> 0);
+        blocks.push(adler);
+        return SurfaceExporter._concat(blocks);
+    }
+
+    static _crc32(bytes) {
+        if (!SurfaceExporter._crcTable) {
+            SurfaceExporter._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                SurfaceExporter._crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc =
+                SurfaceExporter._crcTable[(crc ^ bytes[i]) & 0xff] ^
+                (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static _concat(arrays) {
+        const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+        let offset = 0;
+        for (const a of arrays) {
+            out.set(a, offset);
+            offset += a.length;
+        }
+        return out;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SurfaceExporter;
+}
@@ -0,0 +1,106 @@
+// Web Worker entry point for surface and friction jobs (see WorkerPool.js)
+// -----------------------------------------------------------------------------
+// Job types:
+//   'surface'   payload { args, heightmap? } → Surface built with
+//               new Surface(...args) (options.heightmap from the payload, no
+//               texture), returned as { surface: Surface#toTransferable() data,
+//               roughness: Roughness.compute(...) }
+//   'friction'  payload { surface1, surface2, fit, options } where surfaceN is
+//               { ndfSamples (interleaved Float32Array), areaWeights, bins } →
+//               { ndfGrid1, ndfGrid2, profile, fits } for new Friction(...,
+//               { ...options, ndfGrid1, ndfGrid2, profile }) on the main thread.
+//               With `fit`, both NDFs are replaced by their best NDFModel fit
+//               and `fits` holds { model (toJSON), r2 } per surface
+// Result buffers are transferred, not copied.
+// -----------------------------------------------------------------------------
+
+const post = (id, message, transfer = []) =>
+    self.postMessage({ id, ...message }, transfer);
+
+let loadError = null;
+try {
+    importScripts(
+        'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+        './SeededRandom.js',
+        './FFT.js',
+        './RoughSurface.js',
+        './HeightmapLoader.js',
+        './Roughness.js',
+        './NDFProjection.js',
+        './NDFModels.js',
+        './Surface.js',
+        './Friction.js'
+    );
+} catch (error) {
+    loadError = error;
+}
+
+const jobs = {
+    surface(id, { args, heightmap }) {
+        post(id, { progress: 0, stage: 'heights' });
+        const options = { ...args[7], texture: false };
+        if (heightmap) options.heightmap = heightmap;
+        const surface = new Surface(...args.slice(0, 7), options);
+
+        post(id, { progress: 0.7, stage: 'roughness' });
+        const roughness = Roughness.compute(surface.getHeightfield());
+
+        const { data, transfer } = surface.toTransferable();
+        return { result: { surface: data, roughness }, transfer };
+    },
+
+    friction(id, { surface1, surface2, fit, options }) {
+        const inputs = [surface1, surface2].map(s => ({
+            samples: Surface.unpackSamples(s.ndfSamples),
+            weights: s.areaWeights,
+            bins: s.bins,
+        }));
+
+        let fits = null;
+        if (fit) {
+            post(id, { progress: 0, stage: 'fitting NDFs' });
+            fits = inputs.map(({ samples, weights, bins }) => {
+                const best = NDFModel.fitAll(samples, weights, { bins })[0];
+                return { model: best.model.toJSON(), r2: best.r2 };
+            });
+        }
+
+        post(id, { progress: fit ? 0.5 : 0, stage: 'friction profile' });
+        const friction = new Friction(
+            null,
+            null,
+            inputs[0].weights,
+            inputs[1].weights,
+            inputs[0].samples,
+            inputs[1].samples,
+            [],
+            [],
+            {
+                ...options,
+                ndfModel1: fits ? NDFModel.fromJSON(fits[0].model) : null,
+                ndfModel2: fits ? NDFModel.fromJSON(fits[1].model) : null,
+            }
+        );
+        const result = {
+            ndfGrid1: friction.ndfGrid1,
+            ndfGrid2: friction.ndfGrid2,
+            profile: friction.directionalProfileCache,
+            fits,
+        };
+        return {
+            result,
+            transfer: [result.ndfGrid1.buffer, result.ndfGrid2.buffer],
+        };
+    },
+};
+
+self.onmessage = ({ data: { id, type, payload } }) => {
+    try {
+        if (loadError) throw loadError;
+        if (!jobs[type]) throw new Error(`Unknown job type: ${type}`);
+        const { result, transfer } = jobs[type](id, payload);
+        post(id, { result }, transfer);
+    } catch (error) {
+        post(id, { error: error.message });
+    }
+};
@@ -0,0 +1,159 @@
+// Small pool of Web Workers running keyed, cancellable jobs
+// -----------------------------------------------------------------------------
+// Each job is a message { id, type, payload } answered by the worker with
+//   { id, progress, stage }    any number of progress updates (progress 0..1)
+//   { id, result }             completion, or
+//   { id, error }              failure (message string)
+// Jobs carrying a `key` supersede each other: starting a job with the key of a
+// queued one drops the queued job, and the key of a running one terminates
+// that worker (and spawns a fresh one), so a slider that keeps moving only
+// ever pays for its latest value. Superseded promises reject with an error
+// named 'AbortError'.
+//
+// Payload and result buffers listed in `transfer` move between threads without
+// copying (Transferable), so the sender must not reuse them.
+//
+// Browser only: workers need a served page (file:// URLs usually refuse to
+// start them). Callers should fall back to computing on the main thread when
+// WorkerPool.isSupported() is false or a job fails with a non-abort error.
+// -----------------------------------------------------------------------------
+
+class WorkerPool {
+    /**
+     * @param {string} url   worker script
+     * @param {number} size  number of workers (default: cores - 1, max 4)
+     */
+    constructor(url, size) {
+        this.url = url;
+        this.size =
+            size ??
+            Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+        this.nextId = 1;
+        this.queue = [];
+        this.idle = [];
+        this.running = new Map(); // worker → job
+        for (let i = 0; i < this.size; i++) this.idle.push(this._spawn());
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' && location.protocol !== 'file:';
+    }
+
+    /**
+     * Queue a job.
+     * @param {string} type
+     * @param {*} payload
+     * @param {{key?:string, transfer?:Transferable[],
+     *          onProgress?:(progress:number, stage:string)=>void}} options
+     * @returns {Promise<*>} the worker's result
+     */
+    run(type, payload, { key, transfer = [], onProgress } = {}) {
+        if (key !== undefined) this.cancel(key);
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                id: this.nextId++,
+                type,
+                payload,
+                key,
+                transfer,
+                onProgress,
+                resolve,
+                reject,
+            });
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Cancel the queued or running job with this key (if any).
+     */
+    cancel(key) {
+        const queued = this.queue.findIndex(job => job.key === key);
+        if (queued >= 0) {
+            const [job] = this.queue.splice(queued, 1);
+            job.reject(WorkerPool._abortError());
+        }
+        for (const [worker, job] of this.running) {
+            if (job.key !== key) continue;
+            worker.terminate();
+            this.running.delete(worker);
+            this.idle.push(this._spawn());
+            job.reject(WorkerPool._abortError());
+        }
+        this._dispatch();
+    }
+
+    terminate() {
+        for (const job of this.queue) job.reject(WorkerPool._abortError());
+        for (const [worker, job] of this.running) {
+            worker.terminate();
+            job.reject(WorkerPool._abortError());
+        }
+        for (const worker of this.idle) worker.terminate();
+        this.queue = [];
+        this.idle = [];
+        this.running.clear();
+    }
+
+    // ---------------------------------------------------------------------
+    // Private
+    // ---------------------------------------------------------------------
+
+    _spawn() {
+        const worker = new Worker(this.url);
+        worker.onmessage = event => this._onMessage(worker, event.data);
+        worker.onerror = event => {
+            event.preventDefault();
+            this._finish(worker, job =>
+                job.reject(new Error(event.message || 'Worker failed'))
+            );
+        };
+        return worker;
+    }
+
+    _dispatch() {
+        while (this.queue.length && this.idle.length) {
+            const job = this.queue.shift();
+            const worker = this.idle.pop();
+            this.running.set(worker, job);
+            worker.postMessage(
+                { id: job.id, type: job.type, payload: job.payload },
+                job.transfer
+            );
+        }
+    }
+
+    _onMessage(worker, message) {
+        const job = this.running.get(worker);
+        if (!job || job.id !== message.id) return; // superseded
+        if (message.progress !== undefined) {
+            if (job.onProgress) job.onProgress(message.progress, message.stage);
+            return;
+        }
+        this._finish(worker, job =>
+            message.error !== undefined
+                ? job.reject(new Error(message.error))
+                : job.resolve(message.result)
+        );
+    }
+
+    // Release the worker's job and hand the worker the next one
+    _finish(worker, settle) {
+        const job = this.running.get(worker);
+        if (!job) return;
+        this.running.delete(worker);
+        this.idle.push(worker);
+        settle(job);
+        this._dispatch();
+    }
+
+    static _abortError() {
+        const error = new Error('Job superseded');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkerPool;
+}
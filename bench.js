@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// ================================================================
+// FRICTION BENCHMARK - direct vs FFT correlation in the NDF estimators
+// ================================================================
+// Builds two rough surfaces per bin count and times Friction's correlation
+// based estimators ('overlap2d', 'projection') with useFFT off and on. Each
+// timing is a full directional profile (72 directions) from fresh grids, so it
+// is what a SurfaceViewer slider pays. The last column is the largest
+// difference between the two profiles relative to the largest μ.
+//
+// 'overlap2d' is dominated by the 2D correlation, O(bins⁴) direct against
+// O(bins² log bins) with FFT. 'projection' correlates short 1D profiles, so its
+// time is the projection sampling itself and both columns come out the same.
+// Only these two are accelerated: the default 'chord' estimator and the
+// kinetic profile stay direct loops, with no FFT path to time (see
+// Friction.js, useFFT).
+//
+// Usage:
+//   node bench.js [--bins 64,128,256] [--estimator overlap2d,projection]
+//                 [--repeat N]
+// ================================================================
+
+const { Surface, Friction } = require('./headless');
+
+function parseArgs(argv) {
+    const options = {
+        bins: [64, 128, 256],
+        estimator: ['overlap2d', 'projection'],
+        repeat: 3,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[++i];
+        if (value === undefined) throw new Error(`Missing value for --${key}`);
+        if (key === 'bins') options.bins = value.split(',').map(Number);
+        else if (key === 'estimator') options.estimator = value.split(',');
+        else if (key === 'repeat') options.repeat = parseInt(value);
+        else throw new Error(`Unknown option --${key}`);
+    }
+    return options;
+}
+
+function makeSurface(seed, rotation, bins) {
+    return new Surface(4, 25, 0, rotation, 500, 500, bins, {
+        texture: false,
+        seed,
+        surfaceType: 'Gaussian',
+        rough: { correlationLength: 15, correlationLengthY: 40, size: 128 },
+    });
+}
+
+// Best-of-N wall time of building the model (grids + profile), in ms
+function time(s1, s2, options, repeat) {
+    let best = Infinity;
+    let friction = null;
+    for (let r = 0; r < repeat; r++) {
+        const start = process.hrtime.bigint();
+        friction = Friction.fromSurfaces(s1, s2, options);
+        best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return { ms: best, mus: friction.directionalProfileCache.mus };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const rows = [];
+    for (const bins of options.bins) {
+        const s1 = makeSurface(1, 0, bins);
+        const s2 = makeSurface(2, Math.PI / 3, bins);
+        for (const estimator of options.estimator) {
+            const direct = time(
+                s1,
+                s2,
+                { bins, estimator, useFFT: false },
+                options.repeat
+            );
+            const fft = time(
+                s1,
+                s2,
+                { bins, estimator, useFFT: true },
+                options.repeat
+            );
+            const maxMu = Math.max(...direct.mus);
+            let diff = 0;
+            for (let i = 0; i < direct.mus.length; i++) {
+                diff = Math.max(diff, Math.abs(direct.mus[i] - fft.mus[i]));
+            }
+            rows.push({
+                bins,
+                estimator,
+                'direct (ms)': direct.ms.toFixed(1),
+                'fft (ms)': fft.ms.toFixed(1),
+                speedup: (direct.ms / fft.ms).toFixed(1) + '×',
+                'max rel diff': (maxMu > 0 ? diff / maxMu : 0).toExponential(1),
+            });
+        }
+    }
+    console.table(rows);
+}
+
+main();
@@ -0,0 +1,91 @@
+// Box class - rectangular cuboid width × height × depth (local x, y, z)
+class Box extends RigidBody {
+    constructor(
+        position,
+        width,
+        height,
+        depth,
+        staticFriction,
+        kineticFriction,
+        mass,
+        options = {}
+    ) {
+        super(staticFriction, kineticFriction, mass);
+        this.width = width;
+        this.height = height;
+        this.depth = depth;
+
+        // Solid cuboid: I_x = m (h² + d²) / 12, and cyclically
+        const w2 = width * width,
+            h2 = height * height,
+            d2 = depth * depth;
+        this.inertia = new THREE.Vector3(
+            (mass * (h2 + d2)) / 12,
+            (mass * (w2 + d2)) / 12,
+            (mass * (w2 + h2)) / 12
+        );
+
+        this.mesh = this._createMesh(
+            new THREE.BoxGeometry(width, height, depth),
+            position,
+            options
+        );
+    }
+
+    get shape() {
+        return 'box';
+    }
+
+    getHalfExtents() {
+        return new THREE.Vector3(
+            this.width,
+            this.height,
+            this.depth
+        ).multiplyScalar(0.5);
+    }
+
+    getBoundingRadius() {
+        return this.getHalfExtents().length();
+    }
+
+    support(dir) {
+        const h = this.getHalfExtents();
+        return new THREE.Vector3(
+            dir.x >= 0 ? h.x : -h.x,
+            dir.y >= 0 ? h.y : -h.y,
+            dir.z >= 0 ? h.z : -h.z
+        );
+    }
+
+    getPolyhedron() {
+        if (this.polyhedron) return this.polyhedron;
+        const h = this.getHalfExtents();
+        const vertices = [];
+        for (const sx of [1, -1]) {
+            for (const sy of [1, -1]) {
+                for (const sz of [1, -1]) {
+                    vertices.push(
+                        new THREE.Vector3(sx * h.x, sy * h.y, sz * h.z)
+                    );
+                }
+            }
+        }
+        // One face per axis and side: the four vertices on that side
+        const faces = [];
+        for (const axis of ['x', 'y', 'z']) {
+            for (const sign of [1, -1]) {
+                faces.push(
+                    vertices
+                        .map((v, i) => (v[axis] * sign > 0 ? i : -1))
+                        .filter(i => i >= 0)
+                );
+            }
+        }
+        this.polyhedron = RigidBody.buildPolyhedron(vertices, faces);
+        return this.polyhedron;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Box;
+}
@@ -0,0 +1,340 @@
+// ================================================================
+// CONVEX HULL - rigid body from a convex triangle mesh (OBJ / STL)
+// ================================================================
+// Builds a body from { positions, indices } (see MeshLoader). The mesh must
+// be convex (e.g. a scanned specimen's hull); it is welded, its triangles are
+// oriented outward and checked, and coplanar triangles merge into the
+// polygon faces the separating axis test clips against.
+//
+// Mass properties for a uniform density (mass / volume), summed over the
+// tetrahedra between an interior point and every triangle:
+//   V_t = det[b−a, c−a, d−a] / 6
+//   ∫ x xᵀ dV = V_t/20 · (Σ v_i v_iᵀ + s sᵀ),  s = Σ v_i
+// giving the volume, the centre of mass and the inertia tensor
+// I = ρ (tr(C) 1 − C) about it. The body frame is the principal frame
+// (Jacobi eigenvectors of I), so getInertia() is diagonal like every other
+// shape; the mesh starts rotated back into the file's orientation.
+// ================================================================
+
+class ConvexHull extends RigidBody {
+    /**
+     * @param {THREE.Vector3} position - where the centre of mass goes
+     * @param {{positions:Float32Array, indices:Uint32Array}} mesh
+     * @param {object} options - color, opacity
+     */
+    constructor(
+        position,
+        mesh,
+        staticFriction,
+        kineticFriction,
+        mass,
+        options = {}
+    ) {
+        super(staticFriction, kineticFriction, mass);
+
+        const { points, triangles } = ConvexHull._weld(mesh);
+        const interior = points
+            .reduce((sum, p) => sum.add(p), new THREE.Vector3())
+            .divideScalar(points.length);
+        ConvexHull._orientAndCheck(points, triangles, interior);
+
+        const { volume, centroid, inertia } = ConvexHull.massProperties(
+            points,
+            triangles,
+            interior,
+            mass
+        );
+        this.volume = volume;
+        this.source = mesh; // as given, to rebuild the same body (RunRecording)
+
+        // Principal frame: body = Rᵀ (file − centroid)
+        const { values, vectors } = ConvexHull._eigenSymmetric3(inertia);
+        this.inertia = new THREE.Vector3(values[0], values[1], values[2]);
+        const R = vectors;
+        const Rt = R.clone().transpose();
+        const vertices = points.map(p =>
+            p.clone().sub(centroid).applyMatrix3(Rt)
+        );
+        this.polyhedron = RigidBody.buildPolyhedron(
+            vertices,
+            ConvexHull._mergeFaces(vertices, triangles)
+        );
+
+        const geometry = new THREE.BufferGeometry();
+        const flat = [];
+        for (const [a, b, c] of triangles) {
+            for (const i of [a, b, c]) {
+                flat.push(vertices[i].x, vertices[i].y, vertices[i].z);
+            }
+        }
+        geometry.setAttribute(
+            'position',
+            new THREE.Float32BufferAttribute(flat, 3)
+        );
+        geometry.computeVertexNormals();
+        this.mesh = this._createMesh(geometry, position, options);
+        this.mesh.quaternion.setFromRotationMatrix(
+            new THREE.Matrix4().setFromMatrix3(R)
+        );
+    }
+
+    /**
+     * Load an OBJ/STL file (see MeshLoader.load) into a ConvexHull.
+     * @returns {Promise<ConvexHull>}
+     */
+    static async fromFile(
+        file,
+        position,
+        staticFriction,
+        kineticFriction,
+        mass,
+        options = {}
+    ) {
+        const mesh = await MeshLoader.load(file, options);
+        return new ConvexHull(
+            position,
+            mesh,
+            staticFriction,
+            kineticFriction,
+            mass,
+            options
+        );
+    }
+
+    get shape() {
+        return 'hull';
+    }
+
+    getBoundingRadius() {
+        return Math.max(...this.polyhedron.vertices.map(v => v.length()));
+    }
+
+    support(dir) {
+        let best = this.polyhedron.vertices[0];
+        for (const v of this.polyhedron.vertices) {
+            if (v.dot(dir) > best.dot(dir)) best = v;
+        }
+        return best.clone();
+    }
+
+    getPolyhedron() {
+        return this.polyhedron;
+    }
+
+    /**
+     * Volume, centre of mass and inertia tensor (about the centre of mass,
+     * in the mesh frame) of a closed, outward-oriented triangle mesh with
+     * the given total mass (see header).
+     * @returns {{volume:number, centroid:THREE.Vector3, inertia:THREE.Matrix3}}
+     */
+    static massProperties(points, triangles, interior, mass) {
+        let volume = 0;
+        const moment = new THREE.Vector3(); // ∫ x dV
+        const C = new Array(9).fill(0); // ∫ x xᵀ dV, row-major
+        for (const [a, b, c] of triangles) {
+            const tet = [interior, points[a], points[b], points[c]];
+            const V =
+                tet[1]
+                    .clone()
+                    .sub(tet[0])
+                    .dot(
+                        tet[2]
+                            .clone()
+                            .sub(tet[0])
+                            .cross(tet[3].clone().sub(tet[0]))
+                    ) / 6;
+            const s = tet.reduce((sum, v) => sum.add(v), new THREE.Vector3());
+            volume += V;
+            moment.addScaledVector(s, V / 4);
+            const sa = s.toArray();
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    let sum = sa[i] * sa[j];
+                    for (const v of tet) {
+                        sum += v.getComponent(i) * v.getComponent(j);
+                    }
+                    C[i * 3 + j] += (V / 20) * sum;
+                }
+            }
+        }
+        if (!(volume > 0)) throw new Error('ConvexHull: mesh has no volume');
+
+        const centroid = moment.divideScalar(volume);
+        const g = centroid.toArray();
+        const density = mass / volume;
+        const Cc = C.map(
+            (value, k) => value - volume * g[Math.floor(k / 3)] * g[k % 3]
+        );
+        const trace = Cc[0] + Cc[4] + Cc[8];
+        const I = Cc.map(
+            (value, k) => density * ((k % 4 === 0 ? trace : 0) - value)
+        );
+        return {
+            volume,
+            centroid,
+            inertia: new THREE.Matrix3().set(...I),
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Helpers (private)
+    // ---------------------------------------------------------------------
+
+    // Merge coincident vertices (STL repeats them per facet), drop
+    // degenerate triangles
+    static _weld({ positions, indices }) {
+        const box = new THREE.Box3();
+        const raw = [];
+        for (let i = 0; i < positions.length; i += 3) {
+            const p = new THREE.Vector3(
+                positions[i],
+                positions[i + 1],
+                positions[i + 2]
+            );
+            raw.push(p);
+            box.expandByPoint(p);
+        }
+        const tolerance = 1e-6 * box.getSize(new THREE.Vector3()).length();
+        const key = p =>
+            [p.x, p.y, p.z].map(x => Math.round(x / tolerance)).join(',');
+
+        const points = [];
+        const byKey = new Map();
+        const remap = raw.map(p => {
+            const k = key(p);
+            if (!byKey.has(k)) {
+                byKey.set(k, points.length);
+                points.push(p);
+            }
+            return byKey.get(k);
+        });
+        const triangles = [];
+        for (let i = 0; i < indices.length; i += 3) {
+            const t = [
+                remap[indices[i]],
+                remap[indices[i + 1]],
+                remap[indices[i + 2]],
+            ];
+            if (t[0] !== t[1] && t[1] !== t[2] && t[0] !== t[2]) {
+                triangles.push(t);
+            }
+        }
+        if (triangles.length < 4) {
+            throw new Error('ConvexHull: mesh needs at least 4 triangles');
+        }
+        return { points, triangles };
+    }
+
+    // Flip triangles to face away from the interior point; throws if a
+    // vertex lies outside any triangle's plane (not convex)
+    static _orientAndCheck(points, triangles, interior) {
+        const size = Math.max(...points.map(p => p.distanceTo(interior)));
+        const tolerance = 1e-4 * size;
+        for (const t of triangles) {
+            const [a, b, c] = t.map(i => points[i]);
+            const normal = b.clone().sub(a).cross(c.clone().sub(a));
+            if (normal.dot(interior.clone().sub(a)) > 0) {
+                [t[1], t[2]] = [t[2], t[1]];
+                normal.negate();
+            }
+            normal.normalize();
+            for (const p of points) {
+                if (normal.dot(p.clone().sub(a)) > tolerance) {
+                    throw new Error(
+                        'ConvexHull: mesh is not convex (compute its hull first)'
+                    );
+                }
+            }
+        }
+    }
+
+    // Group triangles lying in the same plane into one face (vertex indices)
+    static _mergeFaces(vertices, triangles) {
+        const size = Math.max(...vertices.map(v => v.length()));
+        const planes = [];
+        for (const [a, b, c] of triangles) {
+            const normal = vertices[b]
+                .clone()
+                .sub(vertices[a])
+                .cross(vertices[c].clone().sub(vertices[a]))
+                .normalize();
+            const offset = normal.dot(vertices[a]);
+            let plane = planes.find(
+                p =>
+                    p.normal.dot(normal) > 1 - 1e-6 &&
+                    Math.abs(p.offset - offset) < 1e-6 * size
+            );
+            if (!plane) {
+                plane = { normal, offset, indices: new Set() };
+                planes.push(plane);
+            }
+            for (const i of [a, b, c]) plane.indices.add(i);
+        }
+        return planes.map(p => [...p.indices]);
+    }
+
+    // Jacobi rotations for a symmetric 3×3 matrix: eigenvalues and a proper
+    // rotation whose columns are the eigenvectors
+    static _eigenSymmetric3(matrix) {
+        const a = matrix.clone().transpose().toArray(); // row-major
+        const A = [
+            [a[0], a[1], a[2]],
+            [a[3], a[4], a[5]],
+            [a[6], a[7], a[8]],
+        ];
+        const V = [
+            [1, 0, 0],
+            [0, 1, 0],
+            [0, 0, 1],
+        ];
+        for (let sweep = 0; sweep < 50; sweep++) {
+            const off = A[0][1] ** 2 + A[0][2] ** 2 + A[1][2] ** 2;
+            if (off < 1e-22 * (A[0][0] ** 2 + A[1][1] ** 2 + A[2][2] ** 2)) {
+                break;
+            }
+            for (const [p, q] of [
+                [0, 1],
+                [0, 2],
+                [1, 2],
+            ]) {
+                if (Math.abs(A[p][q]) < 1e-300) continue;
+                const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                const t =
+                    Math.sign(theta || 1) /
+                    (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < 3; k++) {
+                    const akp = A[k][p],
+                        akq = A[k][q];
+                    A[k][p] = c * akp - s * akq;
+                    A[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const apk = A[p][k],
+                        aqk = A[q][k];
+                    A[p][k] = c * apk - s * aqk;
+                    A[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const vkp = V[k][p],
+                        vkq = V[k][q];
+                    V[k][p] = c * vkp - s * vkq;
+                    V[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+        const vectors = new THREE.Matrix3().set(...V.flat());
+        if (vectors.determinant() < 0) {
+            const e = vectors.elements; // column-major: flip the third column
+            e[6] = -e[6];
+            e[7] = -e[7];
+            e[8] = -e[8];
+        }
+        return { values: [A[0][0], A[1][1], A[2][2]], vectors };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConvexHull;
+}
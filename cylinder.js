@@ -0,0 +1,127 @@
+// Cylinder class - solid cylinder (or disc) along the local y axis, like
+// THREE.CylinderGeometry. Against the plane the rims are exact; against other
+// bodies it collides as a prism with `segments` sides (default 16).
+class Cylinder extends RigidBody {
+    constructor(
+        position,
+        radius,
+        height,
+        staticFriction,
+        kineticFriction,
+        mass,
+        options = {}
+    ) {
+        super(staticFriction, kineticFriction, mass);
+        this.radius = radius;
+        this.height = height;
+        this.segments = options.segments ?? 16;
+
+        // Solid cylinder: I_axis = m r² / 2, I_across = m (3r² + h²) / 12
+        const across = (mass * (3 * radius * radius + height * height)) / 12;
+        this.inertia = new THREE.Vector3(
+            across,
+            0.5 * mass * radius * radius,
+            across
+        );
+
+        // It rolls: the sim's per-step damping would brake it to about half
+        // of rollingAcceleration()
+        this.linearDamping = 0;
+        this.angularDamping = 0;
+
+        this.mesh = this._createMesh(
+            new THREE.CylinderGeometry(radius, radius, height, 32),
+            position,
+            options
+        );
+    }
+
+    get shape() {
+        return 'cylinder';
+    }
+
+    getBoundingRadius() {
+        return Math.hypot(this.radius, 0.5 * this.height);
+    }
+
+    // Rolling without slipping on its side down an incline of `angle` radians
+    // (m/s²): g·sinθ / (1 + I/(m r²)) = 2/3·g·sinθ
+    rollingAcceleration(gravity, angle) {
+        return (gravity * Math.sin(angle)) / 1.5;
+    }
+
+    support(dir) {
+        const radial = new THREE.Vector3(dir.x, 0, dir.z);
+        if (radial.lengthSq() > 1e-12) {
+            radial.normalize().multiplyScalar(this.radius);
+        }
+        radial.y = dir.y >= 0 ? 0.5 * this.height : -0.5 * this.height;
+        return radial;
+    }
+
+    // Deepest rim point of each cap; a cap lying (nearly) flat on the plane
+    // gives four rim points instead, so the cylinder can stand on it
+    getPlaneCandidates(n) {
+        const down = n.clone().negate();
+        const radial = new THREE.Vector3(down.x, 0, down.z);
+        const half = 0.5 * this.height;
+        const candidates = [];
+        for (const y of [half, -half]) {
+            if (radial.length() > Cylinder.FLAT_CAP_SINE) {
+                const p = radial
+                    .clone()
+                    .normalize()
+                    .multiplyScalar(this.radius);
+                candidates.push(p.setY(y));
+                continue;
+            }
+            for (let k = 0; k < 4; k++) {
+                const a = (k * Math.PI) / 2;
+                candidates.push(
+                    new THREE.Vector3(
+                        this.radius * Math.cos(a),
+                        y,
+                        this.radius * Math.sin(a)
+                    )
+                );
+            }
+        }
+        return candidates;
+    }
+
+    getPolyhedron() {
+        if (this.polyhedron) return this.polyhedron;
+        const m = this.segments;
+        const half = 0.5 * this.height;
+        const vertices = [];
+        for (const y of [half, -half]) {
+            for (let k = 0; k < m; k++) {
+                const a = (2 * Math.PI * k) / m;
+                vertices.push(
+                    new THREE.Vector3(
+                        this.radius * Math.cos(a),
+                        y,
+                        this.radius * Math.sin(a)
+                    )
+                );
+            }
+        }
+        const faces = [
+            [...Array(m).keys()], // top cap
+            [...Array(m).keys()].map(k => k + m), // bottom cap
+        ];
+        for (let k = 0; k < m; k++) {
+            const next = (k + 1) % m;
+            faces.push([k, next, next + m, k + m]);
+        }
+        this.polyhedron = RigidBody.buildPolyhedron(vertices, faces);
+        return this.polyhedron;
+    }
+}
+
+// Caps tilted less than ~10° from the plane rest on four rim points
+Cylinder.FLAT_CAP_SINE = Math.sin((10 * Math.PI) / 180);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Cylinder;
+}
@@ -0,0 +1,165 @@
+// ================================================================
+// DIAGNOSTICS LOG - per-step energy and contact records of a simulation
+// ================================================================
+// Collects RigidBodySimScene.diagnostics (filled every step while
+// sim.loggingEnabled is set, see RigidBodySimScene._diagnostics) into a ring
+// buffer of the last `capacity` steps, for the live chart and for export:
+//   totals      energy flows summed over everything recorded (J): external,
+//               surface, correction, baumgarte, friction, damping, other
+//   anomalies   steps whose energy gain exceeded the solver's tolerance
+//               (kept even after they leave the buffer, up to `capacity`)
+// toCSV() writes the totals as '# key=value' lines, then one row per step;
+// toContactsCSV() one row per contact and step (normal and tangent impulses,
+// depth, slip, stick/slip).
+// ================================================================
+
+class DiagnosticsLog {
+    /**
+     * @param {RigidBodySimScene} sim
+     * @param {object} options
+     *   capacity  steps kept (default 3600, one minute at 60 Hz)
+     */
+    constructor(sim, options = {}) {
+        this.sim = sim;
+        this.capacity = options.capacity ?? 3600;
+        this.clear();
+    }
+
+    clear() {
+        this.records = [];
+        this.anomalies = [];
+        this.totals = Object.fromEntries(
+            DiagnosticsLog.FLOWS.map(key => [key, 0])
+        );
+    }
+
+    /**
+     * Append the simulation's record of its last step (call after every
+     * sim.step()); returns it, or null when logging is off.
+     */
+    record() {
+        const record = this.sim.diagnostics;
+        if (!record || record === this.records[this.records.length - 1]) {
+            return null;
+        }
+        this.records.push(record);
+        if (this.records.length > this.capacity) this.records.shift();
+        for (const key of DiagnosticsLog.FLOWS) this.totals[key] += record[key];
+        if (record.anomaly) {
+            this.anomalies.push(record);
+            if (this.anomalies.length > this.capacity) this.anomalies.shift();
+        }
+        return record;
+    }
+
+    /**
+     * Totals as '# key=value' lines, then one row per recorded step:
+     * step,time,kinetic,rotational,potential,total,<flows>,energy_gain,
+     * anomaly,contacts,max_depth,sticking
+     * @returns {string}
+     */
+    toCSV() {
+        const header = {
+            dt: this.sim.dt,
+            energyGainTolerance: this.sim.energyGainTolerance,
+            stickSpeed: this.sim.stickSpeed,
+            anomalies: this.anomalies.length,
+            ...Object.fromEntries(
+                DiagnosticsLog.FLOWS.map(key => [
+                    `total_${key}`,
+                    this.totals[key],
+                ])
+            ),
+        };
+        const lines = Object.entries(header).map(
+            ([key, value]) => `# ${key}=${value}`
+        );
+        lines.push(
+            [
+                'step',
+                'time',
+                'kinetic',
+                'rotational',
+                'potential',
+                'total',
+                ...DiagnosticsLog.FLOWS,
+                'energy_gain',
+                'anomaly',
+                'contacts',
+                'max_depth',
+                'sticking',
+            ].join(',')
+        );
+        for (const r of this.records) {
+            lines.push(
+                [
+                    r.step,
+                    r.time,
+                    r.kinetic,
+                    r.rotational,
+                    r.potential,
+                    r.total,
+                    ...DiagnosticsLog.FLOWS.map(key => r[key]),
+                    r.energyGain,
+                    r.anomaly ? 1 : 0,
+                    r.contactCount,
+                    r.maxDepth,
+                    r.sticking,
+                ]
+                    .map(v => +v.toPrecision(8))
+                    .join(',')
+            );
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * One row per contact of every recorded step (body b = -1: the plane):
+     * step,time,a,b,x,y,z,depth,lambda_n,lambda_t1,lambda_t2,slip,sticking
+     * @returns {string}
+     */
+    toContactsCSV() {
+        const lines = [
+            'step,time,a,b,x,y,z,depth,lambda_n,lambda_t1,lambda_t2,slip,sticking',
+        ];
+        for (const r of this.records) {
+            for (const c of r.contacts) {
+                lines.push(
+                    [
+                        r.step,
+                        r.time,
+                        c.a,
+                        c.b,
+                        c.point.x,
+                        c.point.y,
+                        c.point.z,
+                        c.depth,
+                        c.lambda_n,
+                        c.lambda_t1,
+                        c.lambda_t2,
+                        c.slip,
+                        c.sticking ? 1 : 0,
+                    ]
+                        .map(v => +v.toPrecision(8))
+                        .join(',')
+                );
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Energy flows of a record (J per step), see RigidBodySimScene._diagnostics
+DiagnosticsLog.FLOWS = [
+    'external',
+    'surface',
+    'correction',
+    'baumgarte',
+    'friction',
+    'damping',
+    'other',
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiagnosticsLog;
+}
@@ -0,0 +1,184 @@
+// ================================================================
+// FRICTION LAWS - velocity / state dependent μ for RigidBodySimScene
+// ================================================================
+// A law turns a contact's base coefficients { muS, muK } (scene sliders or a
+// Friction model, see RigidBodySimScene._contactFriction) and its slip speed
+// v (m/s, tangential contact speed at the end of the previous step) into the
+// coefficients the solver clamps against this step:
+//   muS  static bound: the tangent impulse sticks while inside it
+//   muK  sliding coefficient used once the static bound is exceeded
+//
+//   'coulomb'     muS, muK unchanged (the abrupt static → kinetic switch)
+//   'stribeck'    μk(v) = muK + (muS − muK)·exp(−(v/vs)^δ) + σ·v
+//                 a smooth drop from static to kinetic over the Stribeck
+//                 velocity vs, plus an optional viscous term
+//   'viscous'     μk(v) = muK + σ·v
+//   'rateState'   Dieterich–Ruina with the aging law, μ0 = muK at v0:
+//                   μ(v, θ) = μ0 + a·ln(v/v0) + b·ln(v0·θ/Dc)
+//                   dθ/dt  = 1 − v·θ/Dc
+//                 θ is a per-contact state (contact age) carried across frames
+//                 with the warm-start cache. At rest θ grows, so the breakaway
+//                 μ(vMin, θ) heals logarithmically with hold time; at steady
+//                 sliding μ = μ0 + (a − b)·ln(v/v0): a < b is velocity
+//                 weakening (stick-slip), a > b strengthening (stable creep).
+//                 muS anchors the state of a new contact: it starts as old
+//                 as needed for a breakaway μ(vMin, θ) of muS (no younger
+//                 than steady sliding at v0), so a body placed at rest breaks
+//                 away at muS and weakens towards muK over a slip of a few Dc.
+//
+// Laws are stateless objects; a per-contact state (only 'rateState') is
+// created by initialState(base) and advanced by updateState() after each solve.
+// PARAMS lists every law's parameters with their defaults for the UI.
+// ================================================================
+
+class FrictionLaw {
+    /**
+     * @param {object} params - overrides of the law's PARAMS defaults
+     */
+    constructor(params = {}) {
+        this.params = {};
+        for (const { key, value } of this.constructor.PARAMS) {
+            this.params[key] = params[key] ?? value;
+        }
+    }
+
+    /**
+     * Build a law by type ('coulomb' | 'stribeck' | 'viscous' | 'rateState').
+     */
+    static create(type = 'coulomb', params = {}) {
+        const Law = FrictionLaw.TYPES[type];
+        if (!Law) throw new Error(`Unknown friction law: ${type}`);
+        return new Law(params);
+    }
+
+    get type() {
+        return 'coulomb';
+    }
+
+    /**
+     * Per-contact state for a new contact with base coefficients `base`
+     * (null: stateless).
+     */
+    initialState(base) {
+        return null;
+    }
+
+    /**
+     * Coefficients for a contact with base coefficients `base` sliding at
+     * `speed` (m/s) in state `state`.
+     * @returns {{muS:number, muK:number}}
+     */
+    coefficients(base, speed, state) {
+        return { muS: base.muS, muK: base.muK };
+    }
+
+    /** State after `dt` seconds of slipping at `speed`. */
+    updateState(state, speed, dt) {
+        return state;
+    }
+}
+
+FrictionLaw.PARAMS = [];
+
+class StribeckLaw extends FrictionLaw {
+    get type() {
+        return 'stribeck';
+    }
+
+    coefficients(base, speed) {
+        const { stribeckVelocity, exponent, viscosity } = this.params;
+        const decay = Math.exp(
+            -Math.pow(speed / Math.max(stribeckVelocity, 1e-9), exponent)
+        );
+        return {
+            muS: base.muS,
+            muK: base.muK + (base.muS - base.muK) * decay + viscosity * speed,
+        };
+    }
+}
+
+StribeckLaw.PARAMS = [
+    {
+        key: 'stribeckVelocity',
+        label: 'Stribeck velocity vs (m/s)',
+        value: 0.1,
+    },
+    { key: 'exponent', label: 'Exponent δ', value: 2 },
+    { key: 'viscosity', label: 'Viscous σ (s/m)', value: 0 },
+];
+
+class ViscousLaw extends FrictionLaw {
+    get type() {
+        return 'viscous';
+    }
+
+    coefficients(base, speed) {
+        return {
+            muS: base.muS,
+            muK: base.muK + this.params.viscosity * speed,
+        };
+    }
+}
+
+ViscousLaw.PARAMS = [
+    { key: 'viscosity', label: 'Viscous σ (s/m)', value: 0.05 },
+];
+
+class RateStateLaw extends FrictionLaw {
+    get type() {
+        return 'rateState';
+    }
+
+    // Aged so that the breakaway μ(vMin, θ) is base.muS (see header); the
+    // steady state at the reference velocity (μ = μ0) without `base`
+    initialState(base) {
+        const { a, b, v0, Dc, vMin } = this.params;
+        const steady = Dc / v0;
+        if (!base || !(b > 0)) return { theta: steady };
+        const excess = base.muS - base.muK - a * Math.log(vMin / v0);
+        const log = Math.min(Math.max(0, excess / b), 600); // θ stays finite
+        return { theta: steady * Math.exp(log) };
+    }
+
+    coefficients(base, speed, state) {
+        const { a, b, v0, Dc, vMin } = this.params;
+        const theta = state ? state.theta : Dc / v0;
+        const mu = v =>
+            Math.max(
+                0,
+                base.muK +
+                    a * Math.log(Math.max(v, vMin) / v0) +
+                    b * Math.log((v0 * theta) / Dc)
+            );
+        return { muS: mu(vMin), muK: mu(speed) };
+    }
+
+    // Aging law, integrated exactly for constant speed over the step:
+    //   θ' = θ·e^(−x) + dt·(1 − e^(−x))/x,   x = v·dt/Dc
+    // (written with expm1 so tiny speeds reduce to θ + dt without cancelling)
+    updateState(state, speed, dt) {
+        const theta = state ? state.theta : this.initialState().theta;
+        const x = (Math.max(speed, 0) * dt) / this.params.Dc;
+        const growth = x > 1e-12 ? (-Math.expm1(-x) / x) * dt : dt;
+        return { theta: Math.max(1e-12, theta * Math.exp(-x) + growth) };
+    }
+}
+
+RateStateLaw.PARAMS = [
+    { key: 'a', label: 'Direct effect a', value: 0.01 },
+    { key: 'b', label: 'Evolution effect b', value: 0.015 },
+    { key: 'v0', label: 'Reference velocity v0 (m/s)', value: 0.01 },
+    { key: 'Dc', label: 'Critical slip Dc (m)', value: 0.01 },
+    { key: 'vMin', label: 'Rest slip speed (m/s)', value: 1e-5 },
+];
+
+FrictionLaw.TYPES = {
+    coulomb: FrictionLaw,
+    stribeck: StribeckLaw,
+    viscous: ViscousLaw,
+    rateState: RateStateLaw,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrictionLaw;
+}
@@ -0,0 +1,55 @@
+// ================================================================
+// HEADLESS CORE - Node entry point (no DOM, no WebGL)
+// ================================================================
+// Loads the surface/NDF/physics core the same way index.html does: every file
+// is a classic script whose class is a global, so each one is published on
+// globalThis before the next is required. THREE comes from the `three`
+// package (r128, same build as the CDN) unless a global already exists.
+//
+// Usage:
+//   const { Surface, Friction, Cube, Plane, RigidBodySimScene } =
+//       require('./headless');
+//   const heightmap = await HeightmapLoader.load({
+//       name: file, data: fs.readFileSync(file) });
+// ================================================================
+
+globalThis.THREE = globalThis.THREE || require('three');
+
+// Same order as the <script> tags (dependencies first)
+const modules = [
+    ['SeededRandom', './Surface/SeededRandom.js'],
+    ['FFT', './Surface/FFT.js'],
+    ['RoughSurface', './Surface/RoughSurface.js'],
+    ['HeightmapLoader', './Surface/HeightmapLoader.js'],
+    ['Roughness', './Surface/Roughness.js'],
+    ['NDFProjection', './Surface/NDFProjection.js'],
+    ['NDFModel', './Surface/NDFModels.js'],
+    ['Surface', './Surface/Surface.js'],
+    ['SurfaceExporter', './Surface/SurfaceExport.js'],
+    ['Friction', './Surface/Friction.js'],
+    ['RigidBody', './rigid-body.js'],
+    ['Box', './box.js'],
+    ['Cube', './cube.js'],
+    ['Sphere', './sphere.js'],
+    ['Cylinder', './cylinder.js'],
+    ['MeshLoader', './mesh-loader.js'],
+    ['ConvexHull', './convex-hull.js'],
+    ['Plane', './plane.js'],
+    ['HeightfieldCollider', './heightfield-collider.js'],
+    ['FrictionLaw', './friction-laws.js'],
+    ['RigidBodySimScene', './rigidbodysimGS.js'],
+    ['DiagnosticsLog', './diagnostics-log.js'],
+    ['RunRecording', './run-recording.js'],
+    ['RunRecorder', './run-recorder.js'],
+    ['TiltExperiment', './tilt-experiment.js'],
+    ['PullExperiment', './pull-experiment.js'],
+];
+
+for (const [name, path] of modules) {
+    globalThis[name] = globalThis[name] || require(path);
+}
+
+module.exports = { THREE: globalThis.THREE };
+for (const [name] of modules) {
+    module.exports[name] = globalThis[name];
+}
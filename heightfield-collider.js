@@ -0,0 +1,253 @@
+// ================================================================
+// HEIGHTFIELD COLLIDER - contact against a rough Surface laid on the plane
+// ================================================================
+// Replaces the ideal Plane in RigidBodySimScene's contact generation (see
+// RigidBodySimScene.setHeightfield) with the micro-geometry of a Surface:
+// its mesh heights (Surface.getHeightfield) are scaled into world units and
+// laid onto the plane in the texture frame (Plane.getTangentFrame): surface
+// x along the tangent, y along the bitangent, height along the normal, so
+// rotating the plane texture rotates the heightfield with it. The field
+// repeats periodically, so a body can slide any distance.
+//
+// Contact generation, per body and step:
+//   - candidate points in the body frame: the polyhedron's vertices, points
+//     along its edges and a grid over each face, `sampleSpacing` apart
+//     (curved shapes without a polyhedron use getPlaneCandidates()),
+//   - points on faces turned away from the surface are skipped, as is any
+//     point above the highest peak,
+//   - every point below the bilinearly interpolated height is a contact
+//     whose normal is the local surface normal (from the height gradient) and
+//     whose depth is the height difference times its cosine.
+// The solver then applies its friction law at every contact with the
+// "mesh-level" coefficients (muS/muK below, or the scene's), so slopes add
+// to the macroscopic friction the same way micro-facets do in the NDF model
+// (Friction) - the tilt and pull experiments measure it directly and
+// TiltExperiment.compareWithModel() sets it against the NDF prediction.
+//
+// The body itself stays smooth (a rigid polyhedron), whereas Friction.
+// fromSurfaces() convolves two rough NDFs.
+// ================================================================
+
+class HeightfieldCollider {
+    /**
+     * @param {Surface} surface - source of the heights (any surface type)
+     * @param {object} options
+     *   size           world extent of one tile along the surface width
+     *                  (default 20, the plane's short side)
+     *   heightScale    exaggeration of the heights on top of the lateral
+     *                  scale (default 1 keeps the slopes, and so the NDF)
+     *   sampleSpacing  distance between candidate points on the bodies
+     *                  (default: the heightfield's grid spacing)
+     *   maxSamples     cap on grid points per face (default 400)
+     *   muS, muK       mesh-level coefficients (default: the scene's)
+     */
+    constructor(surface, options = {}) {
+        this.surface = surface;
+        this.heightfield = surface.getHeightfield();
+        this.size = options.size ?? 20;
+        this.scale = this.size / surface.width;
+        this.heightScale = options.heightScale ?? 1;
+        this.sampleSpacing =
+            options.sampleSpacing ??
+            Math.min(this.heightfield.dx, this.heightfield.dy) * this.scale;
+        this.maxSamples = options.maxSamples ?? 400;
+        this.muS = options.muS ?? null;
+        this.muK = options.muK ?? null;
+
+        const { heights } = this.heightfield;
+        let min = Infinity,
+            max = -Infinity;
+        for (const h of heights) {
+            min = Math.min(min, h);
+            max = Math.max(max, h);
+        }
+        const zScale = this.scale * this.heightScale;
+        this.minHeight = min * zScale; // world units above the plane
+        this.maxHeight = max * zScale;
+
+        this._samples = new WeakMap(); // body → body-frame candidate points
+    }
+
+    /**
+     * Height above the plane (world units) at texture-frame coordinates
+     * (x, y), with its gradient.
+     * @returns {{height:number, dx:number, dy:number}}
+     */
+    sample(x, y) {
+        const { cols, rows, dx, dy, heights } = this.heightfield;
+        const s = this.scale;
+        const zScale = s * this.heightScale;
+        // Grid coordinates as in HeightmapLoader.sample, wrapped to one period
+        const wrap = (g, n) => ((g % n) + n) % n;
+        const gx = wrap(x / (dx * s) + (cols - 1) / 2, cols - 1);
+        const gy = wrap((rows - 1) / 2 - y / (dy * s), rows - 1);
+        const x0 = Math.min(Math.floor(gx), cols - 2);
+        const y0 = Math.min(Math.floor(gy), rows - 2);
+        const tx = gx - x0,
+            ty = gy - y0;
+        const h00 = heights[y0 * cols + x0],
+            h10 = heights[y0 * cols + x0 + 1],
+            h01 = heights[(y0 + 1) * cols + x0],
+            h11 = heights[(y0 + 1) * cols + x0 + 1];
+        const height =
+            (h00 * (1 - tx) + h10 * tx) * (1 - ty) +
+            (h01 * (1 - tx) + h11 * tx) * ty;
+        const dgx = (h10 - h00) * (1 - ty) + (h11 - h01) * ty;
+        const dgy = (h01 - h00) * (1 - tx) + (h11 - h10) * tx;
+        return {
+            height: height * zScale,
+            dx: (dgx * zScale) / (dx * s),
+            dy: (-dgy * zScale) / (dy * s), // grid rows run towards -y
+        };
+    }
+
+    /**
+     * Contacts of `body` with the heightfield on `plane`: world point on the
+     * body, its offset r from the centre of mass, the surface normal and the
+     * penetration depth.
+     * @returns {{point:THREE.Vector3, r:THREE.Vector3, normal:THREE.Vector3,
+     *            depth:number}[]}
+     */
+    collide(body, plane) {
+        const { tangent, bitangent, normal } = plane.getTangentFrame();
+        const origin = plane.getPoint();
+        const q = body.getMesh().quaternion;
+        const com = body.getPosition();
+        const nLocal = normal.clone().applyQuaternion(q.clone().invert());
+
+        const contacts = [];
+        for (const local of this._candidates(body, nLocal)) {
+            const r = local.clone().applyQuaternion(q);
+            const point = com.clone().add(r);
+            const d = point.clone().sub(origin);
+            const z = d.dot(normal);
+            if (z > this.maxHeight) continue;
+            const { height, dx, dy } = this.sample(
+                d.dot(tangent),
+                d.dot(bitangent)
+            );
+            if (z > height) continue;
+            const slope = Math.sqrt(1 + dx * dx + dy * dy);
+            contacts.push({
+                point,
+                r,
+                normal: normal
+                    .clone()
+                    .addScaledVector(tangent, -dx)
+                    .addScaledVector(bitangent, -dy)
+                    .divideScalar(slope),
+                depth: (height - z) / slope,
+            });
+        }
+        return contacts;
+    }
+
+    /**
+     * Mesh of one tile for display: shares the surface geometry, scaled into
+     * world units; add it as a child of the plane mesh (same axes) and keep
+     * rotation.z at the texture rotation.
+     */
+    createMesh() {
+        const material = new THREE.MeshLambertMaterial({
+            color: 0xb0b0b0,
+            side: THREE.DoubleSide,
+        });
+        const mesh = new THREE.Mesh(this.surface.mesh.geometry, material);
+        mesh.scale.set(this.scale, this.scale, this.scale * this.heightScale);
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+
+    // ---------------------------------------------------------------------
+    // Private
+    // ---------------------------------------------------------------------
+
+    // Body-frame points to test: vertices and edge points always, face grids
+    // only on faces turned towards the surface (nLocal points away from it)
+    _candidates(body, nLocal) {
+        const samples = this._bodySamples(body);
+        if (!samples) return body.getPlaneCandidates(nLocal);
+        const points = samples.always.slice();
+        for (const face of samples.faces) {
+            if (face.normal.dot(nLocal) < 0) points.push(...face.points);
+        }
+        return points;
+    }
+
+    // Vertices, edge points and face grids of a body's polyhedron (cached)
+    _bodySamples(body) {
+        if (this._samples.has(body)) return this._samples.get(body);
+        const polyhedron = body.getPolyhedron();
+        if (!polyhedron) {
+            this._samples.set(body, null);
+            return null;
+        }
+        const { vertices, faces, edgeDirections } = polyhedron;
+        const spacing = this.sampleSpacing;
+
+        const always = vertices.map(v => v.clone());
+        for (const { edges } of edgeDirections) {
+            for (const [i, j] of edges) {
+                const count = Math.ceil(
+                    vertices[i].distanceTo(vertices[j]) / spacing
+                );
+                for (let k = 1; k < count; k++) {
+                    always.push(
+                        vertices[i].clone().lerp(vertices[j], k / count)
+                    );
+                }
+            }
+        }
+
+        const faceSamples = faces.map(({ normal, indices }) => {
+            const corners = indices.map(i => vertices[i]);
+            const u = corners[1].clone().sub(corners[0]).normalize();
+            const w = normal.clone().cross(u);
+            const flat = corners.map(p => [p.dot(u), p.dot(w)]);
+            const [minU, maxU] = [
+                Math.min(...flat.map(p => p[0])),
+                Math.max(...flat.map(p => p[0])),
+            ];
+            const [minW, maxW] = [
+                Math.min(...flat.map(p => p[1])),
+                Math.max(...flat.map(p => p[1])),
+            ];
+            const step = Math.max(
+                spacing,
+                Math.sqrt(((maxU - minU) * (maxW - minW)) / this.maxSamples)
+            );
+            // Strictly inside every edge (counter-clockwise about normal)
+            const inside = (a, b) =>
+                flat.every((p, k) => {
+                    const [qu, qw] = flat[(k + 1) % flat.length];
+                    return (
+                        (qu - p[0]) * (b - p[1]) - (qw - p[1]) * (a - p[0]) >
+                        1e-9
+                    );
+                });
+            const offset = corners[0].dot(normal);
+            const points = [];
+            for (let a = minU + step / 2; a < maxU; a += step) {
+                for (let b = minW + step / 2; b < maxW; b += step) {
+                    if (!inside(a, b)) continue;
+                    points.push(
+                        u
+                            .clone()
+                            .multiplyScalar(a)
+                            .addScaledVector(w, b)
+                            .addScaledVector(normal, offset)
+                    );
+                }
+            }
+            return { normal, points };
+        });
+
+        const samples = { always, faces: faceSamples };
+        this._samples.set(body, samples);
+        return samples;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeightfieldCollider;
+}
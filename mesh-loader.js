@@ -0,0 +1,136 @@
+// Triangle mesh import (OBJ / STL) for ConvexHull bodies
+// -----------------------------------------------------------------------------
+// Every parser returns the same plain mesh object:
+//
+//   { positions: Float32Array(3 * vertexCount), indices: Uint32Array(3 * triangleCount) }
+//
+// Supported sources:
+//   - OBJ          'v x y z' and 'f a b c …' lines (a/b/c texture/normal
+//                  references and negative indices allowed; polygons are
+//                  fan-triangulated); everything else is ignored
+//   - STL          binary or ASCII; every facet brings its own three vertices
+//                  (ConvexHull welds them)
+//
+// Options: scale (default 1) multiplies every coordinate, e.g. 0.001 for
+// files in millimetres.
+// -----------------------------------------------------------------------------
+
+class MeshLoader {
+    /**
+     * Load a File/Blob (browser) or { name, data: ArrayBuffer|Buffer } (Node),
+     * choosing the parser from the file extension.
+     * @returns {Promise<{positions:Float32Array, indices:Uint32Array}>}
+     */
+    static async load(file, options = {}) {
+        const name = (file.name || '').toLowerCase();
+        const ext = name.slice(name.lastIndexOf('.') + 1);
+        const buffer =
+            file.data !== undefined
+                ? MeshLoader._toArrayBuffer(file.data)
+                : await file.arrayBuffer();
+
+        switch (ext) {
+            case 'obj':
+                return MeshLoader.parseOBJ(
+                    new TextDecoder().decode(buffer),
+                    options
+                );
+            case 'stl':
+                return MeshLoader.parseSTL(buffer, options);
+            default:
+                throw new Error(`Unsupported mesh format: .${ext}`);
+        }
+    }
+
+    static parseOBJ(text, options = {}) {
+        const scale = options.scale ?? 1;
+        const positions = [];
+        const indices = [];
+        for (const raw of text.split(/\r?\n/)) {
+            const parts = raw.trim().split(/\s+/);
+            if (parts[0] === 'v') {
+                positions.push(
+                    parseFloat(parts[1]) * scale,
+                    parseFloat(parts[2]) * scale,
+                    parseFloat(parts[3]) * scale
+                );
+            } else if (parts[0] === 'f') {
+                const count = positions.length / 3;
+                const face = parts.slice(1).map(ref => {
+                    const i = parseInt(ref.split('/')[0], 10);
+                    return i < 0 ? count + i : i - 1;
+                });
+                for (let k = 1; k + 1 < face.length; k++) {
+                    indices.push(face[0], face[k], face[k + 1]);
+                }
+            }
+        }
+        if (!indices.length) throw new Error('OBJ file has no faces');
+        return {
+            positions: new Float32Array(positions),
+            indices: new Uint32Array(indices),
+        };
+    }
+
+    static parseSTL(buffer, options = {}) {
+        const scale = options.scale ?? 1;
+        const view = new DataView(buffer);
+        const count = buffer.byteLength >= 84 ? view.getUint32(80, true) : 0;
+        const positions =
+            buffer.byteLength === 84 + 50 * count
+                ? MeshLoader._binarySTL(view, count)
+                : MeshLoader._asciiSTL(new TextDecoder().decode(buffer));
+        if (!positions.length) throw new Error('STL file has no facets');
+        for (let i = 0; i < positions.length; i++) positions[i] *= scale;
+        return {
+            positions,
+            indices: Uint32Array.from(
+                { length: positions.length / 3 },
+                (_, i) => i
+            ),
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Helpers (private)
+    // ---------------------------------------------------------------------
+
+    // 80-byte header, uint32 count, then per facet: normal, 3 vertices
+    // (float32 × 3 each) and a uint16 attribute
+    static _binarySTL(view, count) {
+        const positions = new Float32Array(count * 9);
+        for (let f = 0; f < count; f++) {
+            const offset = 84 + f * 50 + 12; // skip the normal
+            for (let k = 0; k < 9; k++) {
+                positions[f * 9 + k] = view.getFloat32(offset + k * 4, true);
+            }
+        }
+        return positions;
+    }
+
+    static _asciiSTL(text) {
+        const values = [];
+        const vertex = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+        let match;
+        while ((match = vertex.exec(text))) {
+            values.push(
+                parseFloat(match[1]),
+                parseFloat(match[2]),
+                parseFloat(match[3])
+            );
+        }
+        return new Float32Array(values);
+    }
+
+    static _toArrayBuffer(data) {
+        if (data instanceof ArrayBuffer) return data;
+        return data.buffer.slice(
+            data.byteOffset,
+            data.byteOffset + data.byteLength
+        );
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeshLoader;
+}
@@ -1,9 +1,9 @@
 class Plane {
     constructor(angle, texAngle) {
-        console.log(texAngle);
         this.mesh = null;
         this.angle = angle; // degrees
         this.textureRotation = texAngle; // Store current texture rotation
+        this.angularRate = 0; // degrees/s while tilting (see setAngle)
         const geometry = new THREE.PlaneGeometry(50, 20);
         const material = new THREE.MeshLambertMaterial({
             color: 0x708090, // grey-blue (slate gray)
@@ -37,6 +37,9 @@ class Plane {
             this.textureRotation = angleDeg;
         }
 
+        // Texture is a rendering add-on: headless (no DOM) keeps the bare mesh
+        if (typeof document === 'undefined') return this.mesh;
+
         // Create a stripey canvas texture
         const size = 1024;
         const canvas = document.createElement('canvas');
@@ -86,10 +89,51 @@ class Plane {
         return normal.normalize();
     }
 
+    // Orthonormal frame of the (rotated) stripe texture in world space.
+    // `tangent` runs across the stripes at textureRotation = 0 (texture u axis),
+    // `bitangent` runs along them (texture v axis) and `normal` is the plane normal.
+    // Directional friction profiles are expressed in this frame.
+    getTangentFrame() {
+        const q = this.mesh.quaternion;
+        const u = new THREE.Vector3(1, 0, 0).applyQuaternion(q);
+        const v = new THREE.Vector3(0, 1, 0).applyQuaternion(q);
+        const rho = (this.textureRotation * Math.PI) / 180;
+        const tangent = u
+            .clone()
+            .multiplyScalar(Math.cos(rho))
+            .addScaledVector(v, Math.sin(rho))
+            .normalize();
+        const normal = this.getNormal();
+        const bitangent = new THREE.Vector3()
+            .crossVectors(normal, tangent)
+            .normalize();
+        return { tangent, bitangent, normal };
+    }
+
     getAngle() {
         return this.angle;
     }
 
+    // Tilt the plane about its centre (the z axis through getPoint()).
+    // `rate` (degrees/s) is the current tilting speed, used by the solver as
+    // the velocity of the plane surface (see getSurfaceVelocity).
+    setAngle(angleDeg, rate = 0) {
+        this.angle = angleDeg;
+        this.angularRate = rate;
+        this.mesh.rotation.set(-Math.PI / 2, (angleDeg * Math.PI) / 180, 0);
+    }
+
+    // Velocity of the plane surface at a world point (zero unless tilting).
+    // Increasing the angle turns the normal from +y towards +x: ω = -rate·ẑ.
+    getSurfaceVelocity(point) {
+        const omega = new THREE.Vector3(
+            0,
+            0,
+            (-this.angularRate * Math.PI) / 180
+        );
+        return omega.cross(point.clone().sub(this.getPoint()));
+    }
+
     getTextureRotation() {
         return this.textureRotation;
     }
@@ -105,3 +149,7 @@ class Plane {
         return this.mesh.position.clone();
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Plane;
+}
@@ -0,0 +1,323 @@
+// ================================================================
+// PULL EXPERIMENT - spring-driven sled test (tribometer) on a flat plane
+// ================================================================
+// Mirrors a sled/pull tester: the cube rests on the centre of the flat plane
+// and a spring (stiffness k, optional dashpot c) runs from its centre of mass
+// to a driver that moves at constant `speed` along `direction` (degrees about
+// the plane normal from the texture tangent, see Plane.getTangentFrame). The
+// spring force goes into RigidBodySimScene.applyForce() before each step.
+//
+// Every step records a sample (see samples): the spring force along the pull
+// (what the load cell reads), the normal and friction forces from the contact
+// impulses (Σ λn / dt, Σ |λt| / dt), μ = spring / normal force, the cube's
+// travel and speed along the pull and the mean contact slip speed.
+//
+// analyze() splits the trace into slip events (contiguous samples with slip
+// above `slipSpeed`) and derives
+//   staticPeak    highest spring force of the stick phase up to the first
+//                 sliding sample (breakaway)
+//   kineticForce  mean friction force over the sliding samples after the
+//                 first event (all sliding samples if there is only one).
+//                 The spring force would do as well only in steady sliding:
+//                 in stick-slip it also accelerates and brakes the cube
+//   muS, muK      both divided by the mean normal force
+// (null while the cube has not slipped yet)
+//   events        stick-slip events whose force drop exceeds `dropFraction`
+//                 of their peak: { start, end, peak, drop } (times in s)
+//   check         measured against set coefficients (sim.muS / sim.muK):
+//                 { muS, muK } each { set, measured, error, pass }, error
+//                 relative to the set value, pass within `tolerance` (null
+//                 while unmeasured). Only meaningful for isotropic Coulomb
+//                 friction; a friction model or law moves the true values
+// toCSV() writes the parameters and results as '# key=value' lines, then the
+// trace, for comparison with measured sled-test data.
+// ================================================================
+
+class PullExperiment {
+    /**
+     * @param {RigidBodySimScene} sim
+     * @param {object} options
+     *   speed         driver speed, m/s (default 0.1)
+     *   stiffness     spring constant, N/m (default 50)
+     *   damping       dashpot coefficient, N·s/m (default 0)
+     *   direction     pull direction in the plane, degrees (default 0)
+     *   duration      seconds of pulling (default 20)
+     *   settleTime    seconds at rest before pulling (default 1)
+     *   slipSpeed     sliding threshold, mean contact slip m/s (default 1e-3)
+     *   dropFraction  minimum relative force drop of a stick-slip event
+     *                 (default 0.05)
+     *   tolerance     relative error of measured μs / μk that still passes
+     *                 the check against the set values (default 0.05)
+     */
+    constructor(sim, options = {}) {
+        this.sim = sim;
+        this.speed = options.speed ?? 0.1;
+        this.stiffness = options.stiffness ?? 50;
+        this.damping = options.damping ?? 0;
+        this.direction = options.direction ?? 0;
+        this.duration = options.duration ?? 20;
+        this.settleTime = options.settleTime ?? 1.0;
+        this.slipSpeed = options.slipSpeed ?? 1e-3;
+        this.dropFraction = options.dropFraction ?? 0.05;
+        this.tolerance = options.tolerance ?? 0.05;
+        this.reset();
+    }
+
+    // Plane flat, cube at rest on its centre, spring slack
+    reset() {
+        const { sim } = this;
+        sim.plane.setAngle(0, 0);
+        sim.placeOnPlane();
+
+        const { tangent, bitangent } = sim.plane.getTangentFrame();
+        const a = (this.direction * Math.PI) / 180;
+        this.axis = tangent
+            .clone()
+            .multiplyScalar(Math.cos(a))
+            .addScaledVector(bitangent, Math.sin(a))
+            .normalize();
+        this.origin = sim.cube.getPosition().clone();
+        this.travel = 0; // driver displacement along the axis
+
+        this.time = 0;
+        this.samples = []; // { time, travel, force, normalForce, frictionForce, mu, position, velocity, slip }
+        this.result = null;
+    }
+
+    get done() {
+        return this.result !== null;
+    }
+
+    /**
+     * Advance one sim step (moving the driver once settled).
+     * @returns {boolean} true once the run has finished
+     */
+    step() {
+        if (this.done) return true;
+        const { sim, axis } = this;
+        const dt = sim.dt;
+
+        this.time += dt;
+        const pulling = this.time > this.settleTime;
+        if (pulling) this.travel += this.speed * dt;
+
+        // Spring from the cube's centre to the driver, in the plane only
+        const cube = sim.cube;
+        const driver = this.origin.clone().addScaledVector(axis, this.travel);
+        const stretch = driver.sub(cube.getPosition());
+        stretch.addScaledVector(
+            sim.plane.getNormal(),
+            -stretch.dot(sim.plane.getNormal())
+        );
+        const force = stretch.multiplyScalar(this.stiffness);
+        if (this.damping > 0) {
+            const driverVelocity = pulling ? this.speed : 0;
+            force.addScaledVector(
+                axis,
+                this.damping * (driverVelocity - cube.getVelocity().dot(axis))
+            );
+        }
+        sim.applyForce(force);
+        sim.step();
+
+        if (pulling) this._record(force.dot(axis));
+        if (this.time >= this.settleTime + this.duration) {
+            this.result = this.analyze();
+        }
+        return this.done;
+    }
+
+    /**
+     * Run to completion (headless).
+     * @returns {object} see analyze()
+     */
+    run() {
+        while (!this.step());
+        return this.result;
+    }
+
+    /**
+     * Static peak, kinetic force, μs, μk, stick-slip events and the check
+     * against the set coefficients of the trace recorded so far (see header).
+     * @returns {{staticPeak:number|null, kineticForce:number|null,
+     *            normalForce:number, muS:number|null, muK:number|null,
+     *            breakawayTime:number|null, events:object[], check:object}}
+     */
+    analyze() {
+        const samples = this.samples;
+        const normalForce = samples.length
+            ? samples.reduce((sum, s) => sum + s.normalForce, 0) /
+              samples.length
+            : 0;
+
+        // Slip events: runs of sliding samples [start, end)
+        const runs = [];
+        for (let i = 0; i < samples.length; i++) {
+            if (samples[i].slip <= this.slipSpeed) continue;
+            const start = i;
+            while (i < samples.length && samples[i].slip > this.slipSpeed) i++;
+            runs.push({ start, end: i });
+        }
+
+        // Peak of the stick phase leading into each run (up to its first
+        // sliding sample), and the drop over the run
+        let stickStart = 0;
+        const events = [];
+        for (const run of runs) {
+            let peak = -Infinity;
+            for (let i = stickStart; i <= run.start; i++) {
+                peak = Math.max(peak, samples[i].force);
+            }
+            let low = Infinity;
+            for (let i = run.start; i < run.end; i++) {
+                low = Math.min(low, samples[i].force);
+            }
+            run.peak = peak;
+            run.drop = peak - low;
+            stickStart = run.end;
+            if (peak > 0 && run.drop > this.dropFraction * peak) {
+                events.push({
+                    start: samples[run.start].time,
+                    end: samples[run.end - 1].time,
+                    peak,
+                    drop: run.drop,
+                });
+            }
+        }
+
+        const first = runs[0];
+        const staticPeak = first ? first.peak : null;
+        const sliding = first
+            ? samples
+                  .slice(runs.length > 1 ? first.end : first.start)
+                  .filter(s => s.slip > this.slipSpeed)
+            : [];
+        const kineticForce = sliding.length
+            ? sliding.reduce((sum, s) => sum + s.frictionForce, 0) /
+              sliding.length
+            : null;
+
+        const muS =
+            staticPeak !== null && normalForce > 0
+                ? staticPeak / normalForce
+                : null;
+        const muK =
+            kineticForce !== null && normalForce > 0
+                ? kineticForce / normalForce
+                : null;
+        return {
+            staticPeak,
+            kineticForce,
+            normalForce,
+            muS,
+            muK,
+            breakawayTime: first ? samples[first.start].time : null,
+            events,
+            check: {
+                muS: this._check(this.sim.muS, muS),
+                muK: this._check(this.sim.muK, muK),
+            },
+        };
+    }
+
+    /**
+     * Parameters and results as '# key=value' lines, then one row per sample:
+     * time,travel,force,normal_force,friction_force,mu,position,velocity,slip
+     * @returns {string}
+     */
+    toCSV() {
+        const result = this.result || this.analyze();
+        const header = {
+            speed: this.speed,
+            stiffness: this.stiffness,
+            damping: this.damping,
+            direction: this.direction,
+            textureRotation: this.sim.plane.getTextureRotation(),
+            mass: this.sim.cube.getMass(),
+            muS_set: this.sim.muS,
+            muK_set: this.sim.muK,
+            frictionLaw: this.sim.frictionLaw.type,
+            staticPeak: result.staticPeak,
+            kineticForce: result.kineticForce,
+            normalForce: result.normalForce,
+            muS: result.muS,
+            muK: result.muK,
+            stickSlipEvents: result.events.length,
+            tolerance: this.tolerance,
+            muS_error: result.check.muS.error,
+            muK_error: result.check.muK.error,
+            muS_pass: result.check.muS.pass,
+            muK_pass: result.check.muK.pass,
+        };
+        const lines = Object.entries(header).map(
+            ([key, value]) => `# ${key}=${value}`
+        );
+        lines.push(
+            'time,travel,force,normal_force,friction_force,mu,position,velocity,slip'
+        );
+        for (const s of this.samples) {
+            lines.push(
+                [
+                    s.time,
+                    s.travel,
+                    s.force,
+                    s.normalForce,
+                    s.frictionForce,
+                    s.mu,
+                    s.position,
+                    s.velocity,
+                    s.slip,
+                ]
+                    .map(v => +v.toPrecision(8))
+                    .join(',')
+            );
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // ---------------------------------------------------------------------
+    // Private
+    // ---------------------------------------------------------------------
+
+    // Measured against set coefficient (see header, check)
+    _check(set, measured) {
+        const error =
+            measured !== null && set > 0 ? (measured - set) / set : null;
+        return {
+            set,
+            measured,
+            error,
+            pass: error === null ? null : Math.abs(error) <= this.tolerance,
+        };
+    }
+
+    _record(force) {
+        const { sim, axis } = this;
+        const contacts = sim.getPlaneContacts();
+        const normalForce =
+            contacts.reduce((sum, c) => sum + c.lambda_n, 0) / sim.dt;
+        const frictionForce =
+            contacts.reduce(
+                (sum, c) => sum + Math.hypot(c.lambda_t1, c.lambda_t2),
+                0
+            ) / sim.dt;
+        const slip = contacts.length
+            ? contacts.reduce((sum, c) => sum + c.slip, 0) / contacts.length
+            : 0;
+        this.samples.push({
+            time: this.time - this.settleTime,
+            travel: this.travel,
+            force,
+            normalForce,
+            frictionForce,
+            mu: normalForce > 0 ? force / normalForce : 0,
+            position: sim.cube.getPosition().clone().sub(this.origin).dot(axis),
+            velocity: sim.cube.getVelocity().dot(axis),
+            slip,
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PullExperiment;
+}
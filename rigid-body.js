@@ -0,0 +1,205 @@
+// ================================================================
+// RIGID BODY - shared state and shape interface for RigidBodySimScene
+// ================================================================
+// Every simulated body (Box, Cube, Sphere, Cylinder, ConvexHull) extends
+// RigidBody: velocity, angular velocity, mass, principal moments of inertia
+// and the friction accessors the solver reads. The mesh carries the pose
+// (mesh.position = centre of mass, mesh.quaternion = principal axes).
+//
+// Shape interface, all in the body frame (origin at the centre of mass,
+// axes along the principal axes of inertia):
+//   shape                   'box' | 'sphere' | 'cylinder' | 'hull'
+//   getBoundingRadius()     radius of a sphere around the centre holding it
+//   support(dir)            point of the body furthest along dir
+//   getPolyhedron()         { vertices, faces, edgeDirections } for the
+//                           separating axis test (null for spheres, a prism
+//                           for cylinders), see buildPolyhedron()
+//   getPlaneCandidates(n)   points to test against a plane whose normal is
+//                           n (pointing at the body): vertices, or the
+//                           deepest points of curved shapes
+// ================================================================
+
+class RigidBody {
+    /**
+     * @param {number} staticFriction - μs of the body's own surface
+     * @param {number} kineticFriction - μk
+     * @param {number} mass
+     */
+    constructor(staticFriction, kineticFriction, mass) {
+        this.velocity = new THREE.Vector3(0, 0, 0); // Initial velocity
+        this.angularVelocity = new THREE.Vector3(0, 0, 0); // Initial angular velocity
+        this.mass = mass;
+        this.inertia = new THREE.Vector3(1, 1, 1); // principal moments (set by the shape)
+        this.staticFriction = staticFriction; // static friction coefficient
+        this.kineticFriction = kineticFriction; // kinetic friction coefficient
+        this.mesh = null;
+        this.polyhedron = null; // cached getPolyhedron()
+
+        // Per-step velocity damping; null: the sim's (RigidBodySimScene)
+        this.linearDamping = null;
+        this.angularDamping = null;
+    }
+
+    get shape() {
+        throw new Error(`${this.constructor.name} does not define a shape`);
+    }
+
+    // Mesh with the shared body material, placed at `position`
+    _createMesh(geometry, position, options = {}) {
+        const material = new THREE.MeshLambertMaterial({
+            color: options.color ?? 0x00ff88,
+            transparent: true,
+            opacity: options.opacity ?? 0.8,
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.copy(position);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+
+    getBoundingRadius() {
+        return 0;
+    }
+
+    support(dir) {
+        return new THREE.Vector3();
+    }
+
+    getPolyhedron() {
+        return null;
+    }
+
+    getPlaneCandidates(n) {
+        const polyhedron = this.getPolyhedron();
+        return polyhedron
+            ? polyhedron.vertices.map(v => v.clone())
+            : [this.support(n.clone().negate())];
+    }
+
+    /**
+     * Polyhedron from vertices (THREE.Vector3, body frame, around the centre)
+     * and faces given as lists of vertex indices (coplanar, any order).
+     * Faces come back ordered counter-clockwise about their outward normal:
+     *   { vertices, faces: [{ normal, indices }],
+     *     edgeDirections: [{ direction, edges: [[i, j], ...] }] }
+     * where edgeDirections groups the edges by (unsigned) direction.
+     */
+    static buildPolyhedron(vertices, faceIndexLists) {
+        const faces = faceIndexLists.map(indices => {
+            const center = new THREE.Vector3();
+            for (const i of indices) center.add(vertices[i]);
+            center.divideScalar(indices.length);
+
+            // Normal: the largest cross product of two spans from the centre
+            const u = vertices[indices[0]].clone().sub(center).normalize();
+            let normal = null;
+            for (const i of indices.slice(1)) {
+                const cross = u.clone().cross(vertices[i].clone().sub(center));
+                if (!normal || cross.lengthSq() > normal.lengthSq()) {
+                    normal = cross;
+                }
+            }
+            normal.normalize();
+            if (normal.dot(center) < 0) normal.negate(); // outward
+
+            const w = normal.clone().cross(u);
+            const angle = i => {
+                const d = vertices[i].clone().sub(center);
+                return Math.atan2(w.dot(d), u.dot(d));
+            };
+            const ordered = indices.slice().sort((a, b) => angle(a) - angle(b));
+            return { normal, indices: ordered };
+        });
+
+        const edgeDirections = [];
+        const seen = new Set();
+        for (const { indices } of faces) {
+            indices.forEach((i, k) => {
+                const j = indices[(k + 1) % indices.length];
+                const key = i < j ? `${i},${j}` : `${j},${i}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                const direction = vertices[j]
+                    .clone()
+                    .sub(vertices[i])
+                    .normalize();
+                const group = edgeDirections.find(
+                    g => Math.abs(g.direction.dot(direction)) > 1 - 1e-6
+                );
+                if (group) group.edges.push([i, j]);
+                else edgeDirections.push({ direction, edges: [[i, j]] });
+            });
+        }
+        return { vertices, faces, edgeDirections };
+    }
+
+    // ---------------------------------------------------------------------
+    // State accessors (the interface RigidBodySimScene uses)
+    // ---------------------------------------------------------------------
+
+    updatePosition(x, y, z) {
+        if (this.mesh) {
+            this.mesh.position.set(x, y, z);
+        }
+    }
+
+    getMesh() {
+        return this.mesh;
+    }
+
+    getPosition() {
+        return this.mesh ? this.mesh.position.clone() : null;
+    }
+
+    getVelocity() {
+        return this.velocity.clone();
+    }
+
+    getAngularVelocity() {
+        return this.angularVelocity.clone();
+    }
+
+    getMass() {
+        return this.mass;
+    }
+
+    getInertia() {
+        return this.inertia.clone();
+    }
+
+    setVelocity(velocity) {
+        this.velocity.copy(velocity);
+    }
+
+    setPosition(position) {
+        if (this.mesh) {
+            this.mesh.position.copy(position);
+        }
+    }
+
+    setAngularVelocity(angularVelocity) {
+        this.angularVelocity.copy(angularVelocity);
+    }
+
+    setInertia(inertia) {
+        this.inertia.copy(inertia);
+    }
+
+    setStaticFriction(muS) {
+        this.staticFriction = muS;
+    }
+    setKineticFriction(muK) {
+        this.kineticFriction = muK;
+    }
+    getStaticFriction() {
+        return this.staticFriction;
+    }
+    getKineticFriction() {
+        return this.kineticFriction;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RigidBody;
+}
@@ -1,37 +1,88 @@
 /*
-RigidBodySimScene — single cube vs. infinite plane with impulse-based contact,
-extended to a multi-contact **sequential impulse (Gauss–Seidel / PGS)** solver.
+RigidBodySimScene — rigid bodies vs. an infinite plane and vs. each other with
+impulse-based contact, solved by a multi-contact **sequential impulse
+(Gauss–Seidel / PGS)** solver.
 
 WHAT'S INCLUDED
 - Continuous integration of linear & angular motion (semi-implicit Euler)
-- Contact detection: all 8 cube vertices tested against plane
+- Contact detection against the plane: every candidate point of the body
+  (the 8 corners of a box, hull vertices, the lowest point of a sphere or of
+  each cylinder cap), see RigidBody.getPlaneCandidates()
+- Any number of bodies (addBody()): Box/Cube, Sphere, Cylinder, ConvexHull.
+  Polyhedron–polyhedron contact (cylinders as prisms) by the separating axis
+  test over face normals and edge cross products with a clipped face manifold
+  or an edge–edge point; spheres against spheres and polyhedra analytically.
+  All solved in the same Gauss–Seidel loop. Friction per pair
+  (setPairFriction()) and per body against the plane (setBodyFriction(),
+  e.g. differently textured blocks)
 - Non-penetration via normal impulses with Baumgarte bias + positional slop
 - Restitution (optional in GS loop, see notes)
 - Coulomb friction in the impulse domain using a 2D tangent basis (t1, t2)
+- Optional direction-dependent friction: per-contact μ looked up from a
+  Friction model's directional profile in the plane's texture frame
+- Elliptical (anisotropic) friction cone: both tangent impulses are projected
+  jointly onto the cone, optionally with principal μ along rotated axes
+- Pluggable friction laws (friction-laws.js): Coulomb, Stribeck, viscous and
+  rate-and-state, evaluated per contact from its slip speed (and state)
+- Heightfield contact (setHeightfield()): a rough Surface laid onto the
+  plane, many contacts per body with the local surface normals and
+  mesh-level friction, to measure the emergent macroscopic friction
 - Sequential impulses (Gauss–Seidel) over all contacts with warm starting
+- External forces through the centre of mass (applyForce(), e.g. a pulling
+  spring), applied with gravity before the contact solve
+- Per-step diagnostics with loggingEnabled (`diagnostics`, see _diagnostics()):
+  energies, the work of friction, damping and the Baumgarte bias, per-contact
+  impulses and stick/slip, and a flag when the solver gains energy
+- Record & replay hook (recorder, see RunRecorder / RunRecording)
 - Backwards-compatible single-contact detectContact() kept (returns deepest only)
 
 ASSUMPTIONS (match your app's interfaces):
-- Cube:
+- Body (RigidBody subclass, see rigid-body.js):
   - getMesh(): THREE.Mesh (orientation via .quaternion, position via .position)
   - getPosition()/setPosition(THREE.Vector3)
   - getVelocity()/setVelocity(THREE.Vector3)
   - getAngularVelocity()/setAngularVelocity(THREE.Vector3)
   - getMass(): number
   - getInertia(): THREE.Vector3 of principal moments in *body* frame (Ix, Iy, Iz)
-  - getSize(): number (edge length)
+  - shape, getBoundingRadius(), support(dir), getPolyhedron(),
+    getPlaneCandidates(n), and getRadius() for spheres
   - getStaticFriction(): number
   - getKineticFriction(): number
 - Plane:
   - getNormal(): THREE.Vector3 (unit length preferred)
   - getPoint(): THREE.Vector3 (any point on plane)
+  - getTangentFrame(): { tangent, bitangent, normal } (only with a friction model)
+  - getSurfaceVelocity(point): THREE.Vector3 (optional; a tilting plane)
+- Friction model (optional, see setFrictionModel()):
+  - getStaticMuAtAngle(angle), getKineticMuAtAngle(angle): μs / μk for a
+    sliding direction in the texture frame (radians)
+  - directionalProfile and kineticProfile() caches, fitEllipse(profile): only
+    for useNdfFriction() / useSurfaceFriction()
 
 NOTES
 - This is still a minimalist real-time solver; numerical tricks (bias, slop, damping)
   are intentionally used for stability.
 - For stacks/heavy contact scenarios consider increasing iterations, enabling warm start,
   and possibly substepping the solver.
-- Tangent basis is 2D (t1, t2) to approximate isotropic friction in the plane.
+- Tangent basis is 2D (t1, t2). With frictionCone = 'ellipse' (default) the pair
+  (lambda_t1, lambda_t2) is clamped jointly to the maximum-dissipation point of
+  the static ellipse (sticking manifold) or the kinetic one (sliding manifold).
+  'box' keeps the old per-axis clamp.
+- Gravity and external forces go into the velocities before the contact solve
+  (_applyExternalForces()), not in _integrate() after it as they used to. With
+  the old order the solve never saw the step's pull: the position update moved
+  every resting body by g·dt² per step, along an incline at g·dt·sin θ
+  (0.055 m/s at 20° and 60 Hz) whatever μ, while the slip speeds measured
+  after the solve, which feed the friction laws, read zero. Now the solve
+  cancels the pull and a body at rest ends the step at rest.
+- Static vs kinetic is decided per contact manifold (all contacts of a body
+  against the plane, or of a body pair), not per contact: the manifold sticks
+  while none of its contacts slipped faster than stickSpeed last step (a new
+  manifold: its contacts' speed before this step's gravity, so a body set
+  down on a slope starts out sticking, see TiltExperiment.holdCheck()). A load
+  shifting between its contacts (a tilting box pressing on its downhill edge)
+  then cannot drop one contact to μk on its own, so the body breaks away when
+  the whole manifold's static bound is exceeded (tan θ = μs on an incline).
 - Restitution inside a GS loop can destabilize stacks; by default we set the restitution
   term to zero in the loop (see _solveContactsGS()) and recommend handling bounce only
   on clear impacts (e.g., when first touching with significant approach speed).
@@ -39,13 +90,16 @@ NOTES
 
 class RigidBodySimScene {
     /**
-     * Construct a simulation scene holding a single rigid cube above a static infinite plane.
+     * Construct a simulation scene holding a rigid cube above a static infinite plane.
      * The solver runs at a fixed timestep (dt) and applies gravity, detects/solves
      * multiple contacts (all vertices touching/penetrating), and integrates motion.
+     * More bodies can be added with addBody(); `cube` (any RigidBody, despite
+     * the name) stays the primary body (experiments, detectContact(), inContact).
      */
     constructor(cube, plane) {
         this.cube = cube;
         this.plane = plane;
+        this.bodies = [cube];
 
         // Fixed timestep ~60 Hz
         this.dt = 1 / 60;
@@ -56,6 +110,36 @@ class RigidBodySimScene {
         this.muS = cube.getStaticFriction(); // static friction coefficient
         this.muK = cube.getKineticFriction(); // kinetic friction coefficient
 
+        // Directional friction: when set, μ at each contact is looked up from the
+        // model's profile using the sliding direction (see _contactFriction()).
+        this.frictionModel = null;
+        this.frictionModelScale = 1.0; // multiplies the profile μ
+        this.frictionModelStaticKinetic = false; // model gives both μs and μk
+
+        // Friction cone shape and (optional) anisotropic ellipse. The ellipse holds
+        // kinetic principal coefficients along axes rotated by `angle` (radians)
+        // from the plane texture tangent; static = kinetic * muS/muK.
+        this.frictionCone = 'ellipse'; // 'ellipse' | 'box'
+        this.frictionEllipse = null; // { muX, muY, angle }
+        this.stickSpeed = 1e-3; // slip (m/s) below which a manifold sticks
+
+        // Per-body overrides of the settings above for contacts with the plane
+        // (see setBodyFriction()) and body–body coefficients (setPairFriction())
+        this.bodyFriction = new Map(); // body → { muS, muK, frictionModel, ... }
+        this.pairFriction = []; // { a, b, muS, muK }
+
+        // Velocity/state dependence of μ (see setFrictionLaw())
+        this.frictionLaw = new FrictionLaw();
+
+        // Forces accumulated by applyForce() for the next step
+        this.externalForces = new Map(); // body → THREE.Vector3
+
+        // Rough surface contact instead of the ideal plane (setHeightfield())
+        this.heightfield = null; // HeightfieldCollider
+
+        // { invMass, Iinv } per body, refreshed at the start of each step
+        this._bodyData = new Map();
+
         // Stabilization (Baumgarte) and slop
         this.beta = 0.2; // error reduction parameter [0..1]
         this.penetrationSlop = 0.005; // meters allowed before correcting
@@ -70,12 +154,23 @@ class RigidBodySimScene {
         this.maxPreCorrectionContacts = 4; // cap position nudges to avoid over-correction
 
         // State flags
-        this.inContact = false;
-        this.loggingEnabled = false;
+        this.inContact = false; // primary cube touching the plane or a body
+        this.loggingEnabled = false; // fill `diagnostics` every step
         this.atrest = false;
 
-        // Warm-start cache (from previous frame). We match by approximate r vector.
-        this._prevContacts = []; // each: { r: THREE.Vector3, lambda_n, lambda_t1, lambda_t2 }
+        // Per-step diagnostics (with loggingEnabled, see _diagnostics())
+        this.time = 0; // simulated seconds
+        this.stepCount = 0;
+        this.diagnostics = null; // record of the last step
+        this.energyGainTolerance = 1e-2; // J per step before flagging an anomaly
+
+        // RunRecorder called before and after every step (see RunRecorder)
+        this.recorder = null;
+
+        // Warm-start cache (from previous frame). We match by body pair and
+        // approximate r vector. slip and lawState feed the friction law even
+        // without warm starting.
+        this._prevContacts = []; // each: { a, b, heightfield, r: THREE.Vector3, lambda_n, lambda_t1, lambda_t2, slip, lawState }
 
         // Start state
         this.cube.setPosition(new THREE.Vector3(0, 10, 0));
@@ -83,6 +178,227 @@ class RigidBodySimScene {
         this.cube.setAngularVelocity(new THREE.Vector3(0, 0, 0));
     }
 
+    /**
+     * Drive friction from a directional profile (e.g. a Friction instance built
+     * from the plane's and the cube's surface NDFs). The kinetic profile μ
+     * (getKineticMuAtAngle), times `scale`, is used as the kinetic coefficient;
+     * the static coefficient keeps the muS/muK ratio of the scene. With
+     * `staticKinetic` the static one comes from the model as well
+     * (getStaticMuAtAngle).
+     * Pass null to go back to isotropic μ.
+     */
+    setFrictionModel(model, scale = 1.0, staticKinetic = false) {
+        this.frictionModel = model;
+        this.frictionModelScale = scale;
+        this.frictionModelStaticKinetic = staticKinetic;
+    }
+
+    /**
+     * Use an anisotropic friction ellipse { muX, muY, angle } (e.g. from
+     * Friction.fitEllipse()). Takes precedence over a friction model. Pass null
+     * to disable.
+     */
+    setFrictionEllipse(ellipse) {
+        this.frictionEllipse = ellipse ? { ...ellipse } : null;
+    }
+
+    /**
+     * Velocity/state dependent friction: a FrictionLaw instance, or a type
+     * ('coulomb' | 'stribeck' | 'viscous' | 'rateState') and its parameters.
+     * Contacts keep their slip history; a law with a different state drops it.
+     */
+    setFrictionLaw(law, params = {}) {
+        const next =
+            typeof law === 'string' ? FrictionLaw.create(law, params) : law;
+        if (!next || next.type !== this.frictionLaw.type) {
+            for (const p of this._prevContacts) p.lawState = undefined;
+        }
+        this.frictionLaw = next || new FrictionLaw();
+    }
+
+    /**
+     * Configure NDF-driven friction from a Friction model in one call.
+     * mode: 'profile' (per-contact lookup), 'ellipse' (ellipse fitted to the
+     * kinetic profile) or 'off'. The kinetic profile is rescaled so its mean
+     * equals muK: the scene's μ sets the level, the NDFs set the anisotropy.
+     */
+    useNdfFriction(model, mode = 'profile') {
+        this.setFrictionModel(null);
+        this.setFrictionEllipse(null);
+        if (!model || mode === 'off') return;
+
+        const kinetic = model.kineticProfileCache || model.kineticProfile();
+        const { mus } = kinetic;
+        const meanMu = mus.reduce((sum, mu) => sum + mu, 0) / mus.length;
+        const scale = meanMu > 0 ? this.muK / meanMu : 1.0;
+
+        if (mode === 'ellipse') {
+            const fit = model.fitEllipse(kinetic);
+            this.setFrictionEllipse({
+                muX: fit.muX * scale,
+                muY: fit.muY * scale,
+                angle: fit.angle,
+            });
+        } else {
+            this.setFrictionModel(model, scale);
+        }
+    }
+
+    /**
+     * Take μs and μk from a Friction model instead of the scene's values: the
+     * isotropic pair becomes the mean of the model's static and kinetic
+     * profiles, and mode 'profile' looks both up per contact (unscaled) while
+     * 'ellipse' fits the kinetic profile (static = kinetic * muS/muK).
+     * @returns {{muS:number, muK:number}} the isotropic pair
+     */
+    useSurfaceFriction(model, mode = 'off') {
+        const mean = mus => mus.reduce((sum, mu) => sum + mu, 0) / mus.length;
+        const kinetic = model.kineticProfileCache || model.kineticProfile();
+        this.muS = mean(model.directionalProfileCache.mus);
+        this.muK = mean(kinetic.mus);
+
+        this.setFrictionModel(null);
+        this.setFrictionEllipse(null);
+        if (mode === 'ellipse') {
+            const fit = model.fitEllipse(kinetic);
+            this.setFrictionEllipse({
+                muX: fit.muX,
+                muY: fit.muY,
+                angle: fit.angle,
+            });
+        } else if (mode === 'profile') {
+            this.setFrictionModel(model, 1.0, true);
+        }
+        return { muS: this.muS, muK: this.muK };
+    }
+
+    /**
+     * Add a body to the world (any RigidBody: Box, Cube, Sphere, ...). Its
+     * contacts with the plane use the scene friction unless overridden by
+     * setBodyFriction().
+     */
+    addBody(body) {
+        if (!this.bodies.includes(body)) this.bodies.push(body);
+        return body;
+    }
+
+    /**
+     * Remove a body added with addBody() (the primary cube stays), with its
+     * cached contacts and friction settings.
+     */
+    removeBody(body) {
+        if (body === this.cube) return;
+        this.bodies = this.bodies.filter(b => b !== body);
+        this.bodyFriction.delete(body);
+        this.externalForces.delete(body);
+        this.pairFriction = this.pairFriction.filter(
+            p => p.a !== body && p.b !== body
+        );
+        this._prevContacts = this._prevContacts.filter(
+            p => p.a !== body && p.b !== body
+        );
+    }
+
+    /**
+     * Friction of one body against the plane: any of muS, muK, frictionModel,
+     * frictionModelScale, frictionModelStaticKinetic and frictionEllipse
+     * (see setFrictionModel() / setFrictionEllipse()); the rest falls back to
+     * the scene settings. Pass null to drop the overrides.
+     */
+    setBodyFriction(body, overrides) {
+        if (overrides) this.bodyFriction.set(body, { ...overrides });
+        else this.bodyFriction.delete(body);
+    }
+
+    /**
+     * Isotropic coefficients between two bodies. Pairs without an entry use
+     * the geometric mean of the bodies' own coefficients
+     * (getStaticFriction / getKineticFriction).
+     */
+    setPairFriction(a, b, { muS, muK }) {
+        this.pairFriction = this.pairFriction.filter(
+            p => !((p.a === a && p.b === b) || (p.a === b && p.b === a))
+        );
+        this.pairFriction.push({ a, b, muS, muK });
+    }
+
+    /**
+     * Collide with a HeightfieldCollider (a Surface laid onto the plane)
+     * instead of the flat plane; null goes back to the plane. Heightfield
+     * contacts use the collider's mesh-level muS/muK (else the scene's or
+     * the body's, see setBodyFriction()) and no friction model or ellipse:
+     * the anisotropy comes from the geometry itself.
+     */
+    setHeightfield(collider) {
+        this.heightfield = collider;
+        this._prevContacts = this._prevContacts.filter(p => p.b);
+    }
+
+    /**
+     * Last step's contacts between `body` and the plane (each with n, r,
+     * point, depth, lambda_n, slip, ...).
+     */
+    getPlaneContacts(body = this.cube) {
+        return this._prevContacts.filter(c => c.a === body && !c.b);
+    }
+
+    /**
+     * The solver's contact cache: last step's contacts with their impulses
+     * (warm starting), slip and friction-law state. setContactCache() puts
+     * one back when restoring a recorded state (see RunRecording).
+     */
+    getContactCache() {
+        return this._prevContacts;
+    }
+
+    setContactCache(contacts) {
+        this._prevContacts = contacts;
+    }
+
+    /**
+     * Add a force (N, world frame, through the centre of mass of `body`) for
+     * the next step only; forces add up until step() applies and clears them.
+     */
+    applyForce(force, body = this.cube) {
+        const total = this.externalForces.get(body);
+        if (total) total.add(force);
+        else this.externalForces.set(body, force.clone());
+    }
+
+    /**
+     * Set the cube down at rest, axis-aligned with the plane (its local y
+     * along the normal), on the plane's pivot point (on the highest peak of a
+     * heightfield) and forget last frame's contacts. It sinks in by half the
+     * penetration slop, so its contacts exist from the first step (flush, a
+     * rounding error can leave it hovering and the step is a free fall) and
+     * are neither pushed out nor biased.
+     */
+    placeOnPlane() {
+        const { cube, plane } = this;
+        const height =
+            -cube.support(new THREE.Vector3(0, -1, 0)).y +
+            (this.heightfield ? this.heightfield.maxHeight : 0) -
+            this.penetrationSlop / 2;
+        const position = plane
+            .getPoint()
+            .addScaledVector(plane.getNormal(), height);
+        cube.setPosition(position);
+        cube.getMesh().position.copy(position);
+        cube.getMesh().quaternion.copy(plane.getMesh().quaternion);
+        cube.getMesh().quaternion.multiply(
+            new THREE.Quaternion().setFromAxisAngle(
+                new THREE.Vector3(1, 0, 0),
+                Math.PI / 2
+            )
+        );
+        cube.setVelocity(new THREE.Vector3(0, 0, 0));
+        cube.setAngularVelocity(new THREE.Vector3(0, 0, 0));
+        this.externalForces.delete(cube);
+        this._prevContacts = this._prevContacts.filter(
+            p => p.a !== cube && p.b !== cube
+        );
+    }
+
     // --- math helpers --------------------------------------------------------
 
     _quatToMatrix3(q) {
@@ -113,6 +429,16 @@ class RigidBodySimScene {
         );
     }
 
+    // Velocity of body a's contact point relative to body b (or the plane
+    // surface)
+    _relativeVelocity(c) {
+        const pointVelocity = (body, r) =>
+            body.getVelocity().add(body.getAngularVelocity().cross(r));
+        const vRel = pointVelocity(c.a, c.r);
+        if (c.b) return vRel.sub(pointVelocity(c.b, c.rB));
+        return c.surfaceVelocity ? vRel.sub(c.surfaceVelocity) : vRel;
+    }
+
     _applyImpulse(cube, r, impulse, Iinv) {
         // Apply linear: v' = v + J/m
         const invMass = 1 / cube.getMass();
@@ -127,12 +453,49 @@ class RigidBodySimScene {
         cube.setAngularVelocity(w);
     }
 
-    _integrate(cube, dt) {
-        // Semi-implicit Euler with small damping
-        const v = cube.getVelocity().clone().addScaledVector(this.gravity, dt);
-        v.multiplyScalar(1 - this.linearDamping);
-        cube.setVelocity(v);
+    // Impulse J on body a at the contact, -J on body b
+    _applyContactImpulse(c, J) {
+        this._applyImpulse(c.a, c.r, J, this._bodyData.get(c.a).Iinv);
+        if (c.b) {
+            this._applyImpulse(
+                c.b,
+                c.rB,
+                J.clone().negate(),
+                this._bodyData.get(c.b).Iinv
+            );
+        }
+    }
+
+    // External forces first, so the contact solve sees (and can cancel) this
+    // step's pull of gravity: a resting body then stays put instead of
+    // creeping by g·dt² per step. The velocity change is kept as the body's
+    // `pull` (see _manifoldSlip())
+    _applyExternalForces(cube, dt) {
+        const pull = this.gravity.clone().multiplyScalar(dt);
+        const force = this.externalForces.get(cube);
+        if (force) pull.addScaledVector(force, dt / cube.getMass());
+        cube.setVelocity(cube.getVelocity().add(pull));
+        this._bodyData.get(cube).pull = pull;
+    }
 
+    // Velocity damping, per step, also ahead of the contact solve: damped
+    // after it, a body sticking to a tilting plane would lag the plane's
+    // rotation by the damped fraction every step, lift off its corners and
+    // rock loose long before its static friction gives way. A body's own
+    // linearDamping / angularDamping (when not null) replaces the sim's
+    _applyDamping(cube) {
+        const linear = cube.linearDamping ?? this.linearDamping;
+        const angular = cube.angularDamping ?? this.angularDamping;
+        cube.setVelocity(cube.getVelocity().multiplyScalar(1 - linear));
+        cube.setAngularVelocity(
+            cube.getAngularVelocity().multiplyScalar(1 - angular)
+        );
+    }
+
+    _integrate(cube, dt) {
+        // Semi-implicit Euler (gravity: _applyExternalForces, damping:
+        // _applyDamping)
+        const v = cube.getVelocity().clone();
         const x = cube.getPosition().clone().addScaledVector(v, dt);
         if (!isFinite(x.x) || !isFinite(x.y) || !isFinite(x.z)) {
             x.set(0, 2, 0);
@@ -140,9 +503,6 @@ class RigidBodySimScene {
         cube.setPosition(x);
 
         const w = cube.getAngularVelocity().clone();
-        w.multiplyScalar(1 - this.angularDamping);
-        cube.setAngularVelocity(w);
-
         const q = cube.getMesh().quaternion.clone();
         const halfDt = 0.5 * dt;
         const dq = new THREE.Quaternion(
@@ -163,63 +523,434 @@ class RigidBodySimScene {
     // ---------------- contact generation (multi) -----------------------------
 
     /**
-     * Collect ALL contacts (one per vertex that is at or below the plane).
-     * Returns array of contact objects with fields filled/initialized.
+     * Collect ALL contacts: every body against the plane, then every pair of
+     * bodies. Each contact acts on body a (and with the opposite impulse on
+     * body b, null for the plane); n points from b (or the plane) towards a.
      */
     _collectContacts() {
+        const contacts = [];
+        for (const body of this.bodies) {
+            contacts.push(...this._collidePlane(body));
+        }
+        for (let i = 0; i < this.bodies.length; i++) {
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                contacts.push(
+                    ...this._collideBodies(this.bodies[i], this.bodies[j])
+                );
+            }
+        }
+        return contacts;
+    }
+
+    // One contact per candidate point of `body` (box corners, the lowest
+    // point of a sphere, ...) at or below the plane
+    _collidePlane(body) {
+        if (this.heightfield) return this._collideHeightfield(body);
         const contacts = [];
         const n = this.plane.getNormal().clone().normalize();
         const p0 = this.plane.getPoint();
 
-        const half = 0.5 * this.cube.getSize();
-        const corners = [
-            new THREE.Vector3(half, half, half),
-            new THREE.Vector3(half, half, -half),
-            new THREE.Vector3(half, -half, half),
-            new THREE.Vector3(half, -half, -half),
-            new THREE.Vector3(-half, half, half),
-            new THREE.Vector3(-half, half, -half),
-            new THREE.Vector3(-half, -half, half),
-            new THREE.Vector3(-half, -half, -half),
-        ];
-
-        const q = this.cube.getMesh().quaternion;
+        const q = body.getMesh().quaternion;
         const R3 = this._quatToMatrix3(q);
-        const com = this.cube.getPosition();
+        const com = body.getPosition();
+        const nLocal = n.clone().applyQuaternion(q.clone().invert());
 
-        for (const c of corners) {
-            const r = c.clone().applyMatrix3(R3); // local corner rotated into world
+        for (const c of body.getPlaneCandidates(nLocal)) {
+            const r = c.clone().applyMatrix3(R3); // local point rotated into world
             const worldPt = com.clone().add(r); // point in world
             const phi = n.dot(new THREE.Vector3().subVectors(worldPt, p0));
             if (phi <= 0) {
-                contacts.push({
-                    n: n.clone(),
-                    r,
-                    point: worldPt,
-                    depth: -phi,
-                    // Will be set in precompute:
-                    t1: null,
-                    t2: null,
-                    K_n: 0,
-                    K_t1: 0,
-                    K_t2: 0,
-                    bias: 0,
-                    // Accumulated impulses (warm starting):
-                    lambda_n: 0,
-                    lambda_t1: 0,
-                    lambda_t2: 0,
-                });
+                contacts.push(
+                    this._newContact(body, null, n, worldPt, -phi, {
+                        r, // the rotated point itself, not worldPt - com
+                        surfaceVelocity: this.plane.getSurfaceVelocity
+                            ? this.plane.getSurfaceVelocity(worldPt)
+                            : null,
+                    })
+                );
             }
         }
         return contacts;
     }
 
+    // Plane contacts from the heightfield: normal and depth from the local
+    // surface, tagged so friction uses the mesh-level coefficients
+    _collideHeightfield(body) {
+        return this.heightfield.collide(body, this.plane).map(c =>
+            this._newContact(body, null, c.normal, c.point, c.depth, {
+                r: c.r,
+                heightfield: true,
+                surfaceVelocity: this.plane.getSurfaceVelocity
+                    ? this.plane.getSurfaceVelocity(c.point)
+                    : null,
+            })
+        );
+    }
+
+    // Contacts between two bodies: spheres analytically, everything else
+    // (boxes, cylinder prisms, hulls) by the separating axis test
+    _collideBodies(A, B) {
+        const d = new THREE.Vector3().subVectors(
+            A.getPosition(),
+            B.getPosition()
+        );
+        if (d.length() > A.getBoundingRadius() + B.getBoundingRadius()) {
+            return []; // bounding spheres apart
+        }
+        const sphereA = A.shape === 'sphere';
+        const sphereB = B.shape === 'sphere';
+        if (sphereA && sphereB) return this._collideSpheres(A, B);
+        if (sphereA) return this._collideSphereConvex(A, B, false);
+        if (sphereB) return this._collideSphereConvex(B, A, true);
+        return this._collideConvex(A, B);
+    }
+
+    _collideSpheres(A, B) {
+        const d = new THREE.Vector3().subVectors(
+            A.getPosition(),
+            B.getPosition()
+        );
+        const distance = d.length();
+        const depth = A.getRadius() + B.getRadius() - distance;
+        if (depth < 0 || distance < 1e-9) return [];
+        const n = d.divideScalar(distance); // B → A
+        const point = B.getPosition().addScaledVector(
+            n,
+            B.getRadius() - depth / 2
+        );
+        return [this._newContact(A, B, n, point, depth)];
+    }
+
+    /**
+     * Sphere against a polyhedron: the closest point of the polyhedron to the
+     * sphere's centre (on the faces facing it), or, with the centre inside,
+     * the face it is least deep behind. `flip` makes the sphere body b of the
+     * contact (keeps the a/b order of the bodies list).
+     */
+    _collideSphereConvex(sphere, body, flip) {
+        const { vertices, faces } = body.getPolyhedron();
+        const q = body.getMesh().quaternion;
+        const center = sphere
+            .getPosition()
+            .sub(body.getPosition())
+            .applyQuaternion(q.clone().invert()); // in body's frame
+        const radius = sphere.getRadius();
+
+        let closest = null;
+        let inside = null;
+        for (const face of faces) {
+            const origin = vertices[face.indices[0]];
+            const distance = face.normal.dot(center.clone().sub(origin));
+            if (distance <= 0) {
+                if (!inside || distance > inside.distance) {
+                    inside = { distance, normal: face.normal };
+                }
+                continue;
+            }
+            const point = this._closestOnFace(vertices, face, center);
+            const gap = point.distanceTo(center);
+            if (!closest || gap < closest.gap) closest = { gap, point };
+        }
+
+        let normal, depth, surface;
+        if (closest) {
+            if (closest.gap > radius || closest.gap < 1e-9) return [];
+            normal = center
+                .clone()
+                .sub(closest.point)
+                .divideScalar(closest.gap);
+            depth = radius - closest.gap;
+            surface = closest.point;
+        } else {
+            normal = inside.normal.clone();
+            depth = radius - inside.distance;
+            surface = center.clone().addScaledVector(normal, -inside.distance);
+        }
+
+        // Back to world; midway between the surface and the sphere's far side
+        const n = normal.applyQuaternion(q); // body → sphere
+        const point = surface
+            .applyQuaternion(q)
+            .add(body.getPosition())
+            .addScaledVector(n, -depth / 2);
+        return flip
+            ? [this._newContact(body, sphere, n.negate(), point, depth)]
+            : [this._newContact(sphere, body, n, point, depth)];
+    }
+
+    // Closest point to p (in the face's plane or beyond) on a convex face
+    _closestOnFace(vertices, face, p) {
+        const { normal, indices } = face;
+        const projected = p
+            .clone()
+            .addScaledVector(
+                normal,
+                -normal.dot(p.clone().sub(vertices[indices[0]]))
+            );
+        let outside = false;
+        let best = null;
+        indices.forEach((i, k) => {
+            const a = vertices[i];
+            const b = vertices[indices[(k + 1) % indices.length]];
+            const edge = b.clone().sub(a);
+            const sideNormal = edge.clone().cross(normal);
+            if (sideNormal.dot(projected.clone().sub(a)) <= 0) return;
+            outside = true;
+            const t = THREE.MathUtils.clamp(
+                edge.dot(p.clone().sub(a)) / edge.lengthSq(),
+                0,
+                1
+            );
+            const point = a.clone().addScaledVector(edge, t);
+            if (
+                !best ||
+                point.distanceToSquared(p) < best.distanceToSquared(p)
+            ) {
+                best = point;
+            }
+        });
+        return outside ? best : projected;
+    }
+
+    /**
+     * Polyhedron–polyhedron contacts by the separating axis test over the
+     * face normals of both bodies and the cross products of their edge
+     * directions (15 axes for two boxes). On the axis of least overlap:
+     *   - face axis: the incident face of the other body is clipped against
+     *     the side planes of the reference face; every clipped vertex below
+     *     the reference face is a contact,
+     *   - edge axis: one contact midway between the closest points of the
+     *     two supporting edges.
+     * Face axes are preferred unless an edge axis overlaps clearly less, so
+     * resting faces keep a stable multi-point manifold.
+     */
+    _collideConvex(A, B) {
+        const worldA = this._worldPolyhedron(A);
+        const worldB = this._worldPolyhedron(B);
+        const d = new THREE.Vector3().subVectors(
+            A.getPosition(),
+            B.getPosition()
+        ); // B → A
+
+        // Overlap of the projections on L, and L oriented from B towards A
+        // (the side with the smaller overlap)
+        const overlapOn = L => {
+            let minA = Infinity,
+                maxA = -Infinity,
+                minB = Infinity,
+                maxB = -Infinity;
+            for (const v of worldA.vertices) {
+                const x = L.dot(v);
+                minA = Math.min(minA, x);
+                maxA = Math.max(maxA, x);
+            }
+            for (const v of worldB.vertices) {
+                const x = L.dot(v);
+                minB = Math.min(minB, x);
+                maxB = Math.max(maxB, x);
+            }
+            const up = maxB - minA; // A above B along L
+            const down = maxA - minB;
+            if (up < down || (up === down && L.dot(d) >= 0)) {
+                return { overlap: up, axis: L.clone() };
+            }
+            return { overlap: down, axis: L.clone().negate() };
+        };
+
+        let face = null;
+        for (const [owner, world] of [
+            ['A', worldA],
+            ['B', worldB],
+        ]) {
+            for (const { normal } of world.faces) {
+                const { overlap, axis } = overlapOn(normal);
+                if (overlap < 0) return [];
+                if (!face || overlap < face.overlap) {
+                    face = { overlap, owner, axis };
+                }
+            }
+        }
+        let edge = null;
+        for (const groupA of worldA.edgeDirections) {
+            for (const groupB of worldB.edgeDirections) {
+                const L = new THREE.Vector3().crossVectors(
+                    groupA.direction,
+                    groupB.direction
+                );
+                if (L.lengthSq() < 1e-6) continue; // parallel edges
+                const { overlap, axis } = overlapOn(L.normalize());
+                if (overlap < 0) return [];
+                if (!edge || overlap < edge.overlap) {
+                    edge = { overlap, groupA, groupB, axis };
+                }
+            }
+        }
+
+        const size = A.getBoundingRadius() + B.getBoundingRadius();
+        if (edge && edge.overlap < 0.95 * face.overlap - 0.005 * size) {
+            return this._edgeContact(A, B, worldA, worldB, edge);
+        }
+
+        const n = face.axis; // from B towards A
+
+        // Reference face on the body owning the axis, facing the other body;
+        // incident face: the other body's face most opposed to it
+        const [ref, inc] =
+            face.owner === 'A' ? [worldA, worldB] : [worldB, worldA];
+        const refNormal = face.owner === 'A' ? n.clone().negate() : n.clone();
+        const mostAlong = (faces, dir) =>
+            faces.reduce((best, f) =>
+                f.normal.dot(dir) > best.normal.dot(dir) ? f : best
+            );
+        const refFace = mostAlong(ref.faces, refNormal);
+        const incFace = mostAlong(inc.faces, refNormal.clone().negate());
+        const refPoints = refFace.indices.map(i => ref.vertices[i]);
+        let polygon = incFace.indices.map(i => inc.vertices[i].clone());
+
+        // Clip against the side planes of the reference face
+        for (let k = 0; k < refPoints.length; k++) {
+            const a = refPoints[k];
+            const b = refPoints[(k + 1) % refPoints.length];
+            const sideNormal = b
+                .clone()
+                .sub(a)
+                .cross(refFace.normal)
+                .normalize();
+            polygon = this._clipPolygon(polygon, sideNormal, sideNormal.dot(a));
+            if (!polygon.length) return [];
+        }
+
+        const contacts = [];
+        const refOffset = refFace.normal.dot(refPoints[0]);
+        for (const p of polygon) {
+            const separation = refFace.normal.dot(p) - refOffset;
+            if (separation > 0) continue;
+            // Midway between the incident vertex and the reference face
+            const point = p
+                .clone()
+                .addScaledVector(refFace.normal, -separation / 2);
+            contacts.push(this._newContact(A, B, n, point, -separation));
+        }
+        return contacts;
+    }
+
+    // Single contact between the supporting edges of A and B along edge.axis
+    _edgeContact(A, B, worldA, worldB, edge) {
+        const n = edge.axis; // B → A
+
+        // Edge of A deepest towards B (least along n) and of B towards A
+        const supportEdge = (world, group, sign) => {
+            let best = null;
+            let bestDepth = -Infinity;
+            for (const [i, j] of group.edges) {
+                const p = world.vertices[i];
+                const q = world.vertices[j];
+                const depth = sign * n.dot(p.clone().add(q));
+                if (depth > bestDepth) {
+                    bestDepth = depth;
+                    best = [p, q];
+                }
+            }
+            return best;
+        };
+        const [pA, qA] = supportEdge(worldA, edge.groupA, -1);
+        const [pB, qB] = supportEdge(worldB, edge.groupB, 1);
+
+        // Closest points of the two segments
+        const dA = qA.clone().sub(pA);
+        const dB = qB.clone().sub(pB);
+        const w = new THREE.Vector3().subVectors(pA, pB);
+        const a = dA.dot(dA);
+        const b = dA.dot(dB);
+        const c = dB.dot(dB);
+        const denom = a * c - b * b;
+        const dw = dA.dot(w);
+        const ew = dB.dot(w);
+        let s = denom > 1e-9 * a * c ? (b * ew - c * dw) / denom : 0;
+        s = THREE.MathUtils.clamp(s, 0, 1);
+        let t = THREE.MathUtils.clamp((ew + b * s) / c, 0, 1);
+        s = THREE.MathUtils.clamp((b * t - dw) / a, 0, 1);
+        const point = pA
+            .clone()
+            .addScaledVector(dA, s)
+            .add(pB.clone().addScaledVector(dB, t))
+            .multiplyScalar(0.5);
+        return [this._newContact(A, B, n, point, edge.overlap)];
+    }
+
+    // A body's polyhedron in world coordinates (vertices, face normals and
+    // edge directions; indices shared with getPolyhedron())
+    _worldPolyhedron(body) {
+        const { vertices, faces, edgeDirections } = body.getPolyhedron();
+        const q = body.getMesh().quaternion;
+        const com = body.getPosition();
+        return {
+            vertices: vertices.map(v => v.clone().applyQuaternion(q).add(com)),
+            faces: faces.map(f => ({
+                normal: f.normal.clone().applyQuaternion(q),
+                indices: f.indices,
+            })),
+            edgeDirections: edgeDirections.map(g => ({
+                direction: g.direction.clone().applyQuaternion(q),
+                edges: g.edges,
+            })),
+        };
+    }
+
+    // Sutherland–Hodgman: keep the part of a polygon with n·p <= offset
+    _clipPolygon(polygon, n, offset) {
+        const out = [];
+        for (let i = 0; i < polygon.length; i++) {
+            const p = polygon[i];
+            const q = polygon[(i + 1) % polygon.length];
+            const dp = n.dot(p) - offset;
+            const dq = n.dot(q) - offset;
+            if (dp <= 0) out.push(p);
+            if (dp * dq < 0) {
+                out.push(p.clone().lerp(q, dp / (dp - dq)));
+            }
+        }
+        return out;
+    }
+
+    // Contact on body a (against body b, or the plane when b is null)
+    _newContact(a, b, n, point, depth, extra = {}) {
+        return {
+            a,
+            b,
+            n: n.clone(),
+            r: point.clone().sub(a.getPosition()), // from a's centre of mass
+            rB: b ? point.clone().sub(b.getPosition()) : null,
+            point: point.clone(),
+            depth,
+            surfaceVelocity: null,
+            // Will be set in precompute:
+            t1: null,
+            t2: null,
+            K_n: 0,
+            K_t1: 0,
+            K_t2: 0,
+            muS: 0,
+            muK: 0,
+            ellipse: null,
+            bias: 0,
+            // Friction law input: slip speed (m/s) and state
+            slip: undefined,
+            lawState: undefined,
+            // Accumulated impulses (warm starting):
+            lambda_n: 0,
+            lambda_t1: 0,
+            lambda_t2: 0,
+            ...extra,
+        };
+    }
+
     /**
      * Backwards-compatible helper: returns only the deepest contact or null.
      * (Kept for reference/testing; GS path uses _collectContacts instead.)
      */
     detectContact() {
-        const all = this._collectContacts();
+        const all = this._collidePlane(this.cube);
         if (!all.length) return null;
         let deepest = all[0];
         for (let i = 1; i < all.length; ++i)
@@ -232,27 +963,174 @@ class RigidBodySimScene {
         };
     }
 
+    // ---------------- friction lookup ----------------------------------------
+
+    /**
+     * Friction settings for `body` against the plane: the scene's, with the
+     * body's overrides (setBodyFriction()) applied.
+     */
+    _planeFriction(body) {
+        const overrides = this.bodyFriction.get(body) || {};
+        const pick = key => (key in overrides ? overrides[key] : this[key]);
+        return {
+            muS: pick('muS'),
+            muK: pick('muK'),
+            frictionModel: pick('frictionModel'),
+            frictionModelScale: pick('frictionModelScale'),
+            frictionModelStaticKinetic: pick('frictionModelStaticKinetic'),
+            frictionEllipse: pick('frictionEllipse'),
+        };
+    }
+
+    // Isotropic coefficients between two bodies (see setPairFriction())
+    _pairFriction(a, b) {
+        const pair = this.pairFriction.find(
+            p => (p.a === a && p.b === b) || (p.a === b && p.b === a)
+        );
+        if (pair) return { muS: pair.muS, muK: pair.muK };
+        return {
+            muS: Math.sqrt(a.getStaticFriction() * b.getStaticFriction()),
+            muK: Math.sqrt(a.getKineticFriction() * b.getKineticFriction()),
+        };
+    }
+
+    /**
+     * Static/kinetic coefficients of contact c for sliding along world
+     * direction `dir` (unit, tangent to the contact). Without a friction
+     * model this is the isotropic muS/muK pair (of the body pair for
+     * body–body contacts).
+     */
+    _contactFriction(c, dir) {
+        if (c.b) return this._pairFriction(c.a, c.b);
+        const settings = this._planeFriction(c.a);
+        if (c.heightfield) {
+            const { muS, muK } = this.heightfield;
+            return {
+                muS: muS ?? settings.muS,
+                muK: muK ?? settings.muK,
+            };
+        }
+        const model = settings.frictionModel;
+        if (!model) return { muS: settings.muS, muK: settings.muK };
+
+        // Express the sliding direction in the plane's texture frame
+        const { tangent, bitangent } = this.plane.getTangentFrame();
+        const phi = Math.atan2(dir.dot(bitangent), dir.dot(tangent));
+
+        const scale = settings.frictionModelScale;
+        if (settings.frictionModelStaticKinetic) {
+            return {
+                muS: scale * model.getStaticMuAtAngle(phi),
+                muK: scale * model.getKineticMuAtAngle(phi),
+            };
+        }
+        const muK = scale * model.getKineticMuAtAngle(phi);
+        const ratio = settings.muK > 0 ? settings.muS / settings.muK : 1.0;
+        return { muS: muK * ratio, muK };
+    }
+
+    /**
+     * Principal friction axes and coefficients for a contact with normal n and
+     * tangent basis (t1, t2). Isotropic/profile friction uses (t1, t2) itself.
+     * The ellipse is scaled by the friction law like the contact's muS/muK.
+     */
+    _contactFrictionEllipse(c) {
+        const settings = c.b || c.heightfield ? null : this._planeFriction(c.a);
+        if (settings && settings.frictionEllipse) {
+            const ratio = settings.muK > 0 ? settings.muS / settings.muK : 1.0;
+            const { s, k } = c.lawScale;
+            const { muX, muY, angle } = settings.frictionEllipse;
+            const { tangent, bitangent } = this.plane.getTangentFrame();
+            const e1 = tangent
+                .clone()
+                .multiplyScalar(Math.cos(angle))
+                .addScaledVector(bitangent, Math.sin(angle));
+            e1.addScaledVector(c.n, -c.n.dot(e1)).normalize();
+            const e2 = new THREE.Vector3().copy(c.n).cross(e1).normalize();
+            const k1 = muX * k,
+                k2 = muY * k;
+            return {
+                e1,
+                e2,
+                k1,
+                k2,
+                s1: Math.max(muX * ratio * s, k1),
+                s2: Math.max(muY * ratio * s, k2),
+            };
+        }
+        return {
+            e1: c.t1,
+            e2: c.t2,
+            k1: c.muK,
+            k2: c.muK,
+            s1: c.muS,
+            s2: c.muS,
+        };
+    }
+
+    /**
+     * Clamp a candidate tangent impulse (l1 along t1, l2 along t2) to the
+     * friction cone: the static ellipse while the contact's manifold sticks,
+     * the kinetic one once it slides (see NOTES). Inside the ellipse it is
+     * returned unchanged; otherwise it is replaced by the point of the ellipse
+     * that does the most work against the candidate (maximum dissipation),
+     * which is what makes a body veer towards the low-friction axis.
+     */
+    _projectFrictionEllipse(c, l1, l2) {
+        const ell = c.ellipse;
+        const ln = c.lambda_n;
+        if (ln <= 0) return { l1: 0, l2: 0 };
+
+        // Components along the principal axes
+        const a = l1 * c.t1.dot(ell.e1) + l2 * c.t2.dot(ell.e1);
+        const b = l1 * c.t1.dot(ell.e2) + l2 * c.t2.dot(ell.e2);
+        const k1 = (c.sticks ? ell.s1 : ell.k1) * ln,
+            k2 = (c.sticks ? ell.s2 : ell.k2) * ln;
+        const sa = a / Math.max(k1, 1e-12);
+        const sb = b / Math.max(k2, 1e-12);
+        if (sa * sa + sb * sb <= 1) return { l1, l2 };
+
+        // f = (k1² a, k2² b) / sqrt(k1² a² + k2² b²)
+        const norm = Math.sqrt(k1 * k1 * a * a + k2 * k2 * b * b);
+        if (norm < 1e-12) return { l1: 0, l2: 0 };
+        const fa = (k1 * k1 * a) / norm;
+        const fb = (k2 * k2 * b) / norm;
+
+        // Back to the (t1, t2) basis
+        return {
+            l1: fa * ell.e1.dot(c.t1) + fb * ell.e2.dot(c.t1),
+            l2: fa * ell.e1.dot(c.t2) + fb * ell.e2.dot(c.t2),
+        };
+    }
+
     // ---------------- GS solver building blocks ------------------------------
 
-    _precomputeContacts(contacts, Iinv, invMass) {
+    _precomputeContacts(contacts) {
         const dt = this.dt;
+        const manifoldSlip = this._manifoldSlip(contacts);
         for (const c of contacts) {
             const n = c.n;
+            c.sticks = manifoldSlip.get(c) <= this.stickSpeed;
 
             // Relative velocity at contact to choose a "meaningful" tangent
-            const vRel = this.cube
-                .getVelocity()
-                .clone()
-                .add(
-                    new THREE.Vector3()
-                        .copy(this.cube.getAngularVelocity())
-                        .cross(c.r)
-                );
+            const vRel = this._relativeVelocity(c);
             const vt = vRel.clone().addScaledVector(n, -n.dot(vRel));
 
+            // Tangential pull of gravity: the direction a resting contact
+            // would start to slide in (matters for directional friction).
+            const gt = this.gravity
+                .clone()
+                .addScaledVector(n, -n.dot(this.gravity));
+
             let t1;
             if (vt.lengthSq() > 1e-12) {
                 t1 = vt.normalize();
+            } else if (
+                !c.b &&
+                this._planeFriction(c.a).frictionModel &&
+                gt.lengthSq() > 1e-12
+            ) {
+                t1 = gt.normalize();
             } else {
                 // Pick any vector not parallel to n, then Gram–Schmidt
                 t1 =
@@ -265,15 +1143,34 @@ class RigidBodySimScene {
             c.t1 = t1;
             c.t2 = t2;
 
+            // Friction coefficients for this contact's sliding direction,
+            // through the friction law (static bound never below kinetic)
+            const base = this._contactFriction(c, t1);
+            if (c.lawState === undefined) {
+                c.lawState = this.frictionLaw.initialState(base);
+            }
+            const mu = this.frictionLaw.coefficients(base, c.slip, c.lawState);
+            c.muK = Math.max(0, mu.muK);
+            c.muS = Math.max(mu.muS, c.muK);
+            c.lawScale = {
+                s: base.muS > 0 ? c.muS / base.muS : 1,
+                k: base.muK > 0 ? c.muK / base.muK : 1,
+            };
+            c.ellipse = this._contactFrictionEllipse(c);
+
             // Effective mass along a direction dir: K = 1/m + dir · [ (I^{-1}(r×dir)) × r ]
-            const Kdir = dir => {
-                const rxd = new THREE.Vector3().copy(c.r).cross(dir);
+            // summed over both bodies of a body–body contact
+            const Kbody = (body, r, dir) => {
+                const { invMass, Iinv } = this._bodyData.get(body);
+                const rxd = new THREE.Vector3().copy(r).cross(dir);
                 const Iinv_rxd = this._mat3MulVec3(Iinv, rxd);
                 return (
                     invMass +
-                    dir.dot(new THREE.Vector3().copy(Iinv_rxd).cross(c.r))
+                    dir.dot(new THREE.Vector3().copy(Iinv_rxd).cross(r))
                 );
             };
+            const Kdir = dir =>
+                Kbody(c.a, c.r, dir) + (c.b ? Kbody(c.b, c.rB, dir) : 0);
             c.K_n = Kdir(n);
             c.K_t1 = Kdir(t1);
             c.K_t2 = Kdir(t2);
@@ -286,14 +1183,50 @@ class RigidBodySimScene {
         }
     }
 
+    /**
+     * Slip of each contact's manifold (the contacts sharing its body pair,
+     * heightfield contacts apart from the plane's): contact → speed. That is
+     * the fastest slip after last step's solve, since contacts of a rotating
+     * body rarely match last step's (see _matchWarmStart()); a manifold that
+     * just formed counts with the tangential speed of its contacts before
+     * this step's pull (gravity and applied forces, which the solve has yet
+     * to resist): a body set down on a slope starts out sticking.
+     */
+    _manifoldSlip(contacts) {
+        const key = c => c.b || (c.heightfield ? 'heightfield' : 'plane');
+        const fastest = list => {
+            const manifolds = new Map(); // body a → (b | 'plane' | ...) → max
+            for (const c of list) {
+                if (!manifolds.has(c.a)) manifolds.set(c.a, new Map());
+                const byB = manifolds.get(c.a);
+                byB.set(key(c), Math.max(byB.get(key(c)) ?? 0, c.slip));
+            }
+            return c => manifolds.get(c.a)?.get(key(c));
+        };
+        for (const c of contacts) {
+            if (c.slip === undefined) {
+                const vRel = this._relativeVelocity(c).sub(
+                    this._bodyData.get(c.a).pull
+                );
+                if (c.b) vRel.add(this._bodyData.get(c.b).pull);
+                c.slip = vRel.addScaledVector(c.n, -c.n.dot(vRel)).length();
+            }
+        }
+        const previous = fastest(this._prevContacts);
+        const current = fastest(contacts);
+        return new Map(contacts.map(c => [c, previous(c) ?? current(c)]));
+    }
+
     _matchWarmStart(contacts) {
-        // Copy lambdas from last frame by nearest r (within tolerance)
-        if (!this.warmStartEnabled || !this._prevContacts.length) return;
+        // Copy lambdas (and friction-law history) from last frame by body pair
+        // and nearest r (within tolerance); lambdas only when warm starting
+        if (!this._prevContacts.length) return;
         const tolSq = 1e-6; // ~1 mm in r space depending on scale
         for (const c of contacts) {
             let best = null,
                 bestD = Infinity;
             for (const p of this._prevContacts) {
+                if (p.a !== c.a || p.b !== c.b) continue;
                 const d = c.r.distanceToSquared(p.r);
                 if (d < bestD) {
                     bestD = d;
@@ -301,6 +1234,9 @@ class RigidBodySimScene {
                 }
             }
             if (best && bestD <= tolSq) {
+                c.slip = best.slip;
+                c.lawState = best.lawState;
+                if (!this.warmStartEnabled) continue;
                 c.lambda_n = best.lambda_n;
                 c.lambda_t1 = best.lambda_t1;
                 c.lambda_t2 = best.lambda_t2;
@@ -308,7 +1244,7 @@ class RigidBodySimScene {
         }
     }
 
-    _warmStartApply(contacts, Iinv) {
+    _warmStartApply(contacts) {
         if (!this.warmStartEnabled) return;
         for (const c of contacts) {
             if (!c) continue;
@@ -317,21 +1253,15 @@ class RigidBodySimScene {
                 .multiplyScalar(c.lambda_n)
                 .add(c.t1.clone().multiplyScalar(c.lambda_t1))
                 .add(c.t2.clone().multiplyScalar(c.lambda_t2));
-            this._applyImpulse(this.cube, c.r, J, Iinv);
+            this._applyContactImpulse(c, J);
         }
     }
 
-    _solveContactsGS(contacts, Iinv) {
-        const cube = this.cube;
-
+    _solveContactsGS(contacts) {
         for (let it = 0; it < this.gsIterations; ++it) {
             for (const c of contacts) {
                 // --- normal ---
-                let v = cube.getVelocity();
-                let w = cube.getAngularVelocity();
-                let vRel = v
-                    .clone()
-                    .add(new THREE.Vector3().copy(w).cross(c.r));
+                let vRel = this._relativeVelocity(c);
                 const vn = c.n.dot(vRel);
 
                 // Restitution is typically omitted in GS loops for resting contacts.
@@ -339,123 +1269,348 @@ class RigidBodySimScene {
                 // AND on the first iteration, otherwise set to 0.
                 const restitutionTerm = 0; // or: (it === 0 && vn < -0.2 ? this.restitution * Math.min(vn, 0) : 0);
 
-                let dLambda_n = -(vn + c.bias + restitutionTerm) / c.K_n;
+                // Target separation speed: the bias pushes overlapping bodies
+                // apart (vn = +bias)
+                let dLambda_n = -(vn - c.bias + restitutionTerm) / c.K_n;
                 const lambda_n_new = Math.max(c.lambda_n + dLambda_n, 0); // nonnegative
                 dLambda_n = lambda_n_new - c.lambda_n;
                 c.lambda_n = lambda_n_new;
                 if (dLambda_n !== 0) {
                     const Jn = c.n.clone().multiplyScalar(dLambda_n);
-                    this._applyImpulse(cube, c.r, Jn, Iinv);
+                    this._applyContactImpulse(c, Jn);
                 }
 
-                // --- friction t1 ---
-                v = cube.getVelocity();
-                w = cube.getAngularVelocity();
-                vRel = v.clone().add(new THREE.Vector3().copy(w).cross(c.r));
-                const vt1 = c.t1.dot(vRel);
-                let dLambda_t1 = -vt1 / c.K_t1;
-
-                // Static cone test: maximum = μ_s * lambda_n; if exceeded => kinetic (μ_k)
-                const maxStatic = this.muS * c.lambda_n;
-                let lambda_t1_candidate = c.lambda_t1 + dLambda_t1;
-                let maxF = maxStatic;
-                if (Math.abs(lambda_t1_candidate) > maxStatic)
-                    maxF = this.muK * c.lambda_n;
-
-                const lambda_t1_new = THREE.MathUtils.clamp(
-                    c.lambda_t1 + dLambda_t1,
-                    -maxF,
-                    +maxF
-                );
-                dLambda_t1 = lambda_t1_new - c.lambda_t1;
-                c.lambda_t1 = lambda_t1_new;
-                if (dLambda_t1 !== 0) {
-                    const Jt1 = c.t1.clone().multiplyScalar(dLambda_t1);
-                    this._applyImpulse(cube, c.r, Jt1, Iinv);
+                if (this.frictionCone === 'box') {
+                    this._solveFrictionBox(c);
+                    continue;
                 }
 
-                // --- friction t2 ---
-                v = cube.getVelocity();
-                w = cube.getAngularVelocity();
-                vRel = v.clone().add(new THREE.Vector3().copy(w).cross(c.r));
+                // --- friction (t1, t2 jointly against the ellipse) ---
+                vRel = this._relativeVelocity(c);
+                const vt1 = c.t1.dot(vRel);
                 const vt2 = c.t2.dot(vRel);
-                let dLambda_t2 = -vt2 / c.K_t2;
-
-                let lambda_t2_candidate = c.lambda_t2 + dLambda_t2;
-                maxF =
-                    Math.abs(lambda_t2_candidate) > maxStatic
-                        ? this.muK * c.lambda_n
-                        : maxStatic;
-
-                const lambda_t2_new = THREE.MathUtils.clamp(
-                    c.lambda_t2 + dLambda_t2,
-                    -maxF,
-                    +maxF
+
+                const clamped = this._projectFrictionEllipse(
+                    c,
+                    c.lambda_t1 - vt1 / c.K_t1,
+                    c.lambda_t2 - vt2 / c.K_t2
                 );
-                dLambda_t2 = lambda_t2_new - c.lambda_t2;
-                c.lambda_t2 = lambda_t2_new;
-                if (dLambda_t2 !== 0) {
-                    const Jt2 = c.t2.clone().multiplyScalar(dLambda_t2);
-                    this._applyImpulse(cube, c.r, Jt2, Iinv);
+                const dLambda_t1 = clamped.l1 - c.lambda_t1;
+                const dLambda_t2 = clamped.l2 - c.lambda_t2;
+                c.lambda_t1 = clamped.l1;
+                c.lambda_t2 = clamped.l2;
+                if (dLambda_t1 !== 0 || dLambda_t2 !== 0) {
+                    const Jt = c.t1
+                        .clone()
+                        .multiplyScalar(dLambda_t1)
+                        .addScaledVector(c.t2, dLambda_t2);
+                    this._applyContactImpulse(c, Jt);
                 }
             }
         }
     }
 
+    /**
+     * Legacy friction: t1 and t2 clamped independently against the same
+     * bound (box-shaped friction limit).
+     */
+    _solveFrictionBox(c) {
+        let vRel;
+
+        // --- friction t1 ---
+        vRel = this._relativeVelocity(c);
+        const vt1 = c.t1.dot(vRel);
+        let dLambda_t1 = -vt1 / c.K_t1;
+
+        // Bound: μ_s * lambda_n while the manifold sticks, μ_k once it slides
+        const maxF = (c.sticks ? c.muS : c.muK) * c.lambda_n;
+
+        const lambda_t1_new = THREE.MathUtils.clamp(
+            c.lambda_t1 + dLambda_t1,
+            -maxF,
+            +maxF
+        );
+        dLambda_t1 = lambda_t1_new - c.lambda_t1;
+        c.lambda_t1 = lambda_t1_new;
+        if (dLambda_t1 !== 0) {
+            const Jt1 = c.t1.clone().multiplyScalar(dLambda_t1);
+            this._applyContactImpulse(c, Jt1);
+        }
+
+        // --- friction t2 ---
+        vRel = this._relativeVelocity(c);
+        const vt2 = c.t2.dot(vRel);
+        let dLambda_t2 = -vt2 / c.K_t2;
+
+        const lambda_t2_new = THREE.MathUtils.clamp(
+            c.lambda_t2 + dLambda_t2,
+            -maxF,
+            +maxF
+        );
+        dLambda_t2 = lambda_t2_new - c.lambda_t2;
+        c.lambda_t2 = lambda_t2_new;
+        if (dLambda_t2 !== 0) {
+            const Jt2 = c.t2.clone().multiplyScalar(dLambda_t2);
+            this._applyContactImpulse(c, Jt2);
+        }
+    }
+
     // ---------------- main step ----------------------------------------------
 
     step() {
-        const cube = this.cube;
-        const invMass = 1 / cube.getMass();
-        const Iinv = this._worldInertiaTensorInv(cube);
+        if (this.recorder) this.recorder.beforeStep();
+        const logging = this.loggingEnabled;
+        const start = logging ? this._energy() : null;
+        const forces = logging
+            ? new Map(
+                  [...this.externalForces].map(([body, f]) => [body, f.clone()])
+              )
+            : null;
 
-        // 1) Collect all contacts at/below plane
+        // Per-body mass data for this step (orientation fixed until _integrate)
+        this._bodyData = new Map(
+            this.bodies.map(body => [
+                body,
+                {
+                    invMass: 1 / body.getMass(),
+                    Iinv: this._worldInertiaTensorInv(body),
+                },
+            ])
+        );
+        for (const body of this.bodies) this._applyDamping(body);
+        const damped = logging ? this._energy() : null;
+        for (const body of this.bodies) {
+            this._applyExternalForces(body, this.dt);
+        }
+        this.externalForces.clear();
+
+        // 1) Collect all contacts: bodies vs plane, body pairs
         const contacts = this._collectContacts();
-        this.inContact = contacts.length > 0;
+        this.inContact = contacts.some(
+            c => c.a === this.cube || c.b === this.cube
+        );
 
         // 2) Small positional pre-correction to avoid large overlaps (cap number)
-        // Distribute correction across contacts to avoid excessive push.
-        let corrected = 0;
-        for (const c of contacts) {
-            if (corrected >= this.maxPreCorrectionContacts) break;
-            if (c.depth > this.penetrationSlop) {
-                const corr = c.n
-                    .clone()
-                    .multiplyScalar(
-                        (c.depth - this.penetrationSlop) /
-                            Math.min(
-                                contacts.length,
-                                this.maxPreCorrectionContacts
-                            )
-                    );
-                const x = cube.getPosition().clone().add(corr);
-                cube.setPosition(x);
-                cube.getMesh().position.copy(x);
-                corrected++;
+        // Distribute correction across a body's plane contacts to avoid
+        // excessive push; body–body and heightfield overlap (tilted normals,
+        // a push would shove the body sideways) is left to the Baumgarte bias.
+        for (const body of this.bodies) {
+            const planeContacts = contacts.filter(
+                c => c.a === body && !c.b && !c.heightfield
+            );
+            const share = Math.min(
+                planeContacts.length,
+                this.maxPreCorrectionContacts
+            );
+            let corrected = 0;
+            let pushed = 0; // total correction along the plane normal
+            for (const c of planeContacts) {
+                if (corrected >= this.maxPreCorrectionContacts) break;
+                if (c.depth > this.penetrationSlop) {
+                    const push = (c.depth - this.penetrationSlop) / share;
+                    const x = body
+                        .getPosition()
+                        .clone()
+                        .addScaledVector(c.n, push);
+                    body.setPosition(x);
+                    body.getMesh().position.copy(x);
+                    pushed += push;
+                    corrected++;
+                }
+            }
+            // The bias only sees the penetration left after the push
+            for (const c of planeContacts) {
+                c.depth = Math.max(0, c.depth - pushed);
             }
         }
+        const corrected = logging ? this._energy() : null;
 
-        // 3) Precompute per-contact data: tangents, K's, bias
-        this._precomputeContacts(contacts, Iinv, invMass);
-
-        // 4) Warm start: copy lambdas from previous frame & apply them
+        // 3) Match last frame's contacts: lambdas, slip speed, law state
         this._matchWarmStart(contacts);
-        this._warmStartApply(contacts, Iinv);
 
-        // 5) Gauss–Seidel (sequential impulses) over contacts
+        // 4) Precompute per-contact data: tangents, K's, μ, bias
+        this._precomputeContacts(contacts);
+
+        // 5) Warm start: apply the matched lambdas
+        this._warmStartApply(contacts);
+
+        // 6) Gauss–Seidel (sequential impulses) over contacts
         if (contacts.length) {
-            this._solveContactsGS(contacts, Iinv);
+            this._solveContactsGS(contacts);
+        }
+
+        // Slip speed after the solve drives the friction law's state and next
+        // frame's coefficients
+        for (const c of contacts) {
+            const vRel = this._relativeVelocity(c);
+            c.slip = vRel.addScaledVector(c.n, -c.n.dot(vRel)).length();
+            c.lawState = this.frictionLaw.updateState(
+                c.lawState,
+                c.slip,
+                this.dt
+            );
         }
 
         // Cache lambdas for next frame warm starting
         this._prevContacts = contacts.map(c => ({
+            a: c.a,
+            b: c.b,
+            heightfield: !!c.heightfield,
+            n: c.n,
             r: c.r.clone(),
+            point: c.point,
+            depth: c.depth,
             lambda_n: c.lambda_n,
             lambda_t1: c.lambda_t1,
             lambda_t2: c.lambda_t2,
+            slip: c.slip,
+            lawState: c.lawState,
         }));
 
-        // 6) Integrate free motion
-        this._integrate(cube, this.dt);
+        const solved = logging
+            ? { ...this._energy(), ...this._contactWork(contacts) }
+            : null;
+
+        // 7) Integrate free motion
+        for (const body of this.bodies) {
+            this._integrate(body, this.dt);
+        }
+        this.time += this.dt;
+        this.stepCount++;
+        this.diagnostics = logging
+            ? this._diagnostics(start, damped, corrected, solved, forces)
+            : null;
+        if (this.recorder) this.recorder.afterStep();
+    }
+
+    // ---------------- diagnostics --------------------------------------------
+
+    // Translational, rotational and potential energy (relative to the plane's
+    // pivot) of all bodies, with their positions
+    _energy() {
+        const energy = {
+            kinetic: 0,
+            rotational: 0,
+            potential: 0,
+            positions: new Map(),
+        };
+        const origin = this.plane.getPoint();
+        for (const body of this.bodies) {
+            const m = body.getMass();
+            const x = body.getPosition();
+            const I = body.getInertia();
+            const w = body
+                .getAngularVelocity()
+                .applyQuaternion(body.getMesh().quaternion.clone().invert());
+            energy.kinetic += 0.5 * m * body.getVelocity().lengthSq();
+            energy.rotational +=
+                0.5 * (I.x * w.x * w.x + I.y * w.y * w.y + I.z * w.z * w.z);
+            energy.potential -= m * this.gravity.dot(x.clone().sub(origin));
+            energy.positions.set(body, x);
+        }
+        return energy;
+    }
+
+    /**
+     * Work of the solved contact impulses at the final relative velocities:
+     *   friction   −λt · vt, energy the friction impulses dissipate
+     *   baumgarte  λn · vn, energy the bias injects by pushing overlapping
+     *              bodies apart (zero for a contact that just stops)
+     *   surface    λ · v_surface, energy a moving (tilting) plane delivers
+     * and one record per contact.
+     */
+    _contactWork(contacts) {
+        const work = { friction: 0, baumgarte: 0, surface: 0, contacts: [] };
+        for (const c of contacts) {
+            const v = this._relativeVelocity(c);
+            work.friction -=
+                c.lambda_t1 * c.t1.dot(v) + c.lambda_t2 * c.t2.dot(v);
+            work.baumgarte += c.lambda_n * c.n.dot(v);
+            if (c.surfaceVelocity) {
+                work.surface += c.n
+                    .clone()
+                    .multiplyScalar(c.lambda_n)
+                    .addScaledVector(c.t1, c.lambda_t1)
+                    .addScaledVector(c.t2, c.lambda_t2)
+                    .dot(c.surfaceVelocity);
+            }
+            work.contacts.push({
+                a: this.bodies.indexOf(c.a),
+                b: c.b ? this.bodies.indexOf(c.b) : -1, // -1: plane
+                point: c.point.clone(),
+                depth: c.depth,
+                lambda_n: c.lambda_n,
+                lambda_t1: c.lambda_t1,
+                lambda_t2: c.lambda_t2,
+                slip: c.slip,
+                sticking: c.sticks, // the solver's manifold decision
+            });
+        }
+        return work;
+    }
+
+    /**
+     * Diagnostics record of the step just taken (energies in J, impulses in
+     * N·s). The energy change splits into
+     *   ΔE = external + surface + correction + baumgarte
+     *        − friction − damping − other
+     * where external is the work of applyForce() forces, correction the
+     * potential energy added by the positional pre-correction, damping what
+     * the velocity damping removed and `other` the rest (inelastic impacts,
+     * integration error). energyGain = ΔE − external − surface is energy the
+     * solver made up; above energyGainTolerance the step is an anomaly.
+     */
+    _diagnostics(start, damped, corrected, solved, forces) {
+        const end = this._energy();
+        const total = e => e.kinetic + e.rotational + e.potential;
+
+        let external = 0;
+        for (const [body, force] of forces) {
+            const from = start.positions.get(body);
+            const to = end.positions.get(body);
+            if (from && to) external += force.dot(to.clone().sub(from));
+        }
+        const correction = corrected.potential - start.potential;
+        const damping =
+            start.kinetic +
+            start.rotational -
+            (damped.kinetic + damped.rotational);
+        const change = total(end) - total(start);
+        const energyGain = change - external - solved.surface;
+        const other =
+            external +
+            solved.surface +
+            correction +
+            solved.baumgarte -
+            solved.friction -
+            damping -
+            change;
+
+        const { contacts } = solved;
+        return {
+            step: this.stepCount,
+            time: this.time,
+            kinetic: end.kinetic,
+            rotational: end.rotational,
+            potential: end.potential,
+            total: total(end),
+            external,
+            surface: solved.surface,
+            correction,
+            baumgarte: solved.baumgarte,
+            friction: solved.friction,
+            damping,
+            other,
+            energyGain,
+            anomaly: energyGain > this.energyGainTolerance,
+            contactCount: contacts.length,
+            maxDepth: contacts.reduce((max, c) => Math.max(max, c.depth), 0),
+            sticking: contacts.filter(c => c.sticking).length,
+            contacts,
+        };
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RigidBodySimScene;
+}
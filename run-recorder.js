@@ -0,0 +1,117 @@
+// ================================================================
+// RUN RECORDER - records a RigidBodySimScene run into a RunRecording
+// ================================================================
+// Hooks into the sim (sim.recorder): step() calls beforeStep() first and
+// afterStep() last. Before a step the recorder compares the sim with what
+// the previous step left behind and writes an event for whatever changed in
+// between - slider settings, an experiment tilting the plane or resetting
+// the cube, added blocks, applied forces (see RunRecording); after the step
+// it appends the poses. Moving on to a new sim (setSim(), e.g. after a scene
+// reset) shows up the same way, as a new body list with all its settings.
+// ================================================================
+
+class RunRecorder {
+    /**
+     * @param {RigidBodySimScene} sim
+     * @param {object} meta - stored with the recording (e.g. a note)
+     */
+    constructor(sim, meta = {}) {
+        this.meta = { created: new Date().toISOString(), ...meta };
+        this.events = [];
+        this.frames = [];
+        this.stepCount = 0;
+        this.sim = null;
+
+        // What the last step left behind, to detect changes
+        this._bodies = null; // sim.bodies
+        this._states = null; // RunRecording.captureState() of each
+        this._params = {}; // key → JSON of RunRecording.captureParams()
+        this._contactCache = null; // sim.getContactCache()
+
+        this.setSim(sim);
+    }
+
+    // Record `sim` from its next step on (and stop recording the previous one)
+    setSim(sim) {
+        if (this.sim) this.sim.recorder = null;
+        this.sim = sim;
+        sim.recorder = this;
+    }
+
+    /**
+     * Stop recording.
+     * @returns {RunRecording}
+     */
+    stop() {
+        this.sim.recorder = null;
+        return new RunRecording({
+            meta: this.meta,
+            events: this.events,
+            frames: this.frames,
+            stepCount: this.stepCount,
+        });
+    }
+
+    beforeStep() {
+        const { sim } = this;
+        const { bodies } = sim;
+        const event = { step: this.stepCount };
+
+        const states = bodies.map(body => RunRecording.captureState(body));
+        const sameBodies =
+            this._bodies &&
+            bodies.length === this._bodies.length &&
+            bodies.every((body, i) => body === this._bodies[i]);
+        if (!sameBodies) {
+            event.bodies = bodies.map(body => RunRecording.describeBody(body));
+            event.states = states;
+            this._params = {}; // indices may refer to other bodies now
+        } else if (
+            states.some((state, i) =>
+                state.some((x, k) => x !== this._states[i][k])
+            )
+        ) {
+            event.states = states;
+        }
+
+        const params = {};
+        for (const [key, value] of Object.entries(
+            RunRecording.captureParams(sim)
+        )) {
+            const json = JSON.stringify(value);
+            if (json === this._params[key]) continue;
+            params[key] = value;
+            this._params[key] = json;
+        }
+        if (Object.keys(params).length) event.params = params;
+
+        if (!sameBodies || sim.getContactCache() !== this._contactCache) {
+            event.warmStart = RunRecording.captureContactCache(sim);
+        }
+        if (sim.externalForces.size) {
+            event.forces = [...sim.externalForces].map(([body, force]) => [
+                bodies.indexOf(body),
+                force.x,
+                force.y,
+                force.z,
+            ]);
+        }
+
+        if (Object.keys(event).length > 1) this.events.push(event);
+        this._bodies = bodies.slice();
+    }
+
+    afterStep() {
+        const { sim } = this;
+        this._states = sim.bodies.map(body => RunRecording.captureState(body));
+        for (const state of this._states) {
+            for (let k = 0; k < 7; k++) this.frames.push(state[k]);
+        }
+        this._contactCache = sim.getContactCache();
+        this.stepCount++;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunRecorder;
+}
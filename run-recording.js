@@ -0,0 +1,704 @@
+// ================================================================
+// RUN RECORDING - a recorded simulation run: inputs, poses and file formats
+// ================================================================
+// What RunRecorder captures from a RigidBodySimScene, enough to play the run
+// back and to re-simulate it step by step:
+//   events  one per step where an input changed, in step order:
+//             { step, bodies?, params?, states?, warmStart?, forces? }
+//           bodies     the body list, when it changed (describeBody())
+//           params     changed solver, friction and plane settings
+//                      (captureParams(); the plane angle changes every step
+//                      of a tilt)
+//           states     position, quaternion, velocity and angular velocity
+//                      of every body (13 numbers each), when something moved
+//                      them between steps (a reset, placeOnPlane())
+//           warmStart  the solver's contact cache, when it was replaced
+//           forces     applyForce() input of the step: [index, fx, fy, fz]
+//           The first event (step 0) holds all of them: the initial state.
+//   frames  every body's pose after each step (position and quaternion, 7
+//           numbers per body) in one Float64Array
+// Friction models and heightfield surfaces are not stored, only that one was
+// in use and the friction model's estimator (see requires()); re-simulating
+// takes them from a `context` { frictionModel, surface } built the same way
+// as for the recording. `frictionModel` is a Friction or, for runs that
+// switched estimators, a function estimator → Friction.
+//
+// Files (read back with RunRecording.parse()):
+//   JSON    toJSONString(): { format, version, meta, stepCount, events,
+//           frames }, the frames as base64 of little-endian Float64
+//   binary  toArrayBuffer(): 'RBRN', uint32 version, uint32 header length,
+//           the JSON header without frames (padded to 8 bytes), then the
+//           frames as little-endian Float64
+//
+// verify() re-simulates from the events alone and compares every step's
+// poses with the frames: the first step beyond the tolerance is where the
+// solver (or another browser's Math) diverged from the recorded run.
+// ================================================================
+
+class RunRecording {
+    /**
+     * @param {object} data
+     *   meta       free-form description (created, note, ...)
+     *   events     see header
+     *   frames     poses, Float64Array or array of numbers
+     *   stepCount  steps recorded
+     */
+    constructor({ meta = {}, events = [], frames = [], stepCount = 0 } = {}) {
+        this.meta = meta;
+        this.events = events;
+        this.frames = Float64Array.from(frames);
+        this.stepCount = stepCount;
+        this._index();
+    }
+
+    /**
+     * Read a recording from toJSONString() text or a toArrayBuffer() buffer
+     * (e.g. a file read as an ArrayBuffer, either format).
+     * @param {string|ArrayBuffer} data
+     * @returns {RunRecording}
+     */
+    static parse(data) {
+        if (typeof data !== 'string') {
+            const bytes = new Uint8Array(data);
+            const magic = String.fromCharCode(...bytes.subarray(0, 4));
+            if (magic !== RunRecording.MAGIC) {
+                return RunRecording.parse(new TextDecoder().decode(bytes));
+            }
+            const view = new DataView(bytes.buffer, bytes.byteOffset);
+            const length = view.getUint32(8, true);
+            const header = JSON.parse(
+                new TextDecoder().decode(bytes.subarray(12, 12 + length))
+            );
+            const start = 12 + length + RunRecording._padding(12 + length);
+            return RunRecording._fromHeader(
+                header,
+                RunRecording._readFloat64(bytes.subarray(start))
+            );
+        }
+        const json = JSON.parse(data);
+        if (json.format !== RunRecording.FORMAT) {
+            throw new Error('RunRecording: not a recorded run');
+        }
+        return RunRecording._fromHeader(
+            json,
+            RunRecording._readFloat64(RunRecording._fromBase64(json.frames))
+        );
+    }
+
+    /** @returns {string} JSON with base64 frames */
+    toJSONString() {
+        return JSON.stringify({
+            ...this._header(),
+            frames: RunRecording._toBase64(
+                RunRecording._writeFloat64(this.frames)
+            ),
+        });
+    }
+
+    /** @returns {ArrayBuffer} binary file (see header) */
+    toArrayBuffer() {
+        const header = new TextEncoder().encode(JSON.stringify(this._header()));
+        const start =
+            12 + header.length + RunRecording._padding(12 + header.length);
+        const bytes = new Uint8Array(start + this.frames.length * 8);
+        bytes.set(
+            [...RunRecording.MAGIC].map(c => c.charCodeAt(0)),
+            0
+        );
+        const view = new DataView(bytes.buffer);
+        view.setUint32(4, RunRecording.VERSION, true);
+        view.setUint32(8, header.length, true);
+        bytes.set(header, 12);
+        bytes.set(RunRecording._writeFloat64(this.frames), start);
+        return bytes.buffer;
+    }
+
+    /** Simulated time (s) at the end of step `step` */
+    getTime(step) {
+        return this.steps[step].time;
+    }
+
+    /** Last step ending at or before `time` (0 before the first) */
+    frameAt(time) {
+        let lo = 0,
+            hi = this.stepCount - 1;
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if (this.steps[mid].time <= time) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    /**
+     * Poses of the bodies after step `step` (see steps[step].bodies for what
+     * they are).
+     * @returns {{position:THREE.Vector3, quaternion:THREE.Quaternion}[]}
+     */
+    getPoses(step) {
+        const { offset, bodies } = this.steps[step];
+        return bodies.map((_, i) => {
+            const k = offset + 7 * i;
+            return {
+                position: new THREE.Vector3().fromArray(this.frames, k),
+                quaternion: new THREE.Quaternion().fromArray(
+                    this.frames,
+                    k + 3
+                ),
+            };
+        });
+    }
+
+    /**
+     * Context the run needs to be re-simulated: a friction model (NDF
+     * friction was on, with these estimators) and/or the plane's Surface
+     * (heightfield contact).
+     * @returns {{frictionModel:boolean, estimators:string[], surface:boolean}}
+     */
+    requires() {
+        const needs = { frictionModel: false, estimators: [], surface: false };
+        const useModel = estimator => {
+            needs.frictionModel = true;
+            if (
+                typeof estimator === 'string' &&
+                !needs.estimators.includes(estimator)
+            ) {
+                needs.estimators.push(estimator);
+            }
+        };
+        for (const { params } of this.events) {
+            if (!params) continue;
+            if (params.frictionModel) useModel(params.frictionModel.estimator);
+            if (params.heightfield) needs.surface = true;
+            for (const [, overrides] of params.bodyFriction || []) {
+                if (overrides.frictionModel) useModel(overrides.frictionModel);
+            }
+        }
+        return needs;
+    }
+
+    /**
+     * A sim in the recorded initial state, before its first step (later
+     * events go in with applyEvent()).
+     * @param {object} context - { frictionModel, surface } (see requires())
+     * @returns {RigidBodySimScene}
+     */
+    createSim(context = {}) {
+        const first = this.events[0];
+        const { angle, textureRotation } = first.params.plane;
+        const sim = new RigidBodySimScene(
+            RunRecording.createBody(first.bodies[0]),
+            new Plane(angle, textureRotation)
+        );
+        RunRecording.applyEvent(sim, first, context);
+        return sim;
+    }
+
+    /**
+     * Re-simulate the run from its inputs and compare the poses after every
+     * step with the recorded ones. The divergence is the first step where a
+     * body is off by more than `tolerance` (m, or rad of rotation).
+     * @param {object} context - see createSim()
+     * @param {object} options - tolerance (default 1e-6)
+     * @returns {{steps:number, divergence:object|null,
+     *            maxPositionError:number, maxRotationError:number}}
+     *   divergence: { step, time, body, positionError, rotationError }
+     */
+    verify(context = {}, { tolerance = 1e-6 } = {}) {
+        const sim = this.createSim(context);
+        const result = {
+            steps: 0,
+            divergence: null,
+            maxPositionError: 0,
+            maxRotationError: 0,
+        };
+        let next = 1; // events[0] is applied by createSim()
+        for (let step = 0; step < this.stepCount; step++) {
+            while (
+                next < this.events.length &&
+                this.events[next].step === step
+            ) {
+                RunRecording.applyEvent(sim, this.events[next++], context);
+            }
+            sim.step();
+            result.steps++;
+
+            const recorded = this.getPoses(step);
+            if (recorded.length !== sim.bodies.length) {
+                throw new Error(
+                    `RunRecording: body count differs at step ${step}`
+                );
+            }
+            for (let i = 0; i < recorded.length; i++) {
+                const mesh = sim.bodies[i].getMesh();
+                const positionError = mesh.position.distanceTo(
+                    recorded[i].position
+                );
+                const rotationError = RunRecording._rotationBetween(
+                    mesh.quaternion,
+                    recorded[i].quaternion
+                );
+                result.maxPositionError = Math.max(
+                    result.maxPositionError,
+                    positionError
+                );
+                result.maxRotationError = Math.max(
+                    result.maxRotationError,
+                    rotationError
+                );
+                if (
+                    !result.divergence &&
+                    (positionError > tolerance || rotationError > tolerance)
+                ) {
+                    result.divergence = {
+                        step,
+                        time: this.getTime(step),
+                        body: i,
+                        positionError,
+                        rotationError,
+                    };
+                }
+            }
+            if (result.divergence) break;
+        }
+        return result;
+    }
+
+    // ---------------------------------------------------------------------
+    // Capturing and restoring sim state (used by RunRecorder)
+    // ---------------------------------------------------------------------
+
+    /**
+     * Everything besides the bodies that steers a step, as plain values;
+     * bodies are referred to by their index in sim.bodies.
+     */
+    static captureParams(sim) {
+        const index = body => sim.bodies.indexOf(body);
+        const { plane, heightfield } = sim;
+        return {
+            dt: sim.dt,
+            gravity: sim.gravity.toArray(),
+            restitution: sim.restitution,
+            beta: sim.beta,
+            penetrationSlop: sim.penetrationSlop,
+            linearDamping: sim.linearDamping,
+            angularDamping: sim.angularDamping,
+            gsIterations: sim.gsIterations,
+            warmStartEnabled: sim.warmStartEnabled,
+            maxPreCorrectionContacts: sim.maxPreCorrectionContacts,
+            muS: sim.muS,
+            muK: sim.muK,
+            frictionCone: sim.frictionCone,
+            frictionEllipse: sim.frictionEllipse,
+            frictionModel: sim.frictionModel
+                ? {
+                      scale: sim.frictionModelScale,
+                      staticKinetic: sim.frictionModelStaticKinetic,
+                      estimator: sim.frictionModel.estimator,
+                  }
+                : null,
+            frictionLaw: {
+                type: sim.frictionLaw.type,
+                params: { ...sim.frictionLaw.params },
+            },
+            bodyFriction: [...sim.bodyFriction].map(([body, overrides]) => {
+                const plain = { ...overrides };
+                if ('frictionModel' in plain) {
+                    plain.frictionModel = plain.frictionModel
+                        ? plain.frictionModel.estimator
+                        : null;
+                }
+                return [index(body), plain];
+            }),
+            pairFriction: sim.pairFriction.map(({ a, b, muS, muK }) => ({
+                a: index(a),
+                b: index(b),
+                muS,
+                muK,
+            })),
+            heightfield: heightfield
+                ? {
+                      size: heightfield.size,
+                      heightScale: heightfield.heightScale,
+                      sampleSpacing: heightfield.sampleSpacing,
+                      maxSamples: heightfield.maxSamples,
+                      muS: heightfield.muS,
+                      muK: heightfield.muK,
+                  }
+                : null,
+            plane: {
+                angle: plane.getAngle(),
+                rate: plane.angularRate,
+                textureRotation: plane.getTextureRotation(),
+            },
+        };
+    }
+
+    /** Shape, size, mass, friction and colour of a body (see createBody()) */
+    static describeBody(body) {
+        const description = {
+            type: body.shape,
+            mass: body.getMass(),
+            muS: body.getStaticFriction(),
+            muK: body.getKineticFriction(),
+            color: body.getMesh().material.color.getHex(),
+        };
+        if (body instanceof Cube) {
+            return { ...description, type: 'cube', size: body.size };
+        }
+        switch (body.shape) {
+            case 'box':
+                return {
+                    ...description,
+                    width: body.width,
+                    height: body.height,
+                    depth: body.depth,
+                };
+            case 'sphere':
+                return { ...description, radius: body.radius };
+            case 'cylinder':
+                return {
+                    ...description,
+                    radius: body.radius,
+                    height: body.height,
+                    segments: body.segments,
+                };
+            case 'hull':
+                return {
+                    ...description,
+                    mesh: {
+                        positions: Array.from(body.source.positions),
+                        indices: Array.from(body.source.indices),
+                    },
+                };
+            default:
+                throw new Error(`RunRecording: cannot record a ${body.shape}`);
+        }
+    }
+
+    /** New body (at the origin, at rest) from describeBody() */
+    static createBody(description) {
+        const origin = new THREE.Vector3();
+        const { muS, muK, mass, color } = description;
+        const friction = [muS, muK, mass];
+        let body;
+        switch (description.type) {
+            case 'cube':
+                body = new Cube(origin, description.size, ...friction);
+                break;
+            case 'box':
+                body = new Box(
+                    origin,
+                    description.width,
+                    description.height,
+                    description.depth,
+                    ...friction
+                );
+                break;
+            case 'sphere':
+                body = new Sphere(origin, description.radius, ...friction);
+                break;
+            case 'cylinder':
+                body = new Cylinder(
+                    origin,
+                    description.radius,
+                    description.height,
+                    ...friction,
+                    { segments: description.segments }
+                );
+                break;
+            case 'hull':
+                body = new ConvexHull(
+                    origin,
+                    {
+                        positions: Float32Array.from(
+                            description.mesh.positions
+                        ),
+                        indices: Uint32Array.from(description.mesh.indices),
+                    },
+                    ...friction
+                );
+                break;
+            default:
+                throw new Error(
+                    `RunRecording: unknown body type ${description.type}`
+                );
+        }
+        body.getMesh().material.color.setHex(color);
+        return body;
+    }
+
+    /** Position, quaternion (x, y, z, w), velocity, angular velocity */
+    static captureState(body) {
+        const mesh = body.getMesh();
+        return [
+            ...mesh.position.toArray(),
+            ...mesh.quaternion.toArray(),
+            ...body.velocity.toArray(),
+            ...body.angularVelocity.toArray(),
+        ];
+    }
+
+    static applyState(body, state) {
+        const mesh = body.getMesh();
+        mesh.position.fromArray(state, 0);
+        mesh.quaternion.fromArray(state, 3);
+        body.velocity.fromArray(state, 7);
+        body.angularVelocity.fromArray(state, 10);
+    }
+
+    // The sim's contact cache with bodies as indices (-1: the plane)
+    static captureContactCache(sim) {
+        const index = body => (body ? sim.bodies.indexOf(body) : -1);
+        return sim.getContactCache().map(c => ({
+            ...c,
+            a: index(c.a),
+            b: index(c.b),
+            n: c.n.toArray(),
+            r: c.r.toArray(),
+            point: c.point.toArray(),
+        }));
+    }
+
+    /**
+     * Apply one event's inputs to `sim` before its step: new bodies, then
+     * params, states, the contact cache and forces.
+     */
+    static applyEvent(sim, event, context = {}) {
+        if (event.bodies) {
+            sim.bodies = event.bodies.map(d => RunRecording.createBody(d));
+            sim.cube = sim.bodies[0];
+            sim.externalForces.clear();
+            sim.setContactCache([]);
+        }
+        if (event.params) {
+            RunRecording._applyParams(sim, event.params, context);
+        }
+        if (event.states) {
+            event.states.forEach((state, i) =>
+                RunRecording.applyState(sim.bodies[i], state)
+            );
+        }
+        if (event.warmStart) {
+            const body = i => (i < 0 ? null : sim.bodies[i]);
+            const vector = array => new THREE.Vector3().fromArray(array);
+            sim.setContactCache(
+                event.warmStart.map(c => ({
+                    ...c,
+                    a: body(c.a),
+                    b: body(c.b),
+                    n: vector(c.n),
+                    r: vector(c.r),
+                    point: vector(c.point),
+                }))
+            );
+        }
+        for (const [i, fx, fy, fz] of event.forces || []) {
+            sim.applyForce(new THREE.Vector3(fx, fy, fz), sim.bodies[i]);
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Helpers (private)
+    // ---------------------------------------------------------------------
+
+    static _applyParams(sim, params, context) {
+        const body = i => sim.bodies[i];
+        const model = estimator => {
+            const { frictionModel } = context;
+            const resolved =
+                typeof frictionModel === 'function'
+                    ? frictionModel(estimator)
+                    : frictionModel;
+            if (!resolved) {
+                throw new Error(
+                    'RunRecording: the run used a friction model (context.frictionModel)'
+                );
+            }
+            if (
+                typeof estimator === 'string' &&
+                resolved.estimator !== estimator
+            ) {
+                throw new Error(
+                    `RunRecording: the run used the '${estimator}' friction estimator, the context's model '${resolved.estimator}'`
+                );
+            }
+            return resolved;
+        };
+        for (const [key, value] of Object.entries(params)) {
+            switch (key) {
+                case 'gravity':
+                    sim.gravity.fromArray(value);
+                    break;
+                case 'frictionEllipse':
+                    sim.setFrictionEllipse(value);
+                    break;
+                case 'frictionModel':
+                    if (value) {
+                        sim.setFrictionModel(
+                            model(value.estimator),
+                            value.scale,
+                            value.staticKinetic
+                        );
+                    } else {
+                        sim.setFrictionModel(null);
+                    }
+                    break;
+                case 'frictionLaw':
+                    sim.setFrictionLaw(value.type, value.params);
+                    break;
+                case 'bodyFriction':
+                    sim.bodyFriction = new Map(
+                        value.map(([i, overrides]) => {
+                            const restored = { ...overrides };
+                            if (restored.frictionModel) {
+                                restored.frictionModel = model(
+                                    restored.frictionModel
+                                );
+                            }
+                            return [body(i), restored];
+                        })
+                    );
+                    break;
+                case 'pairFriction':
+                    sim.pairFriction = value.map(p => ({
+                        ...p,
+                        a: body(p.a),
+                        b: body(p.b),
+                    }));
+                    break;
+                case 'heightfield':
+                    if (value && !context.surface) {
+                        throw new Error(
+                            'RunRecording: the run used heightfield contact (context.surface)'
+                        );
+                    }
+                    sim.setHeightfield(
+                        value
+                            ? new HeightfieldCollider(context.surface, value)
+                            : null
+                    );
+                    break;
+                case 'plane':
+                    sim.plane.setAngle(value.angle, value.rate);
+                    if (
+                        sim.plane.getTextureRotation() !== value.textureRotation
+                    ) {
+                        sim.plane.setTextureRotation(value.textureRotation);
+                    }
+                    break;
+                default:
+                    sim[key] = value; // dt, restitution, muS, ...
+            }
+        }
+    }
+
+    // Per step: where its frame starts, the body list (descriptions) and
+    // plane settings in effect, and the simulated time at its end
+    _index() {
+        this.steps = [];
+        let offset = 0,
+            time = 0,
+            bodies = [],
+            plane = null,
+            dt = 0,
+            next = 0;
+        for (let step = 0; step < this.stepCount; step++) {
+            while (
+                next < this.events.length &&
+                this.events[next].step <= step
+            ) {
+                const { bodies: list, params } = this.events[next++];
+                if (list) bodies = list;
+                if (params && params.plane) plane = params.plane;
+                if (params && params.dt) dt = params.dt;
+            }
+            time += dt;
+            this.steps.push({ offset, bodies, plane, time });
+            offset += 7 * bodies.length;
+        }
+    }
+
+    _header() {
+        return {
+            format: RunRecording.FORMAT,
+            version: RunRecording.VERSION,
+            meta: this.meta,
+            stepCount: this.stepCount,
+            events: this.events,
+        };
+    }
+
+    static _fromHeader(header, frames) {
+        if (header.version > RunRecording.VERSION) {
+            throw new Error(
+                `RunRecording: version ${header.version} is newer than this viewer`
+            );
+        }
+        return new RunRecording({
+            meta: header.meta,
+            events: header.events,
+            frames,
+            stepCount: header.stepCount,
+        });
+    }
+
+    // Angle (rad) of the rotation between two unit quaternions, from their
+    // distance |a − b| = 2 sin(θ/4), which unlike acos(a·b) stays exact
+    // for tiny angles
+    static _rotationBetween(a, b) {
+        const sign = a.dot(b) < 0 ? -1 : 1;
+        const distance = Math.hypot(
+            a.x - sign * b.x,
+            a.y - sign * b.y,
+            a.z - sign * b.z,
+            a.w - sign * b.w
+        );
+        return 4 * Math.asin(Math.min(1, distance / 2));
+    }
+
+    static _padding(length) {
+        return (8 - (length % 8)) % 8;
+    }
+
+    static _writeFloat64(values) {
+        const bytes = new Uint8Array(values.length * 8);
+        const view = new DataView(bytes.buffer);
+        values.forEach((v, i) => view.setFloat64(i * 8, v, true));
+        return bytes;
+    }
+
+    static _readFloat64(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset);
+        const values = new Float64Array(Math.floor(bytes.length / 8));
+        for (let i = 0; i < values.length; i++) {
+            values[i] = view.getFloat64(i * 8, true);
+        }
+        return values;
+    }
+
+    static _toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static _fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+RunRecording.FORMAT = 'rigid-body-run';
+RunRecording.VERSION = 1;
+RunRecording.MAGIC = 'RBRN'; // binary files
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunRecording;
+}
@@ -36,15 +36,41 @@ class SceneRenderer {
         this.planetexangle = 0;
         this.cameraControls = null;
         this.rigidBodySim = null;
+        this.blocks = []; // extra bodies simulated with the main one (addBlock)
         this.startingAngle = 15;
 
         // Physics properties
         this.staticFriction = 0.6;
         this.kineticFriction = 0.5;
         this.mass = 5;
+        this.ndfFrictionMode = 'off'; // 'off' | 'profile' | 'ellipse' (see applyFrictionModel)
+        this.frictionFromSurfaces = false; // μs/μk from the NDFs, not the sliders
+        this.ndfEstimator = 'chord'; // Friction estimator of the NDF model
+        this.frictionLaw = { type: 'coulomb', params: {} }; // see friction-laws.js
+        this.tilt = null; // running tilt experiment series (startTiltExperiment)
+        this.pull = null; // running pull test (startPullExperiment)
+        this.frictionModels = {}; // estimator → NDF friction model
+        this.planeSurface = null; // rough Surface of the plane (getPlaneSurface)
+        this.heightfieldContact = false; // collide with the plane's Surface mesh
+        this.heightfieldMesh = null; // its display tile, a child of the plane
+
+        // Fixed-timestep loop (see animate): physicsRate steps per simulated
+        // second, each split into `substeps` solver steps; timeScale
+        // simulated seconds per real second
+        this.physicsRate = 60; // Hz
+        this.substeps = 1;
+        this.timeScale = 1.0;
+        this.maxFrameTime = 0.25; // longest real frame simulated (s)
+        this.accumulator = 0; // simulated time not yet stepped (s)
+        this.lastFrameTime = null; // requestAnimationFrame timestamp (ms)
+        this.previousPoses = null; // mesh poses before the last step
 
         // State properties
-        this.logging = false;
+        this.logging = false; // per-step diagnostics (see toggleLogging)
+        this.diagnosticsLog = null; // DiagnosticsLog of the current sim
+        this.onDiagnostics = null; // (record, log) after every logged step
+        this.recorder = null; // RunRecorder while recording (startRecording)
+        this.replay = null; // recorded run shown instead of the sim (startReplay)
         this.paused = false;
     }
 
@@ -104,6 +130,96 @@ class SceneRenderer {
 
     setupPhysics() {
         this.rigidBodySim = new RigidBodySimScene(this.cube, this.plane);
+        this.rigidBodySim.dt = 1 / (this.physicsRate * this.substeps);
+        for (const block of this.blocks) this.rigidBodySim.addBody(block);
+        this.accumulator = 0;
+        this.previousPoses = null;
+        this.rigidBodySim.setFrictionLaw(
+            this.frictionLaw.type,
+            this.frictionLaw.params
+        );
+        if (this.frictionFromSurfaces || this.ndfFrictionMode !== 'off') {
+            this.applyFrictionModel();
+        }
+        if (this.heightfieldContact) this.setHeightfieldContact(true);
+        this.rigidBodySim.loggingEnabled = this.logging;
+        if (this.diagnosticsLog) {
+            this.diagnosticsLog = new DiagnosticsLog(this.rigidBodySim);
+        }
+        if (this.recorder) this.recorder.setSim(this.rigidBodySim);
+    }
+
+    // Build the NDF friction model once (plane stripes vs. the cube's stripes,
+    // which run at 90° to them) and hand it to the solver, which rescales it
+    // to the kinetic slider value (see RigidBodySimScene.useNdfFriction), or
+    // with frictionFromSurfaces takes μs/μk from it as they are
+    // (RigidBodySimScene.useSurfaceFriction). The estimator is chosen in the
+    // UI (setNdfEstimator): the default chord overlap misses the off-chord
+    // facets of crossed stripes, so its absolute μ is far lower than the 2D
+    // overlap's; rescaled to the slider the shapes are alike.
+    applyFrictionModel() {
+        const model = this.getFrictionModel();
+        if (this.frictionFromSurfaces) {
+            return this.rigidBodySim.useSurfaceFriction(
+                model,
+                this.ndfFrictionMode
+            );
+        }
+        this.rigidBodySim.muS = this.staticFriction;
+        this.rigidBodySim.muK = this.kineticFriction;
+        this.rigidBodySim.useNdfFriction(model, this.ndfFrictionMode);
+        return { muS: this.staticFriction, muK: this.kineticFriction };
+    }
+
+    // NDF friction model for an estimator (default: the selected one), built
+    // on first use
+    getFrictionModel(estimator = this.ndfEstimator) {
+        if (!this.frictionModels[estimator]) {
+            const cubeSurface = new Surface(
+                1.5,
+                25,
+                0.5,
+                Math.PI / 2,
+                500,
+                500,
+                50
+            );
+            this.frictionModels[estimator] = Friction.fromSurfaces(
+                this.getPlaneSurface(),
+                cubeSurface,
+                { estimator }
+            );
+        }
+        return this.frictionModels[estimator];
+    }
+
+    // Stripes of the plane as a rough surface, shared by the NDF friction
+    // model and the heightfield collider
+    getPlaneSurface() {
+        if (!this.planeSurface) {
+            this.planeSurface = new Surface(1.5, 25, 0.5, 0, 500, 500, 50);
+        }
+        return this.planeSurface;
+    }
+
+    // Collide with the plane's Surface heightfield (mesh-level friction from
+    // the sliders) instead of the ideal plane, showing one tile of it on the
+    // plane (see HeightfieldCollider)
+    setHeightfieldContact(enabled) {
+        this.heightfieldContact = enabled;
+        if (this.heightfieldMesh) {
+            this.heightfieldMesh.parent.remove(this.heightfieldMesh);
+            this.heightfieldMesh = null;
+        }
+        if (!this.rigidBodySim) return;
+        if (!enabled) {
+            this.rigidBodySim.setHeightfield(null);
+            return;
+        }
+        const collider = new HeightfieldCollider(this.getPlaneSurface());
+        this.rigidBodySim.setHeightfield(collider);
+        this.heightfieldMesh = collider.createMesh();
+        this.plane.getMesh().add(this.heightfieldMesh);
     }
 
     // ================================================================
@@ -117,6 +233,82 @@ class SceneRenderer {
         this.scene.add(planeMesh);
     }
 
+    // Drop another body 2 m above the highest one (stacking, pushing and
+    // side-by-side runs); it uses the current slider friction and mass.
+    // shape: 'cube', 'box', 'sphere', 'cylinder' or 'hull' (needs `mesh`,
+    // see MeshLoader; it is scaled to the cube's size)
+    addBlock(shape = 'cube', mesh = null) {
+        const friction = [this.staticFriction, this.kineticFriction, this.mass];
+        const origin = new THREE.Vector3();
+        let block;
+        switch (shape) {
+            case 'box':
+                block = new Box(origin, 6, 2, 3, ...friction);
+                break;
+            case 'sphere':
+                block = new Sphere(origin, 2, ...friction);
+                break;
+            case 'cylinder':
+                block = new Cylinder(origin, 1.5, 3, ...friction);
+                break;
+            case 'hull':
+                block = new ConvexHull(
+                    origin,
+                    this._scaleMesh(mesh, 4),
+                    ...friction
+                );
+                break;
+            default:
+                block = new Cube(origin, 4, ...friction);
+        }
+
+        const up = new THREE.Vector3(0, 1, 0);
+        const top = Math.max(
+            ...this.rigidBodySim.bodies.map(
+                body => body.getPosition().y + this._extentAlong(body, up)
+            )
+        );
+        block.setPosition(
+            new THREE.Vector3(0, top + 2 + this._extentAlong(block, up), 0)
+        );
+
+        const colors = [0xff8800, 0x4488ff, 0xff44aa, 0xffee00];
+        block
+            .getMesh()
+            .material.color.setHex(colors[this.blocks.length % colors.length]);
+        this.scene.add(block.getMesh());
+        this.blocks.push(block);
+        this.rigidBodySim.addBody(block);
+        return block;
+    }
+
+    // How far `body` reaches from its centre along the world direction `dir`
+    _extentAlong(body, dir) {
+        const local = dir
+            .clone()
+            .applyQuaternion(body.getMesh().quaternion.clone().invert());
+        return body.support(local).dot(local);
+    }
+
+    // Copy of a mesh scaled so its largest bounding-box side is `size`
+    _scaleMesh(mesh, size) {
+        const box = new THREE.Box3().setFromArray(mesh.positions);
+        const extent = box.getSize(new THREE.Vector3());
+        const scale = size / Math.max(extent.x, extent.y, extent.z);
+        return {
+            positions: mesh.positions.map(x => x * scale),
+            indices: mesh.indices,
+        };
+    }
+
+    clearBlocks() {
+        for (const block of this.blocks) {
+            this.scene.remove(block.getMesh());
+            if (this.rigidBodySim) this.rigidBodySim.removeBody(block);
+        }
+        this.blocks = [];
+    }
+
     addCube(staticFriction, kineticFriction) {
         const startingPosition = new THREE.Vector3(-5, 10, 0);
         const size = 4;
@@ -136,13 +328,119 @@ class SceneRenderer {
     // RENDER AND ANIMATION METHODS
     // ================================================================
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    // Fixed-timestep accumulator: each frame adds the elapsed real time
+    // (times timeScale, capped at maxFrameTime so a background tab or a
+    // stall does not replay seconds at once) and runs as many physics steps
+    // as fit, so the simulated speed does not depend on the display's frame
+    // rate. The meshes are drawn between the last two steps' poses.
+    animate(timestamp) {
+        requestAnimationFrame(time => this.animate(time));
 
+        const elapsed =
+            timestamp !== undefined && this.lastFrameTime !== null
+                ? (timestamp - this.lastFrameTime) / 1000
+                : 0;
+        this.lastFrameTime = timestamp ?? null;
+
+        if (this.replay) {
+            this.advanceReplay(Math.min(elapsed, this.maxFrameTime));
+            this.renderInterpolated(0);
+            return;
+        }
+
+        const stepTime = 1 / this.physicsRate;
         if (!this.paused) {
-            this.rigidBodySim.step();
+            this.accumulator +=
+                Math.min(elapsed, this.maxFrameTime) * this.timeScale;
+            while (this.accumulator >= stepTime) {
+                this.physicsStep();
+                this.accumulator -= stepTime;
+            }
+        }
+        this.renderInterpolated(this.accumulator / stepTime);
+    }
+
+    // One fixed step (substeps solver steps) of the sim or a running
+    // experiment
+    physicsStep() {
+        this.previousPoses = this._meshPoses();
+        for (let i = 0; i < this.substeps; i++) {
+            if (this.tilt) {
+                this.stepTiltExperiment();
+            } else if (this.pull) {
+                this.stepPullExperiment();
+            } else {
+                this.rigidBodySim.step();
+            }
+            if (this.logging) this._recordDiagnostics();
+        }
+    }
+
+    _recordDiagnostics() {
+        const record = this.diagnosticsLog.record();
+        if (record && this.onDiagnostics) {
+            this.onDiagnostics(record, this.diagnosticsLog);
+        }
+    }
+
+    // Single step while paused, drawn at the new pose
+    stepOnce() {
+        if (!this.paused) return;
+        this.physicsStep();
+        this.accumulator = 0;
+        this.previousPoses = null;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = scale;
+    }
+
+    setPhysicsRate(rate, substeps = this.substeps) {
+        this.physicsRate = rate;
+        this.substeps = Math.max(1, Math.round(substeps));
+        if (this.rigidBodySim) {
+            this.rigidBodySim.dt = 1 / (this.physicsRate * this.substeps);
+        }
+        this.accumulator = 0;
+        this.previousPoses = null;
+    }
+
+    // Render with the cube and plane at alpha ∈ [0, 1) between the previous
+    // and the current step, then restore the current (simulated) poses
+    renderInterpolated(alpha) {
+        if (this.heightfieldMesh) {
+            this.heightfieldMesh.rotation.z =
+                (this.plane.getTextureRotation() * Math.PI) / 180;
+        }
+        const current = this.previousPoses ? this._meshPoses() : null;
+        if (current) {
+            current.forEach(({ mesh, position, quaternion }, i) => {
+                const previous = this.previousPoses[i];
+                if (!previous || previous.mesh !== mesh) return;
+                mesh.position.lerpVectors(previous.position, position, alpha);
+                mesh.quaternion
+                    .copy(previous.quaternion)
+                    .slerp(quaternion, alpha);
+            });
         }
         this.renderer.render(this.scene, this.camera);
+        if (current) {
+            for (const { mesh, position, quaternion } of current) {
+                mesh.position.copy(position);
+                mesh.quaternion.copy(quaternion);
+            }
+        }
+    }
+
+    _meshPoses() {
+        return [...this.rigidBodySim.bodies, this.plane].map(object => {
+            const mesh = object.getMesh();
+            return {
+                mesh,
+                position: mesh.position.clone(),
+                quaternion: mesh.quaternion.clone(),
+            };
+        });
     }
 
     onWindowResize() {
@@ -166,11 +464,259 @@ class SceneRenderer {
         return this.paused;
     }
 
-    toggleLogging() {
+    // Per-step energy and contact diagnostics into a fresh DiagnosticsLog
+    // (kept for export after logging stops); onRecord(record, log) runs after
+    // every logged step
+    toggleLogging(onRecord = null) {
         this.logging = !this.logging;
+        this.rigidBodySim.loggingEnabled = this.logging;
+        if (this.logging) {
+            this.diagnosticsLog = new DiagnosticsLog(this.rigidBodySim);
+            this.onDiagnostics = onRecord;
+        }
         return this.logging;
     }
 
+    // Cycle Off → Profile → Ellipse
+    cycleNdfFriction() {
+        const modes = ['off', 'profile', 'ellipse'];
+        this.ndfFrictionMode =
+            modes[(modes.indexOf(this.ndfFrictionMode) + 1) % modes.length];
+        if (this.rigidBodySim) {
+            this.applyFrictionModel();
+        }
+        return this.ndfFrictionMode;
+    }
+
+    // Estimator of the NDF friction model (Friction.ESTIMATORS); returns the
+    // coefficients now in use, like setFrictionFromSurfaces()
+    setNdfEstimator(estimator) {
+        this.ndfEstimator = estimator;
+        if (
+            !this.rigidBodySim ||
+            (!this.frictionFromSurfaces && this.ndfFrictionMode === 'off')
+        ) {
+            return { muS: this.staticFriction, muK: this.kineticFriction };
+        }
+        return this.applyFrictionModel();
+    }
+
+    // Toggle μs/μk from the surfaces; returns the coefficients now in use
+    setFrictionFromSurfaces(enabled) {
+        this.frictionFromSurfaces = enabled;
+        if (!this.rigidBodySim) {
+            return { muS: this.staticFriction, muK: this.kineticFriction };
+        }
+        return this.applyFrictionModel();
+    }
+
+    // Friction law and its parameters; applies immediately (no reset needed)
+    setFrictionLaw(type, params = {}) {
+        this.frictionLaw = { type, params: { ...params } };
+        if (this.rigidBodySim) {
+            this.rigidBodySim.setFrictionLaw(type, params);
+        }
+    }
+
+    // Tilt experiments at each texture rotation in turn, one sim step per
+    // frame; onResult(result, results) after each run, onDone(results) at
+    // the end (see TiltExperiment)
+    startTiltExperiment(rotations, rate, { onResult, onDone } = {}) {
+        this.pull = null;
+        this.tilt = {
+            rotations: rotations.slice(),
+            rate,
+            results: [],
+            experiment: null,
+            onResult,
+            onDone,
+        };
+        this._nextTiltRun();
+    }
+
+    stopTiltExperiment() {
+        this.tilt = null;
+        this.plane.setAngle(this.plane.getAngle(), 0); // stop tilting
+    }
+
+    stepTiltExperiment() {
+        const tilt = this.tilt;
+        if (!tilt.experiment.step()) return;
+        tilt.results.push(tilt.experiment.result);
+        if (tilt.onResult) tilt.onResult(tilt.experiment.result, tilt.results);
+        this._nextTiltRun();
+    }
+
+    _nextTiltRun() {
+        const tilt = this.tilt;
+        if (!tilt.rotations.length) {
+            this.tilt = null;
+            if (tilt.onDone) tilt.onDone(tilt.results);
+            return;
+        }
+        const rotation = tilt.rotations.shift();
+        this.planetexangle = rotation;
+        this.plane.setTextureRotation(rotation);
+        tilt.experiment = new TiltExperiment(this.rigidBodySim, {
+            rate: tilt.rate,
+        });
+    }
+
+    // Spring-driven pull test on the flat plane, one sim step per frame;
+    // onStep(experiment) after each step, onDone(experiment) at the end
+    // (see PullExperiment)
+    startPullExperiment(options, { onStep, onDone } = {}) {
+        this.tilt = null;
+        this.pull = {
+            experiment: new PullExperiment(this.rigidBodySim, options),
+            onStep,
+            onDone,
+        };
+    }
+
+    stopPullExperiment() {
+        this.pull = null;
+    }
+
+    stepPullExperiment() {
+        const { experiment, onStep, onDone } = this.pull;
+        const done = experiment.step();
+        if (onStep) onStep(experiment);
+        if (!done) return;
+        this.pull = null;
+        if (onDone) onDone(experiment);
+    }
+
+    // ================================================================
+    // RECORD AND REPLAY
+    // ================================================================
+
+    // Record every sim step from now on, across scene resets (RunRecorder)
+    startRecording(meta = {}) {
+        this.recorder = new RunRecorder(this.rigidBodySim, meta);
+    }
+
+    // Stop recording; the RunRecording, or null if no step was taken
+    stopRecording() {
+        const recording = this.recorder.stop();
+        this.recorder = null;
+        return recording.stepCount ? recording : null;
+    }
+
+    // What re-simulating `recording` needs from the scene (see
+    // RunRecording.requires); the friction model is built only if used
+    getReplayContext(recording) {
+        const needs = recording.requires();
+        return {
+            frictionModel: needs.frictionModel
+                ? estimator => this.getFrictionModel(estimator)
+                : null,
+            surface: needs.surface ? this.getPlaneSurface() : null,
+        };
+    }
+
+    // Show a recording in place of the sim, which stays frozen and hidden
+    // until stopReplay(); onFrame(frame, replay) after each frame shown
+    startReplay(recording, onFrame = null) {
+        if (this.replay) this.stopReplay();
+        const hidden = this.rigidBodySim.bodies.map(body => body.getMesh());
+        for (const mesh of hidden) mesh.visible = false;
+        this.replay = {
+            recording,
+            frame: 0,
+            time: 0, // simulated seconds into the recording
+            speed: 1,
+            playing: false,
+            hidden,
+            plane: {
+                angle: this.plane.getAngle(),
+                rate: this.plane.angularRate,
+                textureRotation: this.plane.getTextureRotation(),
+            },
+            bodies: new Map(), // recorded body list → bodies shown for it
+            shown: null,
+            onFrame,
+        };
+        this.previousPoses = null;
+        this.showReplayFrame(0);
+    }
+
+    stopReplay() {
+        const replay = this.replay;
+        if (!replay) return;
+        for (const body of replay.shown || []) {
+            this.scene.remove(body.getMesh());
+        }
+        for (const mesh of replay.hidden) mesh.visible = true;
+        const { angle, rate, textureRotation } = replay.plane;
+        this.plane.setAngle(angle, rate);
+        if (this.plane.getTextureRotation() !== textureRotation) {
+            this.plane.setTextureRotation(textureRotation);
+        }
+        this.replay = null;
+        this.accumulator = 0;
+    }
+
+    // Play or pause (from the start again once at the end); returns playing
+    toggleReplayPlayback() {
+        const replay = this.replay;
+        replay.playing = !replay.playing;
+        if (replay.playing && replay.frame >= replay.recording.stepCount - 1) {
+            this.seekReplay(0);
+        }
+        return replay.playing;
+    }
+
+    // Jump to a step of the recording (scrubber, frame stepping)
+    seekReplay(frame) {
+        const { recording } = this.replay;
+        const step = THREE.MathUtils.clamp(
+            Math.round(frame),
+            0,
+            recording.stepCount - 1
+        );
+        this.replay.time = recording.getTime(step);
+        this.showReplayFrame(step);
+    }
+
+    // Move through the recording by `seconds` of real time times the speed
+    advanceReplay(seconds) {
+        const replay = this.replay;
+        if (!replay.playing) return;
+        replay.time += seconds * replay.speed;
+        const frame = replay.recording.frameAt(replay.time);
+        if (frame >= replay.recording.stepCount - 1) replay.playing = false;
+        if (frame !== replay.frame) this.showReplayFrame(frame);
+    }
+
+    showReplayFrame(frame) {
+        const replay = this.replay;
+        const { recording } = replay;
+        const { bodies: descriptions, plane } = recording.steps[frame];
+        let bodies = replay.bodies.get(descriptions);
+        if (!bodies) {
+            bodies = descriptions.map(d => RunRecording.createBody(d));
+            replay.bodies.set(descriptions, bodies);
+        }
+        if (bodies !== replay.shown) {
+            for (const body of replay.shown || []) {
+                this.scene.remove(body.getMesh());
+            }
+            for (const body of bodies) this.scene.add(body.getMesh());
+            replay.shown = bodies;
+        }
+        recording.getPoses(frame).forEach(({ position, quaternion }, i) => {
+            bodies[i].getMesh().position.copy(position);
+            bodies[i].getMesh().quaternion.copy(quaternion);
+        });
+        this.plane.setAngle(plane.angle, 0);
+        if (this.plane.getTextureRotation() !== plane.textureRotation) {
+            this.plane.setTextureRotation(plane.textureRotation);
+        }
+        replay.frame = frame;
+        if (replay.onFrame) replay.onFrame(frame, replay);
+    }
+
     updateFrictionValues(staticFriction, kineticFriction) {
         this.staticFriction = staticFriction;
         this.kineticFriction = kineticFriction;
@@ -206,6 +752,7 @@ let isVisible = false;
 function resetScene(angle) {
     sceneRenderer.startingAngle = angle;
     if (sceneRenderer) {
+        sceneRenderer.clearBlocks();
         if (sceneRenderer.cube && sceneRenderer.cube.getMesh()) {
             sceneRenderer.scene.remove(sceneRenderer.cube.getMesh());
         }
@@ -256,10 +803,7 @@ function resetScene(angle) {
             );
         }
     }
-    sceneRenderer.rigidBodySim = new RigidBodySimScene(
-        sceneRenderer.cube,
-        sceneRenderer.plane
-    );
+    sceneRenderer.setupPhysics();
 }
 
 // ================================================================
@@ -295,23 +839,174 @@ if (pauseBtn) {
     });
 }
 
+const stepBtn = document.getElementById('stepBtn');
+if (stepBtn) {
+    stepBtn.addEventListener('click', () => {
+        if (sceneRenderer) {
+            sceneRenderer.stepOnce();
+        }
+    });
+}
+
+const timeScaleSelect = document.getElementById('timeScaleSelect');
+if (timeScaleSelect) {
+    timeScaleSelect.addEventListener('change', e => {
+        if (sceneRenderer) {
+            sceneRenderer.setTimeScale(parseFloat(e.target.value));
+        }
+    });
+}
+
+const physicsRateSelect = document.getElementById('physicsRateSelect');
+const substepsInput = document.getElementById('substepsInput');
+if (physicsRateSelect && substepsInput) {
+    const applyPhysicsRate = () => {
+        const rate = parseFloat(physicsRateSelect.value);
+        const substeps = parseInt(substepsInput.value, 10);
+        if (sceneRenderer && rate > 0 && substeps >= 1) {
+            sceneRenderer.setPhysicsRate(rate, substeps);
+        }
+    };
+    physicsRateSelect.addEventListener('change', applyPhysicsRate);
+    substepsInput.addEventListener('change', applyPhysicsRate);
+}
+
+// Logging: live energy chart, solver anomaly count, CSV export
 const toggleLoggingBtn = document.getElementById('toggleLoggingBtn');
+const diagnosticsControls = document.getElementById('diagnosticsControls');
+const diagnosticsStatus = document.getElementById('diagnosticsStatus');
+
+function plotDiagnostics(log) {
+    const chart = document.getElementById('diagnosticsChart');
+    if (typeof Plotly === 'undefined' || !chart) return;
+    chart.style.display = 'block';
+    const { records } = log;
+    const time = records.map(r => r.time);
+    const line = (name, values, color, dash = 'solid') => ({
+        type: 'scatter',
+        mode: 'lines',
+        name,
+        x: time,
+        y: values,
+        line: { color, width: 1, dash },
+    });
+    // Dissipation summed from the first record still in the buffer
+    const cumulative = key => {
+        let sum = 0;
+        return records.map(r => (sum += r[key]));
+    };
+    const anomalies = records.filter(r => r.anomaly);
+    Plotly.react(
+        chart,
+        [
+            line(
+                'total',
+                records.map(r => r.total),
+                '#ffffff'
+            ),
+            line(
+                'kinetic',
+                records.map(r => r.kinetic),
+                '#4caf50'
+            ),
+            line(
+                'rotational',
+                records.map(r => r.rotational),
+                '#2196f3'
+            ),
+            line(
+                'potential',
+                records.map(r => r.potential),
+                '#9c27b0'
+            ),
+            line('friction loss', cumulative('friction'), '#ff9800', 'dot'),
+            line('Baumgarte', cumulative('baumgarte'), '#f44336', 'dot'),
+            {
+                type: 'scatter',
+                mode: 'markers',
+                name: 'energy gain',
+                x: anomalies.map(r => r.time),
+                y: anomalies.map(r => r.total),
+                text: anomalies.map(r => `+${r.energyGain.toFixed(3)} J`),
+                hovertemplate: '%{x:.2f} s: %{text}<extra></extra>',
+                marker: { color: '#f44336', size: 6, symbol: 'x' },
+            },
+        ],
+        {
+            title: { text: 'Energy', font: { size: 12 } },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            font: { color: '#fff', size: 10 },
+            margin: { l: 45, r: 15, t: 40, b: 35 },
+            xaxis: { title: { text: 't (s)' }, gridcolor: '#555' },
+            yaxis: { title: { text: 'E (J)' }, gridcolor: '#555' },
+            legend: { orientation: 'h', y: -0.2, font: { size: 9 } },
+        },
+        { displayModeBar: false }
+    );
+}
+
+function onDiagnostics(record, log) {
+    if (log.records.length % 10 !== 0 && !record.anomaly) return;
+    plotDiagnostics(log);
+    if (diagnosticsStatus) {
+        diagnosticsStatus.textContent =
+            `${record.contactCount} contacts (${record.sticking} stick), ` +
+            `depth ${record.maxDepth.toFixed(4)} · ` +
+            `${log.anomalies.length} energy gain anomalies`;
+    }
+}
+
+const exportButtons = [
+    ['diagnosticsExportBtn', log => log.toCSV(), 'energy-log.csv'],
+    ['contactsExportBtn', log => log.toContactsCSV(), 'contact-log.csv'],
+];
+for (const [id, toCSV, filename] of exportButtons) {
+    const button = document.getElementById(id);
+    if (!button) continue;
+    button.addEventListener('click', () => {
+        const log = sceneRenderer && sceneRenderer.diagnosticsLog;
+        if (!log) return;
+        SurfaceExporter.download(toCSV(log), filename, 'text/csv');
+    });
+}
+
 if (toggleLoggingBtn) {
     toggleLoggingBtn.addEventListener('click', () => {
         if (sceneRenderer && sceneRenderer.rigidBodySim) {
-            const isLogging = sceneRenderer.toggleLogging();
+            const isLogging = sceneRenderer.toggleLogging(onDiagnostics);
             toggleLoggingBtn.textContent = isLogging
                 ? 'Logging (On)'
                 : 'Logging (Off)';
             toggleLoggingBtn.style.backgroundColor = isLogging
                 ? '#4caf50'
                 : '#888';
+            if (diagnosticsControls) {
+                diagnosticsControls.style.display = 'block';
+            }
         }
     });
 }
 
 // Physics Control Panel Events
 
+const ndfFrictionBtn = document.getElementById('ndfFrictionBtn');
+if (ndfFrictionBtn) {
+    ndfFrictionBtn.addEventListener('click', () => {
+        if (sceneRenderer) {
+            const mode = sceneRenderer.cycleNdfFriction();
+            const labels = {
+                off: 'Off',
+                profile: 'Profile',
+                ellipse: 'Ellipse',
+            };
+            ndfFrictionBtn.textContent = `NDF Friction (${labels[mode]})`;
+            ndfFrictionBtn.style.backgroundColor =
+                mode === 'off' ? '#888' : '#4caf50';
+        }
+    });
+}
+
 const resetSceneBtn = document.getElementById('resetSceneBtn');
 const angleSelect = document.getElementById('angleSelect');
 
@@ -322,6 +1017,120 @@ if (resetSceneBtn && angleSelect) {
     });
 }
 
+const addBlockBtn = document.getElementById('addBlockBtn');
+const clearBlocksBtn = document.getElementById('clearBlocksBtn');
+const blockShapeSelect = document.getElementById('blockShapeSelect');
+const blockMeshInput = document.getElementById('blockMeshInput');
+const blockStatus = document.getElementById('blockStatus');
+if (addBlockBtn && clearBlocksBtn && blockShapeSelect && blockMeshInput) {
+    let blockMesh = null; // last loaded OBJ/STL (MeshLoader format)
+
+    blockShapeSelect.addEventListener('change', () => {
+        blockMeshInput.style.display =
+            blockShapeSelect.value === 'hull' ? '' : 'none';
+    });
+    blockMeshInput.addEventListener('change', async () => {
+        const file = blockMeshInput.files[0];
+        if (!file) return;
+        try {
+            blockMesh = await MeshLoader.load(file);
+            blockStatus.textContent = `${file.name}: ${
+                blockMesh.indices.length / 3
+            } triangles`;
+        } catch (error) {
+            blockMesh = null;
+            blockStatus.textContent = error.message;
+        }
+    });
+    addBlockBtn.addEventListener('click', () => {
+        if (!sceneRenderer || !sceneRenderer.rigidBodySim) return;
+        const shape = blockShapeSelect.value;
+        if (shape === 'hull' && !blockMesh) {
+            blockStatus.textContent = 'Load an OBJ or STL mesh first';
+            return;
+        }
+        try {
+            sceneRenderer.addBlock(shape, blockMesh);
+        } catch (error) {
+            blockStatus.textContent = error.message; // e.g. not convex
+        }
+    });
+    clearBlocksBtn.addEventListener('click', () => {
+        if (sceneRenderer) {
+            sceneRenderer.clearBlocks();
+        }
+    });
+}
+
+const surfaceFrictionToggle = document.getElementById('surfaceFrictionToggle');
+const surfaceFrictionValue = document.getElementById('surfaceFrictionValue');
+const ndfEstimatorSelect = document.getElementById('ndfEstimatorSelect');
+if (surfaceFrictionToggle && surfaceFrictionValue) {
+    const showSurfaceFriction = ({ muS, muK }) => {
+        surfaceFrictionValue.textContent = surfaceFrictionToggle.checked
+            ? `μₛ ${muS.toFixed(2)} · μₖ ${muK.toFixed(2)}`
+            : '';
+    };
+    surfaceFrictionToggle.addEventListener('change', () => {
+        if (!sceneRenderer) return;
+        showSurfaceFriction(
+            sceneRenderer.setFrictionFromSurfaces(surfaceFrictionToggle.checked)
+        );
+    });
+    if (ndfEstimatorSelect) {
+        ndfEstimatorSelect.addEventListener('change', () => {
+            if (!sceneRenderer) return;
+            showSurfaceFriction(
+                sceneRenderer.setNdfEstimator(ndfEstimatorSelect.value)
+            );
+        });
+    }
+}
+
+const heightfieldToggle = document.getElementById('heightfieldToggle');
+if (heightfieldToggle) {
+    heightfieldToggle.addEventListener('change', () => {
+        if (sceneRenderer) {
+            sceneRenderer.setHeightfieldContact(heightfieldToggle.checked);
+        }
+    });
+}
+
+// Friction law: one number input per parameter of the selected law
+const frictionLawSelect = document.getElementById('frictionLawSelect');
+const frictionLawParams = document.getElementById('frictionLawParams');
+
+function buildFrictionLawControls() {
+    const type = frictionLawSelect.value;
+    const params = {};
+    frictionLawParams.innerHTML = '';
+    for (const { key, label, value } of FrictionLaw.TYPES[type].PARAMS) {
+        params[key] = value;
+        const row = document.createElement('label');
+        row.className = 'slider-container';
+        row.textContent = label + ' ';
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.value = value;
+        input.step = 'any';
+        input.style.width = '80px';
+        input.addEventListener('change', () => {
+            const parsed = parseFloat(input.value);
+            if (!isFinite(parsed)) return;
+            params[key] = parsed;
+            if (sceneRenderer) sceneRenderer.setFrictionLaw(type, params);
+        });
+        row.appendChild(input);
+        frictionLawParams.appendChild(row);
+    }
+    if (sceneRenderer) sceneRenderer.setFrictionLaw(type, params);
+}
+
+if (frictionLawSelect && frictionLawParams) {
+    frictionLawSelect.addEventListener('change', buildFrictionLawControls);
+    buildFrictionLawControls();
+}
+
 // Friction Controls
 const staticFrictionSlider = document.getElementById('staticFrictionSlider');
 const staticFrictionValue = document.getElementById('staticFrictionValue');
@@ -362,6 +1171,360 @@ if (kineticFrictionSlider && kineticFrictionValue) {
     ).toFixed(2);
 }
 
+// Tilt Experiment: breakaway angle per texture rotation, as a polar chart
+const tiltExperimentBtn = document.getElementById('tiltExperimentBtn');
+const tiltExperimentStatus = document.getElementById('tiltExperimentStatus');
+
+// With heightfield contact, the NDF prediction for the same sliding
+// directions, scaled to the measured mean (see TiltExperiment.compareWithModel)
+function plotTiltResults(results, comparison = null) {
+    const chart = document.getElementById('experimentChart');
+    if (typeof Plotly === 'undefined' || !chart) return;
+    chart.style.display = 'block';
+    const slid = results.filter(r => r.breakawayAngle !== null);
+    const toDegrees = mu => (Math.atan(mu) * 180) / Math.PI;
+    const prediction = comparison
+        ? [
+              {
+                  type: 'scatterpolar',
+                  mode: 'lines',
+                  r: comparison.rows.map(row =>
+                      toDegrees(row.predicted * comparison.scale)
+                  ),
+                  theta: comparison.rows.map(row => row.textureRotation),
+                  hovertemplate: 'NDF: %{r:.1f}°<extra></extra>',
+                  line: { color: '#ff9800', dash: 'dot' },
+              },
+          ]
+        : [];
+    Plotly.newPlot(
+        chart,
+        [
+            ...prediction,
+            {
+                type: 'scatterpolar',
+                mode: 'lines+markers',
+                r: slid.map(r => r.breakawayAngle),
+                theta: slid.map(r => r.textureRotation),
+                text: slid.map(r => `μs = ${r.muS.toFixed(3)}`),
+                hovertemplate: '%{theta}°: %{r:.1f}° (%{text})<extra></extra>',
+                line: { color: '#4caf50' },
+            },
+        ],
+        {
+            title: { text: 'Breakaway angle', font: { size: 12 } },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            font: { color: '#fff', size: 10 },
+            margin: { l: 30, r: 30, t: 40, b: 20 },
+            polar: {
+                bgcolor: 'rgba(0,0,0,0)',
+                radialaxis: { ticksuffix: '°', gridcolor: '#555' },
+                angularaxis: { ticksuffix: '°', gridcolor: '#555' },
+            },
+            showlegend: false,
+        },
+        { displayModeBar: false }
+    );
+}
+
+if (tiltExperimentBtn && tiltExperimentStatus) {
+    tiltExperimentBtn.addEventListener('click', () => {
+        if (!sceneRenderer) return;
+        if (sceneRenderer.tilt) {
+            sceneRenderer.stopTiltExperiment();
+            tiltExperimentBtn.textContent = 'Run Tilt Experiment';
+            tiltExperimentStatus.textContent = 'Stopped';
+            return;
+        }
+        const rate = parseFloat(document.getElementById('tiltRateInput').value);
+        const step = parseFloat(
+            document.getElementById('tiltRotationStep').value
+        );
+        if (!(rate > 0) || !(step > 0)) return;
+        const rotations = [];
+        for (let r = 0; r < 360; r += step) rotations.push(r);
+
+        resetPullButton();
+        tiltExperimentBtn.textContent = 'Stop Tilt Experiment';
+        tiltExperimentStatus.textContent = `0 / ${rotations.length}`;
+        sceneRenderer.startTiltExperiment(rotations, rate, {
+            onResult: (result, results) => {
+                const angle =
+                    result.breakawayAngle === null
+                        ? 'no slip'
+                        : `${result.breakawayAngle.toFixed(1)}° ` +
+                          `(μs ${result.muS.toFixed(2)})`;
+                tiltExperimentStatus.textContent =
+                    `${results.length} / ${rotations.length}: ` +
+                    `${result.textureRotation}° → ${angle}`;
+                const comparison =
+                    sceneRenderer.heightfieldContact &&
+                    results.some(r => r.muS !== null)
+                        ? TiltExperiment.compareWithModel(
+                              results,
+                              sceneRenderer.getFrictionModel()
+                          )
+                        : null;
+                if (comparison) {
+                    tiltExperimentStatus.textContent += ` · NDF shape r=${comparison.correlation.toFixed(2)}`;
+                }
+                plotTiltResults(results, comparison);
+            },
+            onDone: () => {
+                tiltExperimentBtn.textContent = 'Run Tilt Experiment';
+            },
+        });
+    });
+}
+
+// Pull Test: spring-driven sled, live force trace, CSV export
+const pullExperimentBtn = document.getElementById('pullExperimentBtn');
+const pullExportBtn = document.getElementById('pullExportBtn');
+const pullExperimentStatus = document.getElementById('pullExperimentStatus');
+let lastPullExperiment = null;
+
+function resetPullButton() {
+    if (pullExperimentBtn) pullExperimentBtn.textContent = 'Run Pull Test';
+}
+
+function plotPullTrace(experiment) {
+    const chart = document.getElementById('experimentChart');
+    if (typeof Plotly === 'undefined' || !chart) return;
+    chart.style.display = 'block';
+    const { samples } = experiment;
+    Plotly.react(
+        chart,
+        [
+            {
+                type: 'scatter',
+                mode: 'lines',
+                x: samples.map(s => s.time),
+                y: samples.map(s => s.force),
+                line: { color: '#4caf50', width: 1 },
+            },
+        ],
+        {
+            title: { text: 'Pull force', font: { size: 12 } },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            font: { color: '#fff', size: 10 },
+            margin: { l: 40, r: 15, t: 40, b: 35 },
+            xaxis: { title: { text: 't (s)' }, gridcolor: '#555' },
+            yaxis: { title: { text: 'F (N)' }, gridcolor: '#555' },
+            showlegend: false,
+        },
+        { displayModeBar: false }
+    );
+}
+
+function describePullResult(result) {
+    if (result.muS === null) return 'No breakaway';
+    // Measured value, then the set one and whether it is within tolerance
+    const describe = ({ set, measured, pass }) =>
+        measured === null
+            ? '–'
+            : `${measured.toFixed(3)} (set ${set.toFixed(2)} ${
+                  pass ? '✓' : '✗'
+              })`;
+    return (
+        `μs ${describe(result.check.muS)}, μk ${describe(result.check.muK)}, ` +
+        `${result.events.length} stick-slip`
+    );
+}
+
+if (pullExperimentBtn && pullExperimentStatus) {
+    pullExperimentBtn.addEventListener('click', () => {
+        if (!sceneRenderer) return;
+        if (sceneRenderer.pull) {
+            sceneRenderer.stopPullExperiment();
+            resetPullButton();
+            pullExperimentStatus.textContent = 'Stopped';
+            return;
+        }
+        const value = id => parseFloat(document.getElementById(id).value);
+        const options = {
+            speed: value('pullSpeedInput'),
+            stiffness: value('pullStiffnessInput'),
+            duration: value('pullDurationInput'),
+        };
+        if (!(options.speed > 0) || !(options.stiffness > 0)) return;
+
+        if (tiltExperimentBtn) {
+            tiltExperimentBtn.textContent = 'Run Tilt Experiment';
+        }
+        pullExperimentBtn.textContent = 'Stop Pull Test';
+        sceneRenderer.startPullExperiment(options, {
+            onStep: experiment => {
+                lastPullExperiment = experiment;
+                if (experiment.samples.length % 10 !== 0) return;
+                plotPullTrace(experiment);
+                const last = experiment.samples[experiment.samples.length - 1];
+                if (last) {
+                    pullExperimentStatus.textContent =
+                        `${last.time.toFixed(1)} s: ` +
+                        `${last.force.toFixed(1)} N (μ ${last.mu.toFixed(3)})`;
+                }
+            },
+            onDone: experiment => {
+                plotPullTrace(experiment);
+                pullExperimentStatus.textContent = describePullResult(
+                    experiment.result
+                );
+                resetPullButton();
+            },
+        });
+    });
+}
+
+if (pullExportBtn) {
+    pullExportBtn.addEventListener('click', () => {
+        if (!lastPullExperiment) return;
+        SurfaceExporter.download(
+            lastPullExperiment.toCSV(),
+            'pull-test.csv',
+            'text/csv'
+        );
+    });
+}
+
+// Record & Replay: record runs, save/load them, scrub through them and
+// re-simulate them to check the solver still reproduces them
+const recordRunBtn = document.getElementById('recordRunBtn');
+const loadRunInput = document.getElementById('loadRunInput');
+const replayControls = document.getElementById('replayControls');
+const replayScrubber = document.getElementById('replayScrubber');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replaySpeedSelect = document.getElementById('replaySpeedSelect');
+const replayStatus = document.getElementById('replayStatus');
+let lastRun = null; // RunRecording recorded or loaded last
+
+function showReplay(recording) {
+    lastRun = recording;
+    sceneRenderer.startReplay(recording, (frame, replay) => {
+        replayScrubber.value = frame;
+        replayPlayBtn.textContent = replay.playing ? 'Pause' : 'Play';
+        replayStatus.textContent =
+            `Step ${frame + 1} / ${recording.stepCount}, ` +
+            `${recording.getTime(frame).toFixed(2)} s`;
+    });
+    sceneRenderer.replay.speed = parseFloat(replaySpeedSelect.value);
+    replayScrubber.max = recording.stepCount - 1;
+    replayControls.style.display = 'block';
+}
+
+function exitReplay() {
+    sceneRenderer.stopReplay();
+    replayControls.style.display = 'none';
+}
+
+if (recordRunBtn && loadRunInput && replayControls && replayStatus) {
+    recordRunBtn.addEventListener('click', () => {
+        if (!sceneRenderer) return;
+        if (!sceneRenderer.recorder) {
+            exitReplay();
+            sceneRenderer.startRecording();
+            recordRunBtn.textContent = 'Stop Recording';
+            replayStatus.textContent = 'Recording…';
+            return;
+        }
+        const recording = sceneRenderer.stopRecording();
+        recordRunBtn.textContent = 'Start Recording';
+        if (!recording) {
+            replayStatus.textContent = 'Nothing recorded';
+            return;
+        }
+        showReplay(recording);
+    });
+
+    const saveButtons = [
+        [
+            'saveRunJsonBtn',
+            run => run.toJSONString(),
+            'run.json',
+            'application/json',
+        ],
+        [
+            'saveRunBinaryBtn',
+            run => run.toArrayBuffer(),
+            'run.rbrn',
+            'application/octet-stream',
+        ],
+    ];
+    for (const [id, serialize, filename, mimeType] of saveButtons) {
+        const button = document.getElementById(id);
+        if (!button) continue;
+        button.addEventListener('click', () => {
+            if (!lastRun) {
+                replayStatus.textContent = 'Record or load a run first';
+                return;
+            }
+            SurfaceExporter.download(serialize(lastRun), filename, mimeType);
+        });
+    }
+
+    loadRunInput.addEventListener('change', async () => {
+        const file = loadRunInput.files[0];
+        if (!file || !sceneRenderer) return;
+        try {
+            showReplay(RunRecording.parse(await file.arrayBuffer()));
+        } catch (error) {
+            replayStatus.textContent = error.message;
+        }
+    });
+
+    replayScrubber.addEventListener('input', () => {
+        if (sceneRenderer.replay) {
+            sceneRenderer.seekReplay(parseInt(replayScrubber.value, 10));
+        }
+    });
+    replayPlayBtn.addEventListener('click', () => {
+        if (!sceneRenderer.replay) return;
+        const playing = sceneRenderer.toggleReplayPlayback();
+        replayPlayBtn.textContent = playing ? 'Pause' : 'Play';
+    });
+    for (const [id, delta] of [
+        ['replayPrevBtn', -1],
+        ['replayNextBtn', 1],
+    ]) {
+        document.getElementById(id).addEventListener('click', () => {
+            const { replay } = sceneRenderer;
+            if (!replay) return;
+            replay.playing = false;
+            sceneRenderer.seekReplay(replay.frame + delta);
+        });
+    }
+    replaySpeedSelect.addEventListener('change', () => {
+        if (sceneRenderer.replay) {
+            sceneRenderer.replay.speed = parseFloat(replaySpeedSelect.value);
+        }
+    });
+
+    document.getElementById('verifyRunBtn').addEventListener('click', () => {
+        if (!lastRun) return;
+        replayStatus.textContent = 'Verifying…';
+        // Let the status paint before the (blocking) re-simulation
+        setTimeout(() => {
+            try {
+                const { steps, divergence } = lastRun.verify(
+                    sceneRenderer.getReplayContext(lastRun)
+                );
+                replayStatus.textContent = divergence
+                    ? `Diverges at step ${divergence.step + 1} ` +
+                      `(${divergence.time.toFixed(2)} s), body ` +
+                      `${divergence.body}: ` +
+                      `${divergence.positionError.toExponential(2)} m, ` +
+                      `${divergence.rotationError.toExponential(2)} rad`
+                    : `Reproduced all ${steps} steps`;
+            } catch (error) {
+                replayStatus.textContent = error.message;
+            }
+        }, 0);
+    });
+    document
+        .getElementById('exitReplayBtn')
+        .addEventListener('click', exitReplay);
+}
+
 // Texture Rotation Controls
 const textureRotationSlider = document.getElementById('textureRotationSlider');
 const textureRotationValue = document.getElementById('textureRotationValue');
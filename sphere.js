@@ -0,0 +1,55 @@
+// Sphere class - solid sphere of the given radius
+class Sphere extends RigidBody {
+    constructor(
+        position,
+        radius,
+        staticFriction,
+        kineticFriction,
+        mass,
+        options = {}
+    ) {
+        super(staticFriction, kineticFriction, mass);
+        this.radius = radius;
+
+        // Solid sphere: I = 2/5 m r² about every axis
+        const I = 0.4 * mass * radius * radius;
+        this.inertia = new THREE.Vector3(I, I, I);
+
+        // It rolls: the sim's per-step damping would brake it to about a
+        // third of rollingAcceleration()
+        this.linearDamping = 0;
+        this.angularDamping = 0;
+
+        this.mesh = this._createMesh(
+            new THREE.SphereGeometry(radius, 32, 16),
+            position,
+            options
+        );
+    }
+
+    get shape() {
+        return 'sphere';
+    }
+
+    getRadius() {
+        return this.radius;
+    }
+
+    // Rolling without slipping down an incline of `angle` radians (m/s²):
+    // g·sinθ / (1 + I/(m r²)) = 5/7·g·sinθ
+    rollingAcceleration(gravity, angle) {
+        return (gravity * Math.sin(angle)) / 1.4;
+    }
+
+    getBoundingRadius() {
+        return this.radius;
+    }
+
+    support(dir) {
+        return dir.clone().normalize().multiplyScalar(this.radius);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Sphere;
+}
@@ -50,7 +50,8 @@ class SurfaceVisualizer {
             wireframe: true,
             colorize: true,
             render: render,
-            surfaceType: 'Sine', // 'Sine' | 'Noisy'
+            // 'Sine' | 'Noisy' | 'Heightmap' | 'Gaussian' | 'SelfAffine' | 'fBm'
+            surfaceType: 'Sine',
             resetView: () => {
                 this.camera.position.set(60, 30, 60);
                 this.camera.lookAt(0, 0, 0);
@@ -69,6 +70,19 @@ class SurfaceVisualizer {
             },
             ndf: {
                 bins: 50, // histogram bins per axis
+                projection: 'orthographic', // see Surface/NDFProjection.js
+                perSteradian: false, // divide bins by their solid angle
+            },
+            heightmap: null, // measured topography (HeightmapLoader format)
+            rough: {
+                // spectral rough surfaces (see Surface/RoughSurface.js)
+                rms: 1.0,
+                correlationLength: 8.0,
+                correlationLengthY: 8.0,
+                angle: 0.0,
+                hurst: 0.8,
+                rollOffLength: 30.0, // roll-off wavevector q0 = 2π / rollOffLength
+                seed: 7,
             },
         };
     }
@@ -79,6 +93,7 @@ class SurfaceVisualizer {
         const surfaceTypeSelect = document.getElementById('surfaceType');
         const sineControls = document.getElementById('sineControls');
         const noiseControls = document.getElementById('noiseControls');
+        const roughControls = document.getElementById('roughControls');
 
         // Only set up controls if the elements exist (i.e., we're on the surface_visualizer.html page)
         if (!surfaceTypeSelect) {
@@ -87,13 +102,16 @@ class SurfaceVisualizer {
 
         surfaceTypeSelect.addEventListener('change', e => {
             this.params.surfaceType = e.target.value;
-            if (this.params.surfaceType === 'Sine') {
-                if (sineControls) sineControls.style.display = 'block';
-                if (noiseControls) noiseControls.style.display = 'none';
-            } else {
-                if (sineControls) sineControls.style.display = 'none';
-                if (noiseControls) noiseControls.style.display = 'block';
-            }
+            const type = this.params.surfaceType;
+            if (sineControls)
+                sineControls.style.display = type === 'Sine' ? 'block' : 'none';
+            if (noiseControls)
+                noiseControls.style.display =
+                    type === 'Noisy' ? 'block' : 'none';
+            if (roughControls)
+                roughControls.style.display = this.isRoughType(type)
+                    ? 'block'
+                    : 'none';
             this.repaint();
         });
 
@@ -152,6 +170,32 @@ class SurfaceVisualizer {
                 this.updateNoiseAndHistogram();
             });
         }
+
+        // Rough surface controls (element id → params.rough key)
+        const roughInputs = {
+            roughRms: 'rms',
+            roughCorrelation: 'correlationLength',
+            roughCorrelationY: 'correlationLengthY',
+            roughHurst: 'hurst',
+            roughRollOff: 'rollOffLength',
+            roughSeed: 'seed',
+        };
+        for (const [id, key] of Object.entries(roughInputs)) {
+            const input = document.getElementById(id);
+            if (!input) continue;
+            input.addEventListener('input', e => {
+                this.params.rough[key] = parseFloat(e.target.value);
+                this.updateRoughAndHistogram();
+            });
+        }
+        const roughAngle = document.getElementById('roughAngle');
+        if (roughAngle) {
+            roughAngle.addEventListener('input', e => {
+                this.params.rough.angle =
+                    (parseFloat(e.target.value) * Math.PI) / 180;
+                this.updateRoughAndHistogram();
+            });
+        }
     }
 
     // ——— Geometry & materials
@@ -310,6 +354,78 @@ class SurfaceVisualizer {
         this.geo.normalsNeedUpdate = true;
     }
 
+    // ——— Measured surface
+    setHeightmap(heightmap) {
+        this.params.heightmap = heightmap;
+        this.params.surfaceType = 'Heightmap';
+        this.repaint();
+    }
+
+    // The map is scaled uniformly to fit L (slopes, and so the NDF, are kept);
+    // vertices beyond a non-square map's short side repeat its edge.
+    applyHeightmapHeights(map = this.params.heightmap) {
+        const extent = Math.max(
+            (map.cols - 1) * map.dx,
+            (map.rows - 1) * map.dy
+        );
+        const scale = this.params.L / extent;
+        let minH = Infinity,
+            maxH = -Infinity;
+
+        for (let i = 0; i < this.N; i++) {
+            // Plane lies on XZ: map +y (row 0) is world -z
+            const y =
+                scale *
+                HeightmapLoader.sample(
+                    map,
+                    this.xs[i] / scale,
+                    -this.zs[i] / scale
+                );
+            this.pos.setY(i, y);
+            if (y < minH) minH = y;
+            if (y > maxH) maxH = y;
+        }
+
+        if (this.params.render) {
+            for (let i = 0; i < this.N; i++) {
+                const y = this.pos.getY(i);
+                const c = this.colorizeHeight(y, minH, maxH, 'terrain');
+                const j = 3 * i;
+                this.colors[j] = c.r;
+                this.colors[j + 1] = c.g;
+                this.colors[j + 2] = c.b;
+            }
+            this.geo.setAttribute(
+                'color',
+                new THREE.BufferAttribute(this.colors, 3)
+            );
+            this.pos.needsUpdate = true;
+            this.updateGridHeight(Math.max(-minH, maxH));
+        }
+        this.geo.computeVertexNormals();
+        this.geo.normalsNeedUpdate = true;
+    }
+
+    // ——— Spectral rough surfaces (Gaussian / self-affine / fBm)
+    isRoughType(type) {
+        return (
+            typeof RoughSurface !== 'undefined' &&
+            RoughSurface.isRoughType(type)
+        );
+    }
+
+    // Generated over exactly L, at the mesh resolution, then applied as a map
+    applyRoughHeights() {
+        const { rollOffLength, ...rough } = this.params.rough;
+        const map = RoughSurface.generate(this.params.surfaceType, {
+            ...rough,
+            rollOff: (2 * Math.PI) / rollOffLength,
+            size: FFT.nextPowerOfTwo(this.params.resolution + 1),
+            length: this.params.L,
+        });
+        this.applyHeightmapHeights(map);
+    }
+
     updateGridHeight(activeAmplitude) {
         this.grid.position.y = -activeAmplitude - 0.01;
     }
@@ -318,6 +434,7 @@ class SurfaceVisualizer {
     updateSineAndHistogram(phaseX = this.params.sine.phaseX) {
         this.applySineHeights(phaseX);
         this.createNDFHistogram();
+        this.updateRoughnessPanel();
         if (this.params.render) {
             this.renderer.render(this.scene, this.camera);
         }
@@ -326,6 +443,25 @@ class SurfaceVisualizer {
     updateNoiseAndHistogram(timeOffset = 0) {
         this.applyNoiseHeights(timeOffset);
         this.createNDFHistogram();
+        this.updateRoughnessPanel();
+        if (this.params.render) {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    updateHeightmapAndHistogram() {
+        this.applyHeightmapHeights();
+        this.createNDFHistogram();
+        this.updateRoughnessPanel();
+        if (this.params.render) {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    updateRoughAndHistogram() {
+        this.applyRoughHeights();
+        this.createNDFHistogram();
+        this.updateRoughnessPanel();
         if (this.params.render) {
             this.renderer.render(this.scene, this.camera);
         }
@@ -334,6 +470,13 @@ class SurfaceVisualizer {
     // Initial paint according to surface type
     repaint() {
         if (this.params.surfaceType === 'Sine') this.updateSineAndHistogram();
+        else if (
+            this.params.surfaceType === 'Heightmap' &&
+            this.params.heightmap
+        )
+            this.updateHeightmapAndHistogram();
+        else if (this.isRoughType(this.params.surfaceType))
+            this.updateRoughAndHistogram();
         else this.updateNoiseAndHistogram();
     }
 
@@ -363,8 +506,16 @@ class SurfaceVisualizer {
     normalsToNdfXY(normals) {
         const ndfSamples = [];
         for (const n of normals) {
-            // With Y-up, spherical mapping gives (sinθ cosφ, sinθ sinφ) == (nx, nz)
-            ndfSamples.push({ x: n.x, y: n.z });
+            // With Y-up the tangential components are (nx, nz); orthographic
+            // gives (sinθ cosφ, sinθ sinφ) == (nx, nz)
+            ndfSamples.push(
+                NDFProjection.fromNormal(
+                    n.x,
+                    n.z,
+                    n.y,
+                    this.params.ndf.projection
+                )
+            );
         }
         return ndfSamples;
     }
@@ -418,7 +569,14 @@ class SurfaceVisualizer {
 
         for (let i = 0; i < normals.length; i++) {
             const n = normals[i];
-            ndfSamples.push({ x: n.x, y: n.z });
+            ndfSamples.push(
+                NDFProjection.fromNormal(
+                    n.x,
+                    n.z,
+                    n.y,
+                    this.params.ndf.projection
+                )
+            );
             filteredWeights.push(areaWeights[i]);
             filteredNormals.push(n);
         }
@@ -430,23 +588,24 @@ class SurfaceVisualizer {
         };
     }
 
-    createNDFHistogram(plot_id = 'ndf-histogram') {
+    // bins×bins NDF histogram in the configured projection (row = disk y)
+    computeNDFHistogram() {
         const { ndfSamples, areaWeights } = this.areaWeightedNDF();
-        const bins = this.params.ndf.bins;
-        const histogram = new Array(bins * bins).fill(0);
-        const binSize = 2.0 / bins;
-
-        for (let i = 0; i < ndfSamples.length; i++) {
-            const sample = ndfSamples[i];
-            const weight = areaWeights[i];
-            const nx = sample.x;
-            const ny = sample.y;
-            const binX = Math.floor((nx + 1.0) / binSize);
-            const binY = Math.floor((ny + 1.0) / binSize);
-            if (binX >= 0 && binX < bins && binY >= 0 && binY < bins) {
-                histogram[binY * bins + binX] += weight;
+        const { bins, projection, perSteradian } = this.params.ndf;
+        const histogram = NDFProjection.histogram(
+            ndfSamples,
+            areaWeights,
+            bins,
+            {
+                projection,
+                perSteradian,
             }
-        }
+        );
+        return { bins, histogram, projection, perSteradian };
+    }
+
+    createNDFHistogram(plot_id = 'ndf-histogram') {
+        const { bins, histogram } = this.computeNDFHistogram();
         // render histogram into a canvas, produce a CanvasTexture and (if a DOM target exists) display it
 
         // create a small offscreen canvas where each bin is one pixel
@@ -521,6 +680,30 @@ class SurfaceVisualizer {
         }
     }
 
+    // ——— Heightfield & roughness
+    // Current heights as a heightmap object (HeightmapLoader format). The plane
+    // lies on XZ, so vertex row 0 (z = -L/2) is the map's +y edge.
+    getHeightfield() {
+        const n = this.params.resolution;
+        const heights = new Float32Array(this.N);
+        for (let i = 0; i < this.N; i++) heights[i] = this.pos.getY(i);
+        const d = this.params.L / n;
+        return { cols: n + 1, rows: n + 1, dx: d, dy: d, heights };
+    }
+
+    getRoughness() {
+        return Roughness.compute(this.getHeightfield());
+    }
+
+    // Fills #roughnessMetrics when the page has one
+    updateRoughnessPanel() {
+        const panel =
+            typeof document !== 'undefined' &&
+            document.getElementById('roughnessMetrics');
+        if (!panel || typeof Roughness === 'undefined') return;
+        panel.innerHTML = Roughness.format(this.getRoughness()).join('<br />');
+    }
+
     getNDFData() {
         return this.areaWeightedNDF();
     }
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// ================================================================
+// PARAMETER SWEEP RUNNER - headless sliding experiments from the CLI
+// ================================================================
+// Runs every combination of the swept parameters through RigidBodySimScene
+// for a fixed number of steps and writes one results row per case.
+//
+// Usage:
+//   node sweep.js [spec.json] [--out results.csv|results.json] [--steps N]
+//                 [--<param> <value>] ...
+//
+// Parameter values (in the spec's "params" object or on the command line):
+//   15             single value
+//   0,45,90        list            (JSON: [0, 45, 90])
+//   10:40:5        from:to:step    (JSON: { "from": 10, "to": 40, "step": 5 })
+//
+// Parameters (defaults match SceneRenderer):
+//   angle            plane incline (degrees)               15
+//   textureRotation  plane texture rotation (degrees)      0
+//   staticFriction   μs                                    0.6
+//   kineticFriction  μk                                    0.5
+//   mass             cube mass                             5
+//   size             cube edge length                      4
+//   frictionMode     'off' | 'profile' | 'ellipse'         'off'
+//   frictionLaw      'coulomb' | 'stribeck' | 'viscous' |   'coulomb'
+//                    'rateState' (default law parameters, friction-laws.js)
+//   amplitude        NDF surface amplitude                 1.5
+//   wavelength       NDF surface wavelength                25
+//   noise            NDF surface noise                     0.5
+//   bins             NDF histogram bins                    50
+//   seed             NDF surface noise seed                1
+//
+// Example spec:
+//   {
+//     "steps": 600,
+//     "out": "results.csv",
+//     "params": { "angle": "10:40:5", "textureRotation": [0, 45, 90],
+//                 "frictionMode": "profile" }
+//   }
+//
+// Result columns: the case parameters, then
+//   slid, slidingDistance, downslopeDistance, lateralDrift,
+//   finalSpeed, timeToRest, contactTime
+// Distances are measured in the plane from the first contact on; lateral drift
+// is across the fall line. timeToRest is empty if the cube never settled.
+// ================================================================
+
+const fs = require('fs');
+const path = require('path');
+const {
+    THREE,
+    Surface,
+    Friction,
+    Cube,
+    Plane,
+    RigidBodySimScene,
+} = require('./headless');
+
+const DEFAULT_PARAMS = {
+    angle: 15,
+    textureRotation: 0,
+    staticFriction: 0.6,
+    kineticFriction: 0.5,
+    mass: 5,
+    size: 4,
+    frictionMode: 'off',
+    frictionLaw: 'coulomb',
+    amplitude: 1.5,
+    wavelength: 25,
+    noise: 0.5,
+    bins: 50,
+    seed: 1,
+};
+
+const REST_SPEED = 0.01; // below this the cube counts as resting
+const SLID_DISTANCE = 0.05; // minimum in-plane travel to count as "slid"
+
+// ================================================================
+// SPEC PARSING
+// ================================================================
+
+function parseArgs(argv) {
+    const options = { params: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            options.spec = arg;
+            continue;
+        }
+        const key = arg.slice(2);
+        const value = argv[++i];
+        if (value === undefined) throw new Error(`Missing value for ${arg}`);
+        if (key === 'out') options.out = value;
+        else if (key === 'steps') options.steps = parseInt(value);
+        else if (key in DEFAULT_PARAMS) options.params[key] = value;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    return options;
+}
+
+// Expand one parameter value (scalar, list, range) into an array of values
+function expandValues(value) {
+    if (Array.isArray(value)) return value.flatMap(expandValues);
+    if (value && typeof value === 'object') {
+        return range(value.from, value.to, value.step ?? 1);
+    }
+    if (typeof value === 'string') {
+        if (value.includes(',')) return value.split(',').flatMap(expandValues);
+        if (value.includes(':')) {
+            const [from, to, step] = value.split(':').map(Number);
+            return range(from, to, step ?? 1);
+        }
+        const num = Number(value);
+        return [value.trim() !== '' && !isNaN(num) ? num : value.trim()];
+    }
+    return [value];
+}
+
+function range(from, to, step) {
+    if (!(step > 0)) throw new Error(`Invalid range step: ${step}`);
+    const values = [];
+    const n = Math.floor((to - from) / step + 1e-9);
+    for (let i = 0; i <= n; i++) values.push(+(from + i * step).toFixed(10));
+    return values;
+}
+
+// Cartesian product of { key: [values] } → [{ key: value }]
+function cartesian(valueLists) {
+    let cases = [{}];
+    for (const [key, values] of Object.entries(valueLists)) {
+        cases = cases.flatMap(c => values.map(v => ({ ...c, [key]: v })));
+    }
+    return cases;
+}
+
+// ================================================================
+// SIMULATION
+// ================================================================
+
+// NDF friction models are expensive; share them between cases
+const frictionModels = new Map();
+
+function getFrictionModel(params) {
+    const { amplitude, wavelength, noise, bins, seed } = params;
+    const key = [amplitude, wavelength, noise, bins, seed].join('|');
+    if (!frictionModels.has(key)) {
+        const options = { texture: false, seed };
+        const planeSurface = new Surface(
+            amplitude,
+            wavelength,
+            noise,
+            0,
+            500,
+            500,
+            bins,
+            options
+        );
+        const cubeSurface = new Surface(
+            amplitude,
+            wavelength,
+            noise,
+            Math.PI / 2,
+            500,
+            500,
+            bins,
+            options
+        );
+        frictionModels.set(
+            key,
+            Friction.fromSurfaces(planeSurface, cubeSurface)
+        );
+    }
+    return frictionModels.get(key);
+}
+
+function runCase(params, steps) {
+    const plane = new Plane(params.angle, params.textureRotation);
+    const cube = new Cube(
+        new THREE.Vector3(-5, 10, 0),
+        params.size,
+        params.staticFriction,
+        params.kineticFriction,
+        params.mass
+    );
+    const sim = new RigidBodySimScene(cube, plane);
+    sim.setFrictionLaw(params.frictionLaw);
+    if (params.frictionMode !== 'off') {
+        sim.useNdfFriction(getFrictionModel(params), params.frictionMode);
+    }
+
+    // In-plane axes: fall line and across it
+    const n = plane.getNormal();
+    const downslope = sim.gravity
+        .clone()
+        .addScaledVector(n, -n.dot(sim.gravity));
+    if (downslope.lengthSq() < 1e-12) downslope.set(1, 0, 0);
+    downslope.normalize();
+    const lateral = new THREE.Vector3().crossVectors(n, downslope);
+
+    let start = null;
+    let contactStep = -1;
+    let restStep = -1;
+    for (let i = 0; i < steps; i++) {
+        sim.step();
+        if (!start && sim.inContact) {
+            start = cube.getPosition();
+            contactStep = i;
+        }
+        if (start) {
+            const resting = cube.getVelocity().length() < REST_SPEED;
+            if (!resting) restStep = -1;
+            else if (restStep < 0) restStep = i;
+        }
+    }
+
+    const result = {
+        slid: false,
+        slidingDistance: 0,
+        downslopeDistance: 0,
+        lateralDrift: 0,
+        finalSpeed: cube.getVelocity().length(),
+        timeToRest: '',
+        contactTime: '',
+    };
+    if (start) {
+        const d = cube.getPosition().sub(start);
+        const downslopeDistance = d.dot(downslope);
+        const lateralDrift = d.dot(lateral);
+        result.slidingDistance = Math.hypot(downslopeDistance, lateralDrift);
+        result.downslopeDistance = downslopeDistance;
+        result.lateralDrift = lateralDrift;
+        result.slid = result.slidingDistance > SLID_DISTANCE;
+        result.contactTime = contactStep * sim.dt;
+        if (restStep >= 0)
+            result.timeToRest = (restStep - contactStep) * sim.dt;
+    }
+    return result;
+}
+
+// ================================================================
+// OUTPUT
+// ================================================================
+
+function toCSV(rows) {
+    if (!rows.length) return '';
+    const columns = Object.keys(rows[0]);
+    const escape = v => {
+        const s = typeof v === 'number' ? +v.toPrecision(8) + '' : String(v);
+        return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const lines = [columns.join(',')];
+    for (const row of rows)
+        lines.push(columns.map(c => escape(row[c])).join(','));
+    return lines.join('\n') + '\n';
+}
+
+// ================================================================
+// MAIN
+// ================================================================
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const spec = options.spec
+        ? JSON.parse(fs.readFileSync(options.spec, 'utf8'))
+        : {};
+    const steps = options.steps ?? spec.steps ?? 600;
+    const out = options.out ?? spec.out ?? null;
+
+    const paramValues = {};
+    for (const key of Object.keys(DEFAULT_PARAMS)) {
+        const value =
+            options.params[key] ?? spec.params?.[key] ?? DEFAULT_PARAMS[key];
+        paramValues[key] = expandValues(value);
+    }
+    const cases = cartesian(paramValues);
+
+    const rows = [];
+    cases.forEach((params, i) => {
+        process.stderr.write(`\rcase ${i + 1}/${cases.length}`);
+        rows.push({ ...params, ...runCase(params, steps) });
+    });
+    process.stderr.write('\n');
+
+    const asJSON = out && path.extname(out).toLowerCase() === '.json';
+    const text = asJSON ? JSON.stringify(rows, null, 2) + '\n' : toCSV(rows);
+    if (out) fs.writeFileSync(out, text);
+    else process.stdout.write(text);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { runCase, expandValues, cartesian };
@@ -0,0 +1,253 @@
+// ================================================================
+// TILT EXPERIMENT - angle of repose on a slowly tilting plane
+// ================================================================
+// Mirrors a tilt tester: the cube is set down at rest on the centre of the
+// plane at 0°, left to settle, then the plane tilts about its centre at a
+// constant rate. Sliding onset is detected from the contacts' slip speed
+// after each solve (relative to the moving plane surface):
+//   - the first frame the mean slip exceeds `slipSpeed` marks the onset
+//     candidate (the breakaway angle); dropping back below it (the cube
+//     sticks again) discards the candidate,
+//   - moving more than `slipDistance` in the plane's own frame from there
+//     confirms it and ends the run.
+// Distance is measured from the onset rather than from the start, so creep
+// before it (over heightfield asperities, say) does not count.
+// The implied static coefficient is μs = tan θ_breakaway. A run that reaches
+// `maxAngle` without sliding reports breakawayAngle = null. The solver
+// decides stick or slip for the cube's contacts as a whole (see the solver's
+// NOTES), so with the Coulomb law the cube breaks away at atan μs: 26.6° for
+// μs = 0.5 on the flat plane at the default rate.
+// holdCheck() is the fixed-slope counterpart: the cube set down at rest on
+// a plane held at each angle must stay put below atan μs and slide above it.
+//
+// Drives an existing RigidBodySimScene (its cube, plane, friction model and
+// law), one sim step per step() call, so the scene can animate it frame by
+// frame; run() loops headless. sweep() repeats the run for several plane
+// texture rotations (anisotropic friction models, see Plane.getTangentFrame).
+//
+// Heightfield contact (RigidBodySimScene.setHeightfield): the measured angle
+// is then the emergent friction of the micro-geometry, and compareWithModel()
+// sets a sweep against the NDF prediction (Friction.getStaticMuAtAngle) for
+// the downhill direction of each run. Keep the rate low there (about 2°/s):
+// the cube creeps over the asperities of a fast-turning plane, which reads
+// as an early onset.
+// ================================================================
+
+class TiltExperiment {
+    /**
+     * @param {RigidBodySimScene} sim
+     * @param {object} options
+     *   rate          tilting speed, degrees/s (default 2)
+     *   maxAngle      give up at this angle, degrees (default 60)
+     *   settleTime    seconds at 0° before tilting (default 1)
+     *   slipSpeed     onset threshold, mean contact slip m/s (default 1e-3)
+     *   slipDistance  confirmation threshold, in-plane travel (default 0.05)
+     */
+    constructor(sim, options = {}) {
+        this.sim = sim;
+        this.rate = options.rate ?? 2;
+        this.maxAngle = options.maxAngle ?? 60;
+        this.settleTime = options.settleTime ?? 1.0;
+        this.slipSpeed = options.slipSpeed ?? 1e-3;
+        this.slipDistance = options.slipDistance ?? 0.05;
+        this.reset();
+    }
+
+    /**
+     * Run the experiment once for each plane texture rotation (degrees) and
+     * restore the original rotation afterwards.
+     * @returns {object[]} one result (see result) per rotation
+     */
+    static sweep(sim, textureRotations, options = {}) {
+        const original = sim.plane.getTextureRotation();
+        const results = textureRotations.map(rotation => {
+            sim.plane.setTextureRotation(rotation);
+            return new TiltExperiment(sim, options).run();
+        });
+        sim.plane.setTextureRotation(original);
+        return results;
+    }
+
+    /**
+     * Set the cube down at rest on the plane held at each angle (degrees) and
+     * let it sit for `duration` seconds (default 3). It should hold while
+     * tan θ < sim.muS and slide off otherwise; a run slid if the cube
+     * travelled more than `slipDistance` (default 0.05). Leaves
+     * the plane at 0° with the cube back on it.
+     * @returns {{angle:number, travel:number, slid:boolean,
+     *            expected:boolean, pass:boolean}[]} expected: should slide
+     */
+    static holdCheck(sim, angles, options = {}) {
+        const duration = options.duration ?? 3;
+        const slipDistance = options.slipDistance ?? 0.05;
+        const rows = angles.map(angle => {
+            sim.plane.setAngle(angle, 0);
+            sim.placeOnPlane();
+            const start = sim.cube.getPosition().clone();
+            for (let t = 0; t < duration; t += sim.dt) sim.step();
+            const travel = sim.cube.getPosition().distanceTo(start);
+            const slid = travel > slipDistance;
+            const expected = Math.tan((angle * Math.PI) / 180) >= sim.muS;
+            return { angle, travel, slid, expected, pass: slid === expected };
+        });
+        sim.plane.setAngle(0, 0);
+        sim.placeOnPlane();
+        return rows;
+    }
+
+    /**
+     * Measured μs of a sweep against a Friction model's static profile for
+     * each run's sliding direction. The model's absolute level depends on its
+     * k, so the shapes are compared: `scale` (mean measured / mean predicted)
+     * and the RMS difference and correlation of both profiles divided by
+     * their means. Runs without breakaway are skipped.
+     * @returns {{rows:object[], scale:number, shapeError:number,
+     *            correlation:number}}
+     */
+    static compareWithModel(results, model) {
+        const rows = results
+            .filter(r => r.muS !== null)
+            .map(r => ({
+                textureRotation: r.textureRotation,
+                direction: r.direction,
+                measured: r.muS,
+                predicted: model.getStaticMuAtAngle(r.direction),
+            }));
+        const mean = key =>
+            rows.reduce((sum, row) => sum + row[key], 0) / rows.length;
+        const measuredMean = mean('measured');
+        const predictedMean = mean('predicted');
+        let squared = 0,
+            cross = 0,
+            varM = 0,
+            varP = 0;
+        for (const row of rows) {
+            const m = row.measured / measuredMean;
+            const p = row.predicted / predictedMean;
+            squared += (m - p) ** 2;
+            cross += (m - 1) * (p - 1);
+            varM += (m - 1) ** 2;
+            varP += (p - 1) ** 2;
+        }
+        return {
+            rows,
+            scale: measuredMean / predictedMean,
+            shapeError: Math.sqrt(squared / rows.length),
+            correlation:
+                varM > 0 && varP > 0 ? cross / Math.sqrt(varM * varP) : 0,
+        };
+    }
+
+    // Plane back to 0°, cube at rest on its centre
+    reset() {
+        const { sim } = this;
+        sim.plane.setAngle(0, 0);
+        sim.placeOnPlane();
+
+        this.time = 0;
+        this.angle = 0;
+        this.tilting = false;
+        this.onset = null; // { angle, position (plane frame) } of the candidate
+        this.slip = 0; // mean contact slip speed of the last step
+        this.result = null;
+    }
+
+    get done() {
+        return this.result !== null;
+    }
+
+    /**
+     * Advance one sim step (tilting the plane once settled).
+     * @returns {boolean} true once the run has finished
+     */
+    step() {
+        if (this.done) return true;
+        const { sim } = this;
+        const dt = sim.dt;
+
+        this.time += dt;
+        this.tilting = this.time > this.settleTime;
+        if (this.tilting) {
+            this.angle = Math.min(this.maxAngle, this.angle + this.rate * dt);
+            sim.plane.setAngle(this.angle, this.rate);
+        }
+        sim.step();
+        if (!this.tilting) return false;
+
+        const contacts = sim.getPlaneContacts();
+        this.slip = contacts.length
+            ? contacts.reduce((sum, c) => sum + c.slip, 0) / contacts.length
+            : 0;
+        if (this.slip > this.slipSpeed) {
+            if (!this.onset) {
+                this.onset = {
+                    angle: this.angle,
+                    position: this._planeLocalPosition(),
+                };
+            }
+        } else if (contacts.length) {
+            this.onset = null; // stuck again
+        }
+
+        if (
+            this.onset &&
+            this._planeLocalPosition().distanceTo(this.onset.position) >
+                this.slipDistance
+        ) {
+            this._finish(this.onset.angle);
+        } else if (this.angle >= this.maxAngle) {
+            this._finish(null);
+        }
+        return this.done;
+    }
+
+    /**
+     * Run to completion (headless).
+     * @returns {{textureRotation:number, direction:number,
+     *            breakawayAngle:number|null, muS:number|null, rate:number,
+     *            time:number}}
+     */
+    run() {
+        while (!this.step());
+        return this.result;
+    }
+
+    // ---------------------------------------------------------------------
+    // Private
+    // ---------------------------------------------------------------------
+
+    _finish(angle) {
+        const { plane } = this.sim;
+        plane.setAngle(this.angle, 0);
+        this.result = {
+            textureRotation: plane.getTextureRotation(),
+            direction: this._downhillDirection(),
+            breakawayAngle: angle,
+            muS: angle === null ? null : Math.tan((angle * Math.PI) / 180),
+            rate: this.rate,
+            time: this.time,
+        };
+    }
+
+    // Downhill in the plane's texture frame (radians, as Friction expects)
+    _downhillDirection() {
+        const { plane, gravity } = this.sim;
+        const { tangent, bitangent } = plane.getTangentFrame();
+        return Math.atan2(gravity.dot(bitangent), gravity.dot(tangent));
+    }
+
+    // Cube centre in the plane's frame (rotation about the plane centre)
+    _planeLocalPosition() {
+        const { plane, cube } = this.sim;
+        const inverse = plane.getMesh().quaternion.clone().invert();
+        return cube
+            .getPosition()
+            .clone()
+            .sub(plane.getPoint())
+            .applyQuaternion(inverse);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TiltExperiment;
+}